@@ -0,0 +1,157 @@
+const mongoose = require("mongoose");
+const AcademicTerm = require("./models/AcademicTerm");
+const ClassMeeting = require("./models/ClassMeeting");
+const Course = require("./models/Course");
+const CourseEnrollment = require("./models/CourseEnrollment");
+const {
+  toMinutes,
+  hasCourseSchedule,
+  getBlocksOnDate,
+  findCancelledOccurrence,
+  getCourseOccurrences,
+} = require("./course-schedule");
+const { DEFAULT_TIME_ZONE, getZonedParts } = require("./institution-time");
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00.000Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function findTermBreak(term, date) {
+  return (term?.breaks || []).find((entry) => entry.startDate <= date && date <= entry.endDate) || null;
+}
+
+function mapAcademicTerm(term) {
+  return {
+    id: String(term._id),
+    institutionId: String(term.institutionId),
+    name: term.name,
+    academicYear: term.academicYear || "",
+    startDate: term.startDate,
+    endDate: term.endDate,
+    breaks: (term.breaks || []).map((entry) => ({
+      id: entry._id ? String(entry._id) : null,
+      name: entry.name,
+      kind: entry.kind || "holiday",
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+    })),
+    updatedAt: term.updatedAt ? new Date(term.updatedAt).getTime() : null,
+  };
+}
+
+// The meetings a course's weekly schedule produces inside its term between
+// `from` and `to` (inclusive, YYYY-MM-DD), as { date, startTime, endTime,
+// kind }, after its schedule exceptions. Weekly classes on a term break or
+// cancelled/moved away are returned separately in `skipped` with the reason;
+// moved and make-up classes are kept even on a break. Courses without a term
+// or schedule have no scheduled meetings.
+function listScheduledMeetings(course, term, { from = null, to = null } = {}) {
+  const result = { meetings: [], skipped: [] };
+  if (!term || !hasCourseSchedule(course)) return result;
+
+  const start = from && from > term.startDate ? from : term.startDate;
+  const end = to && to < term.endDate ? to : term.endDate;
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const termBreak = findTermBreak(term, date);
+    getBlocksOnDate(course, date).forEach((block) => {
+      const cancelled = findCancelledOccurrence(course, date, block.startTime);
+      if (!termBreak && !cancelled) return;
+      const meeting = { date, startTime: block.startTime, endTime: block.endTime };
+      result.skipped.push(termBreak
+        ? { ...meeting, reason: termBreak.name, kind: termBreak.kind || "holiday" }
+        : { ...meeting, reason: cancelled.reason || "", kind: cancelled.kind });
+    });
+    getCourseOccurrences(course, date).forEach((occurrence) => {
+      if (occurrence.kind === "regular" && termBreak) return;
+      result.meetings.push({
+        date,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        kind: occurrence.kind,
+      });
+    });
+  }
+  return result;
+}
+
+async function loadTermsById(termIds) {
+  const ids = [...new Set(termIds.filter(Boolean).map(String))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (!ids.length) return new Map();
+  const terms = await AcademicTerm.find({ _id: { $in: ids } }).lean();
+  return new Map(terms.map((term) => [String(term._id), term]));
+}
+
+// "Classes held" per course id, the denominator of attendance percentages.
+// Courses with a term and schedule count the scheduled meetings between
+// `from` and `now` (today's meeting once it has started); other courses fall
+// back to the meetings teachers actually opened in that range.
+async function countClassesHeld(courses, { from = null, to = null, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const { date: today, minutes: nowMinutes } = getZonedParts(now, timeZone);
+  const until = to && to < today ? to : today;
+  const termsById = await loadTermsById(courses.map((course) => course.termId));
+  const counts = new Map();
+  const unscheduledIds = [];
+
+  courses.forEach((course) => {
+    const term = course.termId ? termsById.get(String(course.termId)) : null;
+    if (!term || !hasCourseSchedule(course)) {
+      unscheduledIds.push(course._id);
+      return;
+    }
+    const { meetings } = listScheduledMeetings(course, term, { from, to: until });
+    const held = meetings.filter((meeting) => meeting.date < today || nowMinutes >= toMinutes(meeting.startTime));
+    counts.set(String(course._id), held.length);
+  });
+
+  if (unscheduledIds.length) {
+    const dateFilter = { $lte: until };
+    if (from) dateFilter.$gte = from;
+    const opened = await ClassMeeting.aggregate([
+      { $match: { courseId: { $in: unscheduledIds }, date: dateFilter } },
+      { $group: { _id: "$courseId", count: { $sum: 1 } } },
+    ]);
+    unscheduledIds.forEach((courseId) => counts.set(String(courseId), 0));
+    opened.forEach((row) => counts.set(String(row._id), row.count));
+  }
+  return counts;
+}
+
+// Classes held per student email (lowercase, as attendance records store it
+// in studentEmail): the sum of countClassesHeld over each student's active
+// enrollments in active courses. Students without such enrollments are
+// missing from the map, so callers can fall back to the institution-wide
+// count for attendance taken outside courses.
+async function countClassesHeldByEmail(institutionId, { emails = null, ...options } = {}) {
+  const enrollmentFilter = { institutionId, isActive: true, email: { $type: "string", $ne: "" } };
+  if (emails) enrollmentFilter.email = { $in: emails.map((email) => String(email).toLowerCase()) };
+  const enrollments = await CourseEnrollment.find(enrollmentFilter).select("courseId email").lean();
+  const result = new Map();
+  if (!enrollments.length) return result;
+
+  const courses = await Course.find({
+    _id: { $in: [...new Set(enrollments.map((entry) => String(entry.courseId)))] },
+    institutionId,
+    isActive: true,
+  })
+    .select("termId scheduleBlocks daysOfWeek startTime endTime scheduleExceptions")
+    .lean();
+  const counts = await countClassesHeld(courses, options);
+
+  enrollments.forEach((entry) => {
+    const count = counts.get(String(entry.courseId));
+    if (count === undefined) return;
+    result.set(entry.email, (result.get(entry.email) || 0) + count);
+  });
+  return result;
+}
+
+module.exports = {
+  addDays,
+  mapAcademicTerm,
+  findTermBreak,
+  listScheduledMeetings,
+  countClassesHeld,
+  countClassesHeldByEmail,
+};
@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const AuthUser = require("./models/AuthUser");
+const { createScopedToken, verifyAuthToken } = require("./middleware/auth");
+const { PASSWORD_HASH_ROUNDS } = require("./password-policy");
+const { buildAppUrl, sendMail } = require("./mailer");
+
+const INVITE_SCOPE = "invite";
+const PASSWORD_RESET_SCOPE = "password_reset";
+const INVITE_TOKEN_TTL_HOURS = Number(process.env.INVITE_TOKEN_TTL_HOURS || 72);
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60);
+
+function createInvalidLinkError() {
+  const error = new Error("This link is invalid or has expired. Ask for a new one.");
+  error.status = 400;
+  return error;
+}
+
+// Tokens embed a fingerprint of the password hash they were issued against,
+// so they stop working once a password is set through them (or otherwise).
+function fingerprintPasswordHash(passwordHash) {
+  return crypto.createHash("sha256").update(String(passwordHash || "")).digest("hex").slice(0, 16);
+}
+
+function createAccountToken(user, scope) {
+  const ttlSeconds =
+    scope === INVITE_SCOPE ? INVITE_TOKEN_TTL_HOURS * 60 * 60 : PASSWORD_RESET_TOKEN_TTL_MINUTES * 60;
+  return createScopedToken(
+    scope,
+    { sub: String(user._id), pwf: fingerprintPasswordHash(user.passwordHash) },
+    ttlSeconds
+  );
+}
+
+// Resolves an invite or reset token to its user, loaded with the fields
+// applyNewPassword needs.
+async function loadUserFromAccountToken(token) {
+  let payload;
+  try {
+    payload = verifyAuthToken(String(token || ""));
+  } catch (error) {
+    throw createInvalidLinkError();
+  }
+  if (![INVITE_SCOPE, PASSWORD_RESET_SCOPE].includes(payload.scope)) {
+    throw createInvalidLinkError();
+  }
+
+  const user = await AuthUser.findById(payload.sub).select("+passwordHash +passwordHistory");
+  if (!user || !user.isActive || fingerprintPasswordHash(user.passwordHash) !== payload.pwf) {
+    throw createInvalidLinkError();
+  }
+  return { user, scope: payload.scope };
+}
+
+// Invited users get a random password nobody knows until they set their own.
+async function setPlaceholderPassword(user) {
+  user.passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), PASSWORD_HASH_ROUNDS);
+  user.invitePending = true;
+  user.invitedAt = new Date();
+}
+
+// `user` needs +passwordHash.
+async function sendInvite(user, { institutionName = "", invitedByName = "" } = {}) {
+  const token = createAccountToken(user, INVITE_SCOPE);
+  await sendMail({
+    to: user.email,
+    subject: "You have been invited to QR Attendance",
+    paragraphs: [
+      `Hello ${user.name},`,
+      `${invitedByName || "An administrator"} created a staff account for you${institutionName ? ` at ${institutionName}` : ""}.`,
+      `Choose your password with the link below. It expires in ${INVITE_TOKEN_TTL_HOURS} hours.`,
+    ],
+    action: { label: "Set your password", url: buildAppUrl(`login.html?invite=${encodeURIComponent(token)}`) },
+  });
+}
+
+// `user` needs +passwordHash.
+async function sendPasswordReset(user) {
+  const token = createAccountToken(user, PASSWORD_RESET_SCOPE);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your QR Attendance password",
+    paragraphs: [
+      `Hello ${user.name},`,
+      `Someone asked to reset the password of this account. The link below expires in ${PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes.`,
+      "If it was not you, ignore this email; your password stays the same.",
+    ],
+    action: { label: "Reset your password", url: buildAppUrl(`login.html?reset=${encodeURIComponent(token)}`) },
+  });
+}
+
+module.exports = {
+  INVITE_SCOPE,
+  PASSWORD_RESET_SCOPE,
+  loadUserFromAccountToken,
+  setPlaceholderPassword,
+  sendInvite,
+  sendPasswordReset,
+};
@@ -0,0 +1,59 @@
+const { toMinutes, getCourseOccurrences } = require("./course-schedule");
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToUtc } = require("./institution-time");
+
+// present/late/excused/absent are final statuses; partial and checked_in come
+// from check-in/check-out courses (checked_in until the second scan).
+const ATTENDANCE_STATUSES = ["present", "late", "partial", "absent", "excused", "checked_in"];
+
+// Statuses that count as having attended the meeting.
+const ATTENDED_STATUSES = ["present", "late"];
+
+// Statuses a teacher or admin may set by hand.
+const OVERRIDE_STATUSES = ["present", "late", "partial", "absent", "excused"];
+
+// Minutes between the start of the meeting and `at`. On a scheduled day the
+// reference is the start of that day's class (the schedule block's startTime,
+// or the time a class was moved to or made up at); meetings outside the timetable (extra
+// labs, unscheduled make-up classes) are measured from when the teacher opened
+// them. Returns null when there is nothing to measure against. Schedule times
+// are read in the institution's timezone.
+function getLateMinutes(course, meeting, at = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const arrival = new Date(at);
+  const meetingStart = meeting?.startedAt ? new Date(meeting.startedAt) : null;
+  const scheduleDay = getZonedParts(meetingStart || arrival, timeZone);
+  const occurrence = getCourseOccurrences(course, scheduleDay.date)
+    .find((entry) => scheduleDay.minutes <= toMinutes(entry.endTime));
+
+  let reference = null;
+  if (occurrence) {
+    reference = zonedTimeToUtc(scheduleDay.date, toMinutes(occurrence.startTime), timeZone);
+  } else if (meetingStart) {
+    reference = meetingStart;
+  }
+
+  if (!reference) return null;
+  return Math.max(0, Math.floor((arrival.getTime() - reference.getTime()) / 60000));
+}
+
+function resolveArrivalStatus(lateMinutes, graceMinutes = 0) {
+  return typeof lateMinutes === "number" && lateMinutes > graceMinutes ? "late" : "present";
+}
+
+// Share of the classes held that the student attended. Excused meetings are
+// taken out of the denominator, so an approved excuse raises the percentage.
+function getAttendancePercentage(presentDays, excusedClasses, classesHeld) {
+  const totalClasses = Math.max(classesHeld - excusedClasses, 0);
+  const attendancePercentage = totalClasses > 0
+    ? Math.round((presentDays / totalClasses) * 100)
+    : 100;
+  return { totalClasses, attendancePercentage };
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDED_STATUSES,
+  OVERRIDE_STATUSES,
+  getAttendancePercentage,
+  getLateMinutes,
+  resolveArrivalStatus,
+};
@@ -0,0 +1,160 @@
+const AuditLog = require("./models/AuditLog");
+const { getClientIp } = require("./login-security");
+
+// Secrets never reach the log; a password change shows up as passwordChangedAt.
+const REDACTED_FIELDS = [
+  "passwordHash",
+  "passwordHistory",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastStep",
+];
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const CSV_COLUMNS = [
+  "createdAt",
+  "institutionId",
+  "actorName",
+  "actorEmail",
+  "actorRole",
+  "action",
+  "entityType",
+  "entityId",
+  "entityLabel",
+  "field",
+  "before",
+  "after",
+  "details",
+  "ipAddress",
+];
+
+// Plain JSON copy of a document or object (ids and dates become strings),
+// without secrets and bookkeeping fields.
+function toAuditSnapshot(value) {
+  if (!value) return {};
+  const plain = typeof value.toObject === "function" ? value.toObject({ depopulate: true }) : value;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+  [...REDACTED_FIELDS, ...IGNORED_FIELDS].forEach((field) => {
+    delete snapshot[field];
+  });
+  return snapshot;
+}
+
+function flattenSnapshot(value, prefix = "", output = {}) {
+  Object.entries(value || {}).forEach(([key, fieldValue]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (fieldValue && typeof fieldValue === "object" && !Array.isArray(fieldValue)) {
+      flattenSnapshot(fieldValue, path, output);
+    } else {
+      output[path] = fieldValue === undefined ? null : fieldValue;
+    }
+  });
+  return output;
+}
+
+// Fields that differ between two snapshots, as { field, before, after } with
+// dotted paths (e.g. attendancePolicy.geofence.radiusMeters). Arrays are
+// compared and stored whole.
+function diffSnapshots(before, after) {
+  const flatBefore = flattenSnapshot(before);
+  const flatAfter = flattenSnapshot(after);
+  const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+  return fields
+    .filter((field) => JSON.stringify(flatBefore[field] ?? null) !== JSON.stringify(flatAfter[field] ?? null))
+    .map((field) => ({
+      field,
+      before: flatBefore[field] ?? null,
+      after: flatAfter[field] ?? null,
+    }));
+}
+
+// Appends one entry for a change made by `req.authUser` (or `actor`, for
+// changes made while signed out such as a password reset). `before` is empty
+// for creations. A failed write is logged but does not undo or fail the
+// change it describes.
+async function recordAudit(req, {
+  action,
+  entityType,
+  entityId = null,
+  entityLabel = "",
+  institutionId = null,
+  before = null,
+  after = null,
+  details = null,
+  actor = null,
+}) {
+  const auditActor = actor || req.authUser || {};
+  try {
+    await AuditLog.create({
+      institutionId: institutionId || null,
+      actorId: auditActor._id || null,
+      actorName: auditActor.name || "",
+      actorEmail: auditActor.email || "",
+      actorRole: auditActor.role || "",
+      action,
+      entityType,
+      entityId: entityId || null,
+      entityLabel: String(entityLabel || "").slice(0, 300),
+      changes: before || after ? diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after)) : [],
+      details,
+      ipAddress: getClientIp(req),
+      userAgent: String(req.get("user-agent") || "").slice(0, 400),
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+}
+
+function mapAuditLog(entry) {
+  return {
+    id: String(entry._id),
+    createdAt: entry.createdAt,
+    institutionId: entry.institutionId ? String(entry.institutionId) : null,
+    actorId: entry.actorId ? String(entry.actorId) : null,
+    actorName: entry.actorName || "",
+    actorEmail: entry.actorEmail || "",
+    actorRole: entry.actorRole || "",
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId ? String(entry.entityId) : null,
+    entityLabel: entry.entityLabel || "",
+    changes: entry.changes || [],
+    details: entry.details || null,
+    ipAddress: entry.ipAddress || "",
+    userAgent: entry.userAgent || "",
+  };
+}
+
+// Quotes a CSV cell, and defuses values a spreadsheet would run as a formula.
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per changed field; entries without field changes get one row.
+function buildAuditCsv(entries) {
+  const lines = [CSV_COLUMNS.join(",")];
+  entries.map(mapAuditLog).forEach((entry) => {
+    const changes = entry.changes.length ? entry.changes : [{ field: "", before: null, after: null }];
+    changes.forEach((change) => {
+      const row = {
+        ...entry,
+        createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : "",
+        field: change.field,
+        before: change.before,
+        after: change.after,
+      };
+      lines.push(CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(","));
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  toAuditSnapshot,
+  recordAudit,
+  mapAuditLog,
+  buildAuditCsv,
+};
@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AdminSession = require("./models/AdminSession");
+const { getClientIp } = require("./login-security");
+
+// A session lives this long after its last refresh.
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS || 14);
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+// lastSeenAt is written at most this often per session.
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+const MAX_LISTED_SESSIONS = 100;
+
+function createSessionError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored.
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashRefreshSecret(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || "").trim().split(".");
+  if (extra !== undefined || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, hash: hashRefreshSecret(secret) };
+}
+
+function getRefreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function isSessionActive(session, now = new Date()) {
+  return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+function mapSession(session, currentSessionId = null) {
+  return {
+    id: String(session._id),
+    ipAddress: session.ipAddress || "",
+    lastSeenIp: session.lastSeenIp || session.ipAddress || "",
+    userAgent: session.userAgent || "",
+    createdAt: session.createdAt || null,
+    lastSeenAt: session.lastSeenAt || null,
+    expiresAt: session.expiresAt || null,
+    current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId),
+  };
+}
+
+async function createSession(user, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, hash } = buildRefreshToken(sessionId);
+  const ipAddress = getClientIp(req);
+  const institutionId =
+    user.institutionId && typeof user.institutionId === "object" && user.institutionId._id
+      ? user.institutionId._id
+      : user.institutionId || null;
+
+  const session = await AdminSession.create({
+    _id: sessionId,
+    userId: user._id,
+    institutionId,
+    refreshTokenHash: hash,
+    ipAddress,
+    lastSeenIp: ipAddress,
+    userAgent: String(req.get("user-agent") || "").slice(0, 400),
+    lastSeenAt: new Date(),
+    expiresAt: getRefreshExpiry(),
+  });
+  return { session, refreshToken };
+}
+
+async function revokeSessions(filter, reason) {
+  const result = await AdminSession.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+async function revokeSession(userId, sessionId, reason) {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId || ""))) return 0;
+  return revokeSessions({ _id: sessionId, userId }, reason);
+}
+
+// Ends every session of the user, except `exceptSessionId` (e.g. the admin
+// changing their own password stays signed in on that device).
+async function revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const filter = { userId };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return revokeSessions(filter, reason);
+}
+
+// Trades a refresh token for a new one. The token replaced by the last
+// refresh is accepted during a short grace period without another rotation
+// (the caller keeps the newer token it already stored); any other reuse of an
+// old token means it leaked, and the session is revoked.
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw createSessionError("Invalid refresh token");
+  }
+
+  const now = new Date();
+  const session = await AdminSession.findById(parsed.sessionId)
+    .select("+refreshTokenHash +previousRefreshTokenHash")
+    .lean();
+  if (!isSessionActive(session, now)) {
+    throw createSessionError("Session has ended. Please sign in again.");
+  }
+
+  const ipAddress = getClientIp(req);
+  if (session.refreshTokenHash === parsed.hash) {
+    const next = buildRefreshToken(session._id);
+    const rotated = await AdminSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: parsed.hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: next.hash,
+          previousRefreshTokenHash: parsed.hash,
+          rotatedAt: now,
+          lastSeenAt: now,
+          lastSeenIp: ipAddress,
+          expiresAt: getRefreshExpiry(now),
+        },
+      },
+      { new: true }
+    ).lean();
+    // Lost the race to a concurrent refresh, which is the grace case below.
+    return { session: rotated || session, refreshToken: rotated ? next.refreshToken : null };
+  }
+
+  const withinGrace =
+    session.previousRefreshTokenHash === parsed.hash &&
+    session.rotatedAt &&
+    now - new Date(session.rotatedAt) <= REFRESH_REUSE_GRACE_SECONDS * 1000;
+  if (withinGrace) {
+    return { session, refreshToken: null };
+  }
+
+  await revokeSessions({ _id: session._id }, "refresh_token_reuse");
+  throw createSessionError("Session has ended. Please sign in again.");
+}
+
+// Ends the session a refresh token belongs to (sign out on this device).
+async function revokeSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return 0;
+  return revokeSessions(
+    {
+      _id: parsed.sessionId,
+      $or: [{ refreshTokenHash: parsed.hash }, { previousRefreshTokenHash: parsed.hash }],
+    },
+    "signed_out"
+  );
+}
+
+async function findActiveSession(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId || ""))) return null;
+  const session = await AdminSession.findById(sessionId).lean();
+  return isSessionActive(session) ? session : null;
+}
+
+async function touchSession(session, req) {
+  const now = new Date();
+  if (session.lastSeenAt && now - new Date(session.lastSeenAt) < LAST_SEEN_INTERVAL_MS) return;
+  await AdminSession.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: now, lastSeenIp: getClientIp(req) } }
+  );
+}
+
+async function listActiveSessions(userId) {
+  return AdminSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .limit(MAX_LISTED_SESSIONS)
+    .lean();
+}
+
+module.exports = {
+  mapSession,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeSessionByRefreshToken,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+};
@@ -0,0 +1,298 @@
+const mongoose = require("mongoose");
+const ClassMeeting = require("./models/ClassMeeting");
+const Attendance = require("./models/Attendance");
+const Course = require("./models/Course");
+const CourseEnrollment = require("./models/CourseEnrollment");
+const QRLog = require("./models/QRLog");
+const { findExcusedStudentEmails } = require("./excuse-requests");
+const { DEFAULT_TIME_ZONE, getLocalDate } = require("./institution-time");
+const { findCancelledOccurrence, getCourseOccurrences } = require("./course-schedule");
+
+const MEETING_CREATE_ATTEMPTS = 5;
+// Meetings with no session live or closed within this window are closed by
+// the sweep, which also generates their absences.
+const MEETING_AUTO_CLOSE_MINUTES = Number(process.env.MEETING_AUTO_CLOSE_MINUTES || 30);
+const MEETING_SWEEP_BATCH = 100;
+
+// Meetings are bucketed by the institution's calendar date, so an evening
+// class is not filed under the next UTC day.
+function getMeetingDate(now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return getLocalDate(now, timeZone);
+}
+
+function createMeetingError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function mapClassMeeting(meeting) {
+  if (!meeting) return null;
+  return {
+    id: String(meeting._id),
+    institutionId: meeting.institutionId ? String(meeting.institutionId) : null,
+    courseId: meeting.courseId ? String(meeting.courseId) : null,
+    courseCode: meeting.courseCode || null,
+    courseName: meeting.courseName || null,
+    section: meeting.section || null,
+    date: meeting.date,
+    sequence: meeting.sequence,
+    label: meeting.label || `Meeting ${meeting.sequence}`,
+    startedAt: meeting.startedAt ? new Date(meeting.startedAt).getTime() : null,
+    source: meeting.source || "qr",
+    createdBy: meeting.createdBy ? String(meeting.createdBy) : null,
+    createdByName: meeting.createdByName || null,
+    status: meeting.status || "open",
+    closedAt: meeting.closedAt ? new Date(meeting.closedAt).getTime() : null,
+    closedBy: meeting.closedBy ? String(meeting.closedBy) : null,
+    closedByName: meeting.closedByName || null,
+  };
+}
+
+async function findClassMeeting(meetingId, { institutionId, courseId } = {}) {
+  const normalizedId = String(meetingId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(normalizedId)) return null;
+
+  const filter = { _id: normalizedId };
+  if (institutionId) filter.institutionId = institutionId;
+  if (courseId) filter.courseId = courseId;
+  return ClassMeeting.findOne(filter).lean();
+}
+
+// Starts the next meeting of a course for the day. Sequence numbers are
+// allocated optimistically; the unique index turns a race between two tabs
+// into a retry instead of a duplicate.
+async function createClassMeeting({
+  institutionId,
+  course,
+  createdBy = null,
+  createdByName = null,
+  label = "",
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE,
+}) {
+  const date = getMeetingDate(now, timeZone);
+
+  for (let attempt = 0; attempt < MEETING_CREATE_ATTEMPTS; attempt += 1) {
+    const last = await ClassMeeting.findOne({ institutionId, courseId: course._id, date })
+      .sort({ sequence: -1 })
+      .select("sequence")
+      .lean();
+
+    try {
+      const meeting = await ClassMeeting.create({
+        institutionId,
+        courseId: course._id,
+        courseCode: course.code || null,
+        courseName: course.name || null,
+        section: course.section || null,
+        date,
+        sequence: (last?.sequence || 0) + 1,
+        label: String(label || "").trim(),
+        startedAt: now,
+        source: "qr",
+        createdBy,
+        createdByName,
+      });
+      return meeting.toObject();
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  throw createMeetingError("Could not start a new class meeting. Please retry.", 409);
+}
+
+async function findLatestClassMeeting({ institutionId, courseId, timeZone = DEFAULT_TIME_ZONE, date = getMeetingDate(new Date(), timeZone) }) {
+  return ClassMeeting.findOne({ institutionId, courseId, date }).sort({ sequence: -1 }).lean();
+}
+
+// Students who checked in but never checked out are absent for the meeting.
+// Returns how many rows were finalized.
+async function finalizeMeetingCheckOuts(meetingId) {
+  const result = await Attendance.updateMany(
+    { meetingId, status: "checked_in" },
+    { $set: { status: "absent", presenceMinutes: 0 } }
+  );
+  return result.modifiedCount || 0;
+}
+
+// Whether the meeting falls on a day whose class was cancelled or moved away
+// with nothing else scheduled, so no one is marked absent for it.
+async function isCancelledMeetingDay(meeting) {
+  const course = await Course.findById(meeting.courseId)
+    .select("scheduleBlocks daysOfWeek startTime endTime scheduleExceptions")
+    .lean();
+  if (!course) return false;
+  return Boolean(findCancelledOccurrence(course, meeting.date)) && !getCourseOccurrences(course, meeting.date).length;
+}
+
+// Explicit absent rows for every active enrollment without a row in the
+// meeting (excused for students with an approved excuse request). Scans later
+// in a reopened meeting overwrite the absent rows. Meetings held on a
+// cancelled class day get no absences.
+async function generateMeetingAbsences(meeting) {
+  if (await isCancelledMeetingDay(meeting)) return 0;
+
+  const [enrollments, existingRows, excusedEmails] = await Promise.all([
+    CourseEnrollment.find({
+      institutionId: meeting.institutionId,
+      courseId: meeting.courseId,
+      isActive: true,
+    }).select("universityRollNo email fullName section classRollNo").lean(),
+    Attendance.find({ meetingId: meeting._id }).select("studentEmail universityRollNo").lean(),
+    findExcusedStudentEmails(meeting),
+  ]);
+
+  const recorded = new Set();
+  existingRows.forEach((row) => {
+    if (row.studentEmail) recorded.add(String(row.studentEmail).toLowerCase());
+    if (row.universityRollNo) recorded.add(String(row.universityRollNo).toLowerCase());
+  });
+
+  const missing = enrollments.filter((enrollment) =>
+    !recorded.has(String(enrollment.email || "").toLowerCase()) &&
+    !recorded.has(String(enrollment.universityRollNo || "").toLowerCase())
+  );
+  if (!missing.length) return 0;
+
+  // Scans key students by email (studentEmail and universityRollNo), so the
+  // generated rows do the same.
+  const rows = missing.map((enrollment) => ({
+    institutionId: meeting.institutionId,
+    meetingId: meeting._id,
+    courseId: meeting.courseId,
+    courseCode: meeting.courseCode,
+    courseName: meeting.courseName,
+    name: enrollment.fullName,
+    studentEmail: enrollment.email,
+    universityRollNo: enrollment.email,
+    section: enrollment.section,
+    classRollNo: enrollment.classRollNo,
+    date: meeting.date,
+    time: null,
+    status: excusedEmails.has(String(enrollment.email || "").toLowerCase()) ? "excused" : "absent",
+    source: "system",
+  }));
+  await Attendance.insertMany(rows, { ordered: false });
+  return rows.filter((row) => row.status === "absent").length;
+}
+
+async function closeClassMeeting(meetingId, actor = {}) {
+  const meeting = await ClassMeeting.findOneAndUpdate(
+    { _id: meetingId, status: { $ne: "closed" } },
+    {
+      $set: {
+        status: "closed",
+        closedAt: new Date(),
+        closedBy: actor.userId || null,
+        closedByName: actor.name || null,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!meeting) {
+    throw createMeetingError("Class meeting is already closed", 409);
+  }
+
+  const missedCheckOutCount = await finalizeMeetingCheckOuts(meeting._id);
+  const absentCount = await generateMeetingAbsences(meeting);
+  return { meeting, absentCount, missedCheckOutCount };
+}
+
+async function reopenClassMeeting(meetingId) {
+  return ClassMeeting.findOneAndUpdate(
+    { _id: meetingId, status: "closed" },
+    { $set: { status: "open", closedAt: null, closedBy: null, closedByName: null } },
+    { new: true }
+  ).lean();
+}
+
+async function closeIdleClassMeetings(now = new Date()) {
+  const cutoff = new Date(now.getTime() - MEETING_AUTO_CLOSE_MINUTES * 60000);
+  const candidates = await ClassMeeting.find({ status: "open", startedAt: { $lt: cutoff } })
+    .sort({ startedAt: 1 })
+    .limit(MEETING_SWEEP_BATCH)
+    .select("_id")
+    .lean();
+
+  let closed = 0;
+  for (const candidate of candidates) {
+    const hasRecentSession = await QRLog.exists({ meetingId: candidate._id, expiresAt: { $gt: cutoff } });
+    if (hasRecentSession) continue;
+    try {
+      await closeClassMeeting(candidate._id);
+      closed += 1;
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+  }
+  return closed;
+}
+
+// Attendance recorded before meetings existed was unique per course and day,
+// so each legacy (course, date) group becomes meeting #1 of that day.
+async function backfillAttendanceMeetings() {
+  const groups = await Attendance.aggregate([
+    {
+      $match: {
+        $or: [{ meetingId: { $exists: false } }, { meetingId: null }],
+        courseId: { $ne: null },
+        institutionId: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: { institutionId: "$institutionId", courseId: "$courseId", date: "$date" },
+        courseCode: { $first: "$courseCode" },
+        courseName: { $first: "$courseName" },
+        section: { $first: "$section" },
+      },
+    },
+  ]);
+
+  let updatedAttendances = 0;
+  for (const group of groups) {
+    const { institutionId, courseId, date } = group._id;
+    const meeting = await ClassMeeting.findOneAndUpdate(
+      { institutionId, courseId, date, sequence: 1 },
+      {
+        $setOnInsert: {
+          courseCode: group.courseCode || null,
+          courseName: group.courseName || null,
+          section: group.section || null,
+          startedAt: new Date(`${date}T00:00:00.000Z`),
+          source: "backfill",
+          status: "closed",
+        },
+      },
+      { new: true, upsert: true }
+    ).select("_id");
+
+    const result = await Attendance.updateMany(
+      {
+        institutionId,
+        courseId,
+        date,
+        $or: [{ meetingId: { $exists: false } }, { meetingId: null }],
+      },
+      { $set: { meetingId: meeting._id } }
+    );
+    updatedAttendances += result.modifiedCount || 0;
+  }
+
+  return { meetings: groups.length, attendances: updatedAttendances };
+}
+
+module.exports = {
+  getMeetingDate,
+  mapClassMeeting,
+  findClassMeeting,
+  createClassMeeting,
+  findLatestClassMeeting,
+  finalizeMeetingCheckOuts,
+  closeClassMeeting,
+  reopenClassMeeting,
+  closeIdleClassMeetings,
+  backfillAttendanceMeetings,
+};
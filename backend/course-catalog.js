@@ -0,0 +1,330 @@
+const mongoose = require("mongoose");
+const CatalogCourse = require("./models/CatalogCourse");
+const Course = require("./models/Course");
+const CourseEnrollment = require("./models/CourseEnrollment");
+const ClassMeeting = require("./models/ClassMeeting");
+const Attendance = require("./models/Attendance");
+const { ATTENDED_STATUSES } = require("./attendance-status");
+const { resolveCourseProgram } = require("./program-catalog");
+const { recordAudit } = require("./audit-log");
+
+function createCatalogError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Fields a section copies from its catalog course.
+function getCatalogFields(catalogCourse) {
+  return {
+    catalogCourseId: catalogCourse._id,
+    code: catalogCourse.code,
+    name: catalogCourse.name,
+    program: catalogCourse.program,
+    programVersion: catalogCourse.programVersion,
+    programId: catalogCourse.programId || null,
+    programVersionId: catalogCourse.programVersionId || null,
+  };
+}
+
+// Rewrites the copied fields on every section of the catalog course.
+async function syncCatalogSections(catalogCourse) {
+  const result = await Course.updateMany(
+    { institutionId: catalogCourse.institutionId, catalogCourseId: catalogCourse._id },
+    { $set: getCatalogFields(catalogCourse) }
+  );
+  return result.modifiedCount || 0;
+}
+
+function recordCatalogAudit(req, action, catalogCourse, before = null) {
+  return recordAudit(req, {
+    action,
+    entityType: "catalog_course",
+    entityId: catalogCourse._id,
+    entityLabel: `${catalogCourse.code} ${catalogCourse.name}`,
+    institutionId: catalogCourse.institutionId,
+    before,
+    after: action.endsWith(".delete") ? null : catalogCourse,
+  });
+}
+
+// `rollup` is the entry buildCatalogRollups returned for the course, if any.
+function mapCatalogCourse(catalogCourse, rollup = null) {
+  return {
+    id: String(catalogCourse._id),
+    institutionId: catalogCourse.institutionId ? String(catalogCourse.institutionId) : null,
+    code: catalogCourse.code,
+    name: catalogCourse.name,
+    description: catalogCourse.description || "",
+    program: catalogCourse.program || "General",
+    programVersion: catalogCourse.programVersion || "1",
+    programId: catalogCourse.programId ? String(catalogCourse.programId) : null,
+    programVersionId: catalogCourse.programVersionId ? String(catalogCourse.programVersionId) : null,
+    isActive: catalogCourse.isActive !== false,
+    rollup: rollup || emptyRollup(),
+  };
+}
+
+function emptyRollup() {
+  return {
+    sections: 0,
+    activeSections: 0,
+    academicYears: [],
+    enrolledStudents: 0,
+    meetingsHeld: 0,
+    attended: 0,
+    absent: 0,
+    excused: 0,
+    attendanceRate: null,
+  };
+}
+
+// Attended share of the final statuses; excused and still checked-in rows
+// are left out.
+function addAttendanceRate(rollup) {
+  const counted = rollup.attended + rollup.absent;
+  rollup.attendanceRate = counted ? Math.round((rollup.attended / counted) * 1000) / 10 : null;
+  return rollup;
+}
+
+// Per-section enrollment, meeting and attendance totals for the given
+// sections, limited to meetings dated from..to (YYYY-MM-DD) when set.
+async function buildSectionRollups(institutionId, sectionIds, { from = null, to = null } = {}) {
+  const institutionObjectId = new mongoose.Types.ObjectId(String(institutionId));
+  const dateMatch = {};
+  if (from) dateMatch.$gte = from;
+  if (to) dateMatch.$lte = to;
+  const datedMatch = Object.keys(dateMatch).length ? { date: dateMatch } : {};
+  const courseMatch = { institutionId: institutionObjectId, courseId: { $in: sectionIds } };
+
+  const [enrollments, meetings, attendance] = await Promise.all([
+    CourseEnrollment.aggregate([
+      { $match: { ...courseMatch, isActive: true } },
+      { $group: { _id: "$courseId", rollNos: { $addToSet: "$universityRollNo" } } },
+    ]),
+    ClassMeeting.aggregate([
+      { $match: { ...courseMatch, ...datedMatch } },
+      { $group: { _id: "$courseId", count: { $sum: 1 } } },
+    ]),
+    Attendance.aggregate([
+      { $match: { ...courseMatch, ...datedMatch } },
+      { $group: { _id: { courseId: "$courseId", status: "$status" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const rollups = new Map(sectionIds.map((id) => [
+    String(id),
+    { rollNos: [], meetingsHeld: 0, attended: 0, absent: 0, excused: 0 },
+  ]));
+  enrollments.forEach((row) => {
+    const entry = rollups.get(String(row._id));
+    if (entry) entry.rollNos = row.rollNos;
+  });
+  meetings.forEach((row) => {
+    const entry = rollups.get(String(row._id));
+    if (entry) entry.meetingsHeld = row.count;
+  });
+  attendance.forEach((row) => {
+    const entry = rollups.get(String(row._id.courseId));
+    if (!entry) return;
+    if (ATTENDED_STATUSES.includes(row._id.status)) entry.attended += row.count;
+    else if (row._id.status === "absent" || row._id.status === "partial") entry.absent += row.count;
+    else if (row._id.status === "excused") entry.excused += row.count;
+  });
+  return rollups;
+}
+
+// Sections of each catalog course rolled up to the catalog level. Returns
+// { catalog: Map(catalogCourseId -> rollup), sections: Map(courseId ->
+// rollup) }; students enrolled in several sections are counted once.
+async function buildCatalogRollups(institutionId, catalogCourseIds, options = {}) {
+  const sections = await Course.find({ institutionId, catalogCourseId: { $in: catalogCourseIds } })
+    .select("catalogCourseId section academicYear termId isActive")
+    .lean();
+  const sectionRollups = await buildSectionRollups(institutionId, sections.map((section) => section._id), options);
+
+  const catalog = new Map();
+  const sectionMap = new Map();
+  const rollNosByCatalog = new Map();
+  sections.forEach((section) => {
+    const key = String(section.catalogCourseId);
+    const source = sectionRollups.get(String(section._id));
+    if (!catalog.has(key)) {
+      catalog.set(key, emptyRollup());
+      rollNosByCatalog.set(key, new Set());
+    }
+    const rollup = catalog.get(key);
+    rollup.sections += 1;
+    if (section.isActive !== false) rollup.activeSections += 1;
+    if (section.academicYear && !rollup.academicYears.includes(section.academicYear)) {
+      rollup.academicYears.push(section.academicYear);
+    }
+    rollup.meetingsHeld += source.meetingsHeld;
+    rollup.attended += source.attended;
+    rollup.absent += source.absent;
+    rollup.excused += source.excused;
+    source.rollNos.forEach((rollNo) => rollNosByCatalog.get(key).add(rollNo));
+
+    sectionMap.set(String(section._id), addAttendanceRate({
+      enrolledStudents: source.rollNos.length,
+      meetingsHeld: source.meetingsHeld,
+      attended: source.attended,
+      absent: source.absent,
+      excused: source.excused,
+      attendanceRate: null,
+    }));
+  });
+
+  catalog.forEach((rollup, key) => {
+    rollup.enrolledStudents = rollNosByCatalog.get(key).size;
+    rollup.academicYears.sort();
+    addAttendanceRate(rollup);
+  });
+  return { catalog, sections: sectionMap };
+}
+
+function readCatalogCode(value) {
+  const code = String(value || "").trim().toUpperCase();
+  if (!code) {
+    throw createCatalogError("Code, name and section are required");
+  }
+  if (code.length > 40) {
+    throw createCatalogError("Course code must be at most 40 characters");
+  }
+  return code;
+}
+
+function hasProgramInput(body) {
+  return ["program", "programVersion", "programVersionId"].some((field) => body[field] !== undefined);
+}
+
+// Compatibility layer for the section endpoints (/courses), which still take
+// code, name and program in the body. The section is attached to the catalog
+// course given by catalogCourseId, or else to the one with its code, which is
+// created when missing. A name or program in the body that differs from the
+// catalog entry updates the catalog course, and with it every section.
+// Nothing is written here: the catalog course is only validated, and
+// saveSectionCatalog stores it once the section itself has been saved.
+// Returns { catalogCourse, created, before } with `before` the catalog
+// snapshot when the catalog course was changed.
+async function resolveSectionCatalog(institutionId, body, { current = null, authUserId = null } = {}) {
+  const source = body && typeof body === "object" ? body : {};
+  const catalogCourseId = String(source.catalogCourseId || "").trim();
+  let catalogCourse = null;
+
+  if (catalogCourseId) {
+    catalogCourse = mongoose.Types.ObjectId.isValid(catalogCourseId)
+      ? await CatalogCourse.findOne({ _id: catalogCourseId, institutionId })
+      : null;
+    if (!catalogCourse) {
+      throw createCatalogError("catalogCourseId references an unknown catalog course");
+    }
+  } else {
+    const code = readCatalogCode(source.code ?? current?.code);
+    catalogCourse = await CatalogCourse.findOne({ institutionId, code });
+    if (!catalogCourse) {
+      const name = String(source.name ?? current?.name ?? "").trim();
+      if (!name) {
+        throw createCatalogError("Code, name and section are required");
+      }
+      // Without program fields a moved section keeps its current program.
+      const programRef = hasProgramInput(source) || !current?.programVersionId
+        ? await resolveCourseProgram(institutionId, source, current?.programVersionId)
+        : {
+            program: current.program,
+            programVersion: current.programVersion,
+            programId: current.programId,
+            programVersionId: current.programVersionId,
+          };
+      catalogCourse = new CatalogCourse({
+        institutionId,
+        code,
+        name,
+        ...programRef,
+        createdBy: authUserId,
+      });
+      await catalogCourse.validate();
+      return { catalogCourse, created: true, before: null };
+    }
+  }
+
+  const before = catalogCourse.toObject();
+  const name = source.name !== undefined ? String(source.name || "").trim() : catalogCourse.name;
+  if (!name) {
+    throw createCatalogError("Code, name and section are required");
+  }
+  catalogCourse.name = name;
+  if (hasProgramInput(source)) {
+    catalogCourse.set(await resolveCourseProgram(institutionId, source, catalogCourse.programVersionId));
+  }
+  if (!catalogCourse.isModified()) {
+    return { catalogCourse, created: false, before: null };
+  }
+  await catalogCourse.validate();
+  return { catalogCourse, created: false, before };
+}
+
+// Stores the catalog course resolveSectionCatalog created or changed and
+// copies a change to the other sections.
+async function saveSectionCatalog({ catalogCourse, created, before }) {
+  if (!created && !before) return;
+  await catalogCourse.save();
+  if (before) await syncCatalogSections(catalogCourse);
+}
+
+// Links sections saved before the catalog existed: one catalog course per
+// institution and code, named after the most recently edited section. Safe
+// to run on every start.
+async function backfillCourseCatalog() {
+  const groups = await Course.aggregate([
+    { $match: { catalogCourseId: null, institutionId: { $ne: null } } },
+    { $sort: { updatedAt: -1 } },
+    {
+      $group: {
+        _id: { institutionId: "$institutionId", code: "$code" },
+        courseIds: { $push: "$_id" },
+        name: { $first: "$name" },
+        program: { $first: "$program" },
+        programVersion: { $first: "$programVersion" },
+        programId: { $first: "$programId" },
+        programVersionId: { $first: "$programVersionId" },
+      },
+    },
+  ]);
+
+  let linkedSections = 0;
+  for (const group of groups) {
+    const { institutionId, code } = group._id;
+    const catalogCourse = await CatalogCourse.findOneAndUpdate(
+      { institutionId, code },
+      {
+        $setOnInsert: {
+          name: group.name,
+          program: group.program || "General",
+          programVersion: group.programVersion || "1",
+          programId: group.programId || null,
+          programVersionId: group.programVersionId || null,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    const result = await Course.updateMany(
+      { _id: { $in: group.courseIds } },
+      { $set: { catalogCourseId: catalogCourse._id } }
+    );
+    linkedSections += result.modifiedCount || 0;
+  }
+  return { catalogCourses: groups.length, linkedSections };
+}
+
+module.exports = {
+  readCatalogCode,
+  getCatalogFields,
+  syncCatalogSections,
+  mapCatalogCourse,
+  recordCatalogAudit,
+  buildCatalogRollups,
+  resolveSectionCatalog,
+  saveSectionCatalog,
+  backfillCourseCatalog,
+};
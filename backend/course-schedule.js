@@ -0,0 +1,213 @@
+const { DEFAULT_TIME_ZONE, getZonedParts } = require("./institution-time");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Indexed by Date#getUTCDay().
+const WEEKDAY_CODES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const DAY_ORDER = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+function toMinutes(timeValue) {
+  if (!timeValue || !TIME_PATTERN.test(timeValue)) return null;
+  const [hours, minutes] = timeValue.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function isValidBlockTime(startTime, endTime) {
+  const startMinutes = toMinutes(startTime);
+  const endMinutes = toMinutes(endTime);
+  return startMinutes !== null && endMinutes !== null && endMinutes > startMinutes;
+}
+
+// The course's weekly meetings, by day then start time. Courses saved before
+// scheduleBlocks existed get one block per daysOfWeek entry, without a room
+// and in the course's delivery mode.
+function getScheduleBlocks(course) {
+  const stored = Array.isArray(course?.scheduleBlocks) ? course.scheduleBlocks : [];
+  let blocks = stored
+    .filter((block) => DAY_ORDER.includes(block?.dayOfWeek) && isValidBlockTime(block.startTime, block.endTime))
+    .map((block) => ({
+      dayOfWeek: block.dayOfWeek,
+      startTime: block.startTime,
+      endTime: block.endTime,
+      locationId: block.locationId ? String(block.locationId) : null,
+      deliveryMode: block.deliveryMode || null,
+    }));
+  if (!stored.length && isValidBlockTime(course?.startTime, course?.endTime)) {
+    const daysOfWeek = Array.isArray(course?.daysOfWeek) ? course.daysOfWeek : [];
+    blocks = daysOfWeek
+      .filter((day) => DAY_ORDER.includes(day))
+      .map((day) => ({ dayOfWeek: day, startTime: course.startTime, endTime: course.endTime, locationId: null, deliveryMode: null }));
+  }
+  return blocks.sort((left, right) =>
+    DAY_ORDER.indexOf(left.dayOfWeek) - DAY_ORDER.indexOf(right.dayOfWeek) || left.startTime.localeCompare(right.startTime)
+  );
+}
+
+// "MON 08:00-10:00, THU 14:00-16:00"
+function formatScheduleBlocks(course) {
+  return getScheduleBlocks(course)
+    .map((block) => `${block.dayOfWeek} ${block.startTime}-${block.endTime}`)
+    .join(", ");
+}
+
+function hasCourseSchedule(course) {
+  return getScheduleBlocks(course).length > 0;
+}
+
+function getWeekdayCode(date) {
+  return WEEKDAY_CODES[new Date(`${date}T00:00:00.000Z`).getUTCDay()];
+}
+
+function getScheduleExceptions(course) {
+  return Array.isArray(course?.scheduleExceptions) ? course.scheduleExceptions : [];
+}
+
+// The weekly blocks on `date` (YYYY-MM-DD), before exceptions.
+function getBlocksOnDate(course, date) {
+  const weekday = getWeekdayCode(date);
+  return getScheduleBlocks(course).filter((block) => block.dayOfWeek === weekday);
+}
+
+// Whether the weekly timetable has a class on `date`, before exceptions.
+function isRegularMeetingDay(course, date) {
+  return getBlocksOnDate(course, date).length > 0;
+}
+
+// The cancel or reschedule exception that takes a weekly class off `date`.
+// With `startTime` only the block starting then counts; exceptions saved
+// without originalStartTime cover every block that day.
+function findCancelledOccurrence(course, date, startTime = null) {
+  return getScheduleExceptions(course).find((exception) =>
+    (exception.kind === "cancel" || exception.kind === "reschedule") &&
+    exception.originalDate === date &&
+    (!startTime || !exception.originalStartTime || exception.originalStartTime === startTime)
+  ) || null;
+}
+
+// The course's classes on `date` after its schedule exceptions, by start
+// time: each weekly block unless it was cancelled or moved away, plus
+// classes moved to or made up on that day. `deliveryMode` is null when the
+// course's own mode applies.
+function getCourseOccurrences(course, date) {
+  const occurrences = [];
+  getBlocksOnDate(course, date).forEach((block) => {
+    if (findCancelledOccurrence(course, date, block.startTime)) return;
+    occurrences.push({
+      date,
+      startTime: block.startTime,
+      endTime: block.endTime,
+      kind: "regular",
+      locationId: block.locationId,
+      deliveryMode: block.deliveryMode,
+      reason: "",
+    });
+  });
+  getScheduleExceptions(course).forEach((exception) => {
+    if (exception.kind === "cancel" || exception.date !== date) return;
+    occurrences.push({
+      date,
+      startTime: exception.startTime,
+      endTime: exception.endTime,
+      kind: exception.kind,
+      locationId: exception.locationId ? String(exception.locationId) : null,
+      deliveryMode: null,
+      reason: exception.reason || "",
+    });
+  });
+  return occurrences.sort((left, right) => left.startTime.localeCompare(right.startTime));
+}
+
+// Schedules are wall clock times in the institution's timezone. Ranks the
+// class in progress first, then the next one today, then the one that ended
+// last; `cancelledToday` is set when a weekly class today was cancelled or
+// moved and no other weekly or moved class remains.
+function evaluateCourseSchedule(course, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const { date, minutes: nowMinutes } = getZonedParts(now, timeZone);
+  const occurrences = getCourseOccurrences(course, date);
+  const result = {
+    hasSchedule: hasCourseSchedule(course),
+    scheduledToday: occurrences.length > 0,
+    inScheduleWindow: false,
+    upcomingToday: false,
+    cancelledToday: Boolean(findCancelledOccurrence(course, date)) && !occurrences.some((entry) => entry.kind !== "makeup"),
+    occurrence: null,
+    rank: 0,
+  };
+  if (!occurrences.length) return result;
+
+  const current = occurrences.find((entry) =>
+    nowMinutes >= toMinutes(entry.startTime) && nowMinutes <= toMinutes(entry.endTime)
+  );
+  if (current) {
+    return { ...result, inScheduleWindow: true, occurrence: current, rank: 300 + (toMinutes(current.endTime) - nowMinutes) };
+  }
+
+  const next = occurrences.find((entry) => nowMinutes < toMinutes(entry.startTime));
+  if (next) {
+    return { ...result, upcomingToday: true, occurrence: next, rank: 200 - (toMinutes(next.startTime) - nowMinutes) };
+  }
+
+  const last = occurrences[occurrences.length - 1];
+  return { ...result, occurrence: last, rank: 100 - (nowMinutes - toMinutes(last.endTime)) };
+}
+
+// An admin-granted window (make-up class) during which the timetable is not
+// enforced.
+function isScheduleOverrideActive(course, now = new Date()) {
+  const override = course?.scheduleOverride;
+  if (!override?.startsAt || !override?.endsAt) return false;
+  const time = now.getTime();
+  return new Date(override.startsAt).getTime() <= time && time <= new Date(override.endsAt).getTime();
+}
+
+// Whether QR generation and attendance are allowed right now under the
+// course's `enforceSchedule` policy: during one of today's classes (after
+// schedule exceptions), from its startTime minus the "before" leeway to its
+// endTime plus the "after" leeway, in the institution's timezone.
+function checkScheduleWindow(course, policy, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  if (!policy?.enforceSchedule || !hasCourseSchedule(course)) {
+    return { allowed: true, override: false, message: "" };
+  }
+  if (isScheduleOverrideActive(course, now)) {
+    return { allowed: true, override: true, message: "" };
+  }
+
+  const before = Number(policy.scheduleLeewayBeforeMinutes) || 0;
+  const after = Number(policy.scheduleLeewayAfterMinutes) || 0;
+  const { date, minutes: nowMinutes } = getZonedParts(now, timeZone);
+  const occurrences = getCourseOccurrences(course, date);
+  const inWindow = occurrences.some((entry) =>
+    nowMinutes >= toMinutes(entry.startTime) - before && nowMinutes <= toMinutes(entry.endTime) + after
+  );
+  if (inWindow) {
+    return { allowed: true, override: false, message: "" };
+  }
+
+  const label = course.code || "This course";
+  const cancelled = findCancelledOccurrence(course, date);
+  let message = `${label} is scheduled on ${formatScheduleBlocks(course)}. Attendance is only open during those windows.`;
+  if (occurrences.length) {
+    const times = occurrences.map((entry) => `${entry.startTime}-${entry.endTime}`).join(", ");
+    message = `${label} meets today at ${times}. Attendance is only open during that window.`;
+  } else if (cancelled?.kind === "reschedule") {
+    message = `Today's ${label} class was moved to ${cancelled.date} ${cancelled.startTime}-${cancelled.endTime}.`;
+  } else if (cancelled) {
+    message = `Today's ${label} class is cancelled${cancelled.reason ? ` (${cancelled.reason})` : ""}.`;
+  }
+  return { allowed: false, override: false, message };
+}
+
+module.exports = {
+  TIME_PATTERN,
+  toMinutes,
+  getWeekdayCode,
+  getScheduleBlocks,
+  formatScheduleBlocks,
+  hasCourseSchedule,
+  getBlocksOnDate,
+  isRegularMeetingDay,
+  findCancelledOccurrence,
+  getCourseOccurrences,
+  evaluateCourseSchedule,
+  isScheduleOverrideActive,
+  checkScheduleWindow,
+};
@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const ExcuseRequest = require("./models/ExcuseRequest");
+const ClassMeeting = require("./models/ClassMeeting");
+const Attendance = require("./models/Attendance");
+const CourseEnrollment = require("./models/CourseEnrollment");
+const { ATTENDED_STATUSES } = require("./attendance-status");
+
+// Certificates can hold medical details, so they are not placed under the
+// static frontend directory.
+const EXCUSE_ATTACHMENT_DIR =
+  process.env.EXCUSE_ATTACHMENT_DIR || path.join(__dirname, "uploads/excuse-attachments");
+const MAX_EXCUSE_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+const EXCUSE_ATTACHMENT_TYPES = {
+  "application/pdf": "pdf",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/webp": "webp",
+};
+const OVERRIDE_REASON_MAX_LENGTH = 500;
+
+function createExcuseError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseAttachmentDataUrl(dataUrl) {
+  const match = String(dataUrl || "").match(/^data:([a-z]+\/[a-z.+-]+);base64,([A-Za-z0-9+/=]+)$/i);
+  const mimeType = match ? String(match[1]).toLowerCase() : "";
+  if (!match || !EXCUSE_ATTACHMENT_TYPES[mimeType]) {
+    throw createExcuseError("Attachment must be a PDF, PNG, JPEG or WEBP file", 400);
+  }
+
+  const buffer = Buffer.from(match[2], "base64");
+  if (!buffer.length) {
+    throw createExcuseError("Attachment is empty", 400);
+  }
+  if (buffer.length > MAX_EXCUSE_ATTACHMENT_BYTES) {
+    throw createExcuseError("Attachment exceeds 4MB limit", 400);
+  }
+  return { buffer, mimeType, ext: EXCUSE_ATTACHMENT_TYPES[mimeType] };
+}
+
+function storeExcuseAttachment(institutionId, { dataUrl, fileName } = {}) {
+  const { buffer, mimeType, ext } = parseAttachmentDataUrl(dataUrl);
+  if (!fs.existsSync(EXCUSE_ATTACHMENT_DIR)) {
+    fs.mkdirSync(EXCUSE_ATTACHMENT_DIR, { recursive: true });
+  }
+
+  const safeName = String(fileName || "attachment")
+    .trim()
+    .replace(/[^a-zA-Z0-9._-]/g, "_")
+    .slice(0, 80) || "attachment";
+  const storedName = `excuse_${institutionId}_${crypto.randomBytes(12).toString("hex")}.${ext}`;
+  fs.writeFileSync(path.join(EXCUSE_ATTACHMENT_DIR, storedName), buffer);
+
+  return { fileName: safeName, storedName, mimeType, size: buffer.length };
+}
+
+function removeExcuseAttachment(attachment) {
+  if (!attachment?.storedName) return;
+  const filePath = path.join(EXCUSE_ATTACHMENT_DIR, path.basename(attachment.storedName));
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+function resolveExcuseAttachmentPath(attachment) {
+  if (!attachment?.storedName) return null;
+  const filePath = path.join(EXCUSE_ATTACHMENT_DIR, path.basename(attachment.storedName));
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+function mapExcuseRequest(request) {
+  if (!request) return null;
+  return {
+    id: String(request._id),
+    institutionId: request.institutionId ? String(request.institutionId) : null,
+    courseId: request.courseId ? String(request.courseId) : null,
+    courseCode: request.courseCode || null,
+    courseName: request.courseName || null,
+    section: request.section || null,
+    meetingId: request.meetingId ? String(request.meetingId) : null,
+    date: request.date,
+    studentEmail: request.studentEmail,
+    studentName: request.studentName || null,
+    universityRollNo: request.universityRollNo || null,
+    reason: request.reason,
+    attachment: request.attachment
+      ? {
+          fileName: request.attachment.fileName,
+          mimeType: request.attachment.mimeType,
+          size: request.attachment.size,
+        }
+      : null,
+    status: request.status,
+    reviewedBy: request.reviewedBy ? String(request.reviewedBy) : null,
+    reviewedByName: request.reviewedByName || null,
+    reviewedByRole: request.reviewedByRole || null,
+    reviewedAt: request.reviewedAt ? new Date(request.reviewedAt).getTime() : null,
+    reviewNote: request.reviewNote || "",
+    excusedCount: request.excusedCount || 0,
+    createdAt: request.createdAt ? new Date(request.createdAt).getTime() : null,
+  };
+}
+
+// Emails of students with an approved excuse covering the meeting, used when
+// absences are generated for it.
+async function findExcusedStudentEmails(meeting) {
+  const requests = await ExcuseRequest.find({
+    institutionId: meeting.institutionId,
+    courseId: meeting.courseId,
+    date: meeting.date,
+    status: "approved",
+    $or: [{ meetingId: null }, { meetingId: meeting._id }],
+  }).select("studentEmail").lean();
+  return new Set(requests.map((request) => String(request.studentEmail).toLowerCase()));
+}
+
+// Turns the student's non-attended rows in the covered meetings into
+// "excused", recording the change in each row's override history. Closed
+// meetings without a row get one; open meetings are handled when they close.
+async function applyApprovedExcuse(request, actor = {}) {
+  const meetingFilter = {
+    institutionId: request.institutionId,
+    courseId: request.courseId,
+    date: request.date,
+  };
+  if (request.meetingId) meetingFilter._id = request.meetingId;
+
+  const meetings = await ClassMeeting.find(meetingFilter).lean();
+  if (!meetings.length) return 0;
+
+  const studentEmail = String(request.studentEmail).toLowerCase();
+  const note = request.reviewNote ? ` (${request.reviewNote})` : "";
+  const reason = `Excuse request approved${note}: ${request.reason}`.slice(0, OVERRIDE_REASON_MAX_LENGTH);
+  const buildEntry = (previousStatus) => ({
+    previousStatus,
+    status: "excused",
+    reason,
+    by: actor.userId,
+    byName: actor.name || null,
+    byRole: actor.role || null,
+    at: new Date(),
+  });
+
+  let excusedCount = 0;
+  let enrollment;
+  for (const meeting of meetings) {
+    const row = await Attendance.findOne({
+      meetingId: meeting._id,
+      $or: [{ studentEmail }, { universityRollNo: studentEmail }],
+    }).select("status").lean();
+
+    if (row) {
+      if (ATTENDED_STATUSES.includes(row.status) || ["excused", "checked_in"].includes(row.status)) continue;
+      const updated = await Attendance.findOneAndUpdate(
+        { _id: row._id, status: row.status },
+        {
+          $set: { status: "excused", manualOverride: true },
+          $push: { overrides: buildEntry(row.status) },
+        }
+      );
+      if (updated) excusedCount += 1;
+      continue;
+    }
+
+    if (meeting.status !== "closed") continue;
+    if (enrollment === undefined) {
+      enrollment = await CourseEnrollment.findOne({
+        institutionId: request.institutionId,
+        courseId: request.courseId,
+        email: studentEmail,
+      }).lean();
+    }
+    await Attendance.create({
+      institutionId: meeting.institutionId,
+      meetingId: meeting._id,
+      courseId: meeting.courseId,
+      courseCode: meeting.courseCode,
+      courseName: meeting.courseName,
+      name: enrollment?.fullName || request.studentName || studentEmail,
+      studentEmail,
+      universityRollNo: studentEmail,
+      section: enrollment?.section || request.section || "-",
+      classRollNo: enrollment?.classRollNo || "-",
+      date: meeting.date,
+      time: null,
+      status: "excused",
+      source: "manual",
+      manualOverride: true,
+      overrides: [buildEntry(null)],
+    });
+    excusedCount += 1;
+  }
+
+  return excusedCount;
+}
+
+module.exports = {
+  MAX_EXCUSE_ATTACHMENT_BYTES,
+  storeExcuseAttachment,
+  removeExcuseAttachment,
+  resolveExcuseAttachmentPath,
+  mapExcuseRequest,
+  findExcusedStudentEmails,
+  applyApprovedExcuse,
+};
@@ -0,0 +1,61 @@
+// Device fingerprint hashing for the scan page. Each algorithm version stays
+// available so stored fingerprints keep matching after a new one is added.
+//
+// Version 1 is the 32-bit polynomial hash the old Java ConsistentHash helper
+// computed (hash = hash * 31 + UTF-16 code unit, mod 2^32) as 8 lowercase hex
+// digits. Its output carries no prefix, so it equals the fingerprints already
+// stored on attendance rows; later versions are returned as "v<n>:<hash>".
+
+const CURRENT_FINGERPRINT_VERSION = 1;
+const MAX_FINGERPRINT_INPUT_LENGTH = Number(process.env.FINGERPRINT_MAX_INPUT_LENGTH || 16 * 1024);
+
+function createFingerprintError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function polynomialHashV1(input) {
+  let hash = 0;
+  for (let i = 0; i < input.length; i++) {
+    hash = (hash * 31 + input.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+const FINGERPRINT_ALGORITHMS = {
+  1: polynomialHashV1,
+};
+
+// Returns { fingerprint, version }. `version` defaults to the current one;
+// an unknown version or an empty or oversized input is a 400/413 error.
+function computeFingerprint(input, { version = CURRENT_FINGERPRINT_VERSION } = {}) {
+  if (typeof input !== "string" || !input.trim()) {
+    throw createFingerprintError("Input must be a non-empty string");
+  }
+  if (input.length > MAX_FINGERPRINT_INPUT_LENGTH) {
+    throw createFingerprintError(
+      `Input must be at most ${MAX_FINGERPRINT_INPUT_LENGTH} characters`,
+      413
+    );
+  }
+
+  const algorithmVersion = Number(version);
+  const algorithm = FINGERPRINT_ALGORITHMS[algorithmVersion];
+  if (!algorithm) {
+    throw createFingerprintError(
+      `Unsupported fingerprint version. Use one of: ${Object.keys(FINGERPRINT_ALGORITHMS).join(", ")}`
+    );
+  }
+
+  const hash = algorithm(input);
+  return {
+    fingerprint: algorithmVersion === 1 ? hash : `v${algorithmVersion}:${hash}`,
+    version: algorithmVersion,
+  };
+}
+
+module.exports = {
+  CURRENT_FINGERPRINT_VERSION,
+  computeFingerprint,
+};
@@ -0,0 +1,307 @@
+const Attendance = require("./models/Attendance");
+const AttendanceFlag = require("./models/AttendanceFlag");
+const { ATTENDED_STATUSES } = require("./attendance-status");
+const { haversineMeters, isValidPoint } = require("./geo");
+
+// Rule thresholds. Shared campus Wi-Fi is expected, so the IP rule needs
+// several students and skips courses restricted to campus IP ranges.
+const SHARED_IP_MIN_STUDENTS = Number(process.env.FRAUD_SHARED_IP_MIN_STUDENTS || 5);
+const MAX_TRAVEL_SPEED_KMH = Number(process.env.FRAUD_MAX_TRAVEL_SPEED_KMH || 150);
+const MIN_TRAVEL_DISTANCE_METERS = 2000;
+const TRAVEL_LOOKBACK_MS = 12 * 60 * 60 * 1000;
+const SIGNATURE_LOOKBACK_DAYS = 30;
+const MAX_RESCAN_DAYS = 31;
+const FLAG_REASON_MAX_LENGTH = 500;
+
+function createFraudError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.filter(Boolean).map(String))];
+}
+
+function getScanTime(row) {
+  return new Date(row.checkInAt || row.createdAt);
+}
+
+function mapAttendanceFlag(flag) {
+  if (!flag) return null;
+  return {
+    id: String(flag._id),
+    institutionId: flag.institutionId ? String(flag.institutionId) : null,
+    rule: flag.rule,
+    severity: flag.severity,
+    summary: flag.summary,
+    date: flag.date || null,
+    courseIds: (flag.courseIds || []).map(String),
+    courseCodes: flag.courseCodes || [],
+    meetingId: flag.meetingId ? String(flag.meetingId) : null,
+    attendanceIds: (flag.attendanceIds || []).map(String),
+    studentEmails: flag.studentEmails || [],
+    evidence: flag.evidence || {},
+    status: flag.status,
+    reviewedBy: flag.reviewedBy ? String(flag.reviewedBy) : null,
+    reviewedByName: flag.reviewedByName || null,
+    reviewedByRole: flag.reviewedByRole || null,
+    reviewedAt: flag.reviewedAt ? new Date(flag.reviewedAt).getTime() : null,
+    reviewNote: flag.reviewNote || "",
+    invalidatedCount: flag.invalidatedCount || 0,
+    createdAt: flag.createdAt ? new Date(flag.createdAt).getTime() : null,
+    updatedAt: flag.updatedAt ? new Date(flag.updatedAt).getTime() : null,
+  };
+}
+
+// Creates the flag for `key` or adds the rows to it. A reviewed flag goes back
+// to pending when a student it did not cover shows up in the pattern.
+async function upsertFlag({ institutionId, rule, key, severity, summary, date = null, meetingId = null, rows, evidence }) {
+  const filter = { institutionId, rule, key };
+  const update = {
+    $set: { severity, summary: summary.slice(0, FLAG_REASON_MAX_LENGTH), evidence },
+    $setOnInsert: { date, meetingId },
+    $addToSet: {
+      attendanceIds: { $each: rows.map((row) => row._id) },
+      studentEmails: { $each: uniqueStrings(rows.map((row) => row.studentEmail)) },
+      courseIds: { $each: rows.map((row) => row.courseId).filter(Boolean) },
+      courseCodes: { $each: uniqueStrings(rows.map((row) => row.courseCode)) },
+    },
+  };
+
+  let previous;
+  try {
+    previous = await AttendanceFlag.findOneAndUpdate(filter, update, { upsert: true, new: false }).lean();
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    previous = await AttendanceFlag.findOneAndUpdate(filter, update, { new: false }).lean();
+  }
+
+  if (previous && previous.status !== "pending") {
+    const known = new Set(previous.studentEmails || []);
+    const hasNewStudent = rows.some((row) => row.studentEmail && !known.has(row.studentEmail));
+    if (hasNewStudent) {
+      await AttendanceFlag.updateOne(filter, {
+        $set: {
+          status: "pending",
+          reviewedBy: null,
+          reviewedByName: null,
+          reviewedByRole: null,
+          reviewedAt: null,
+          reviewNote: "",
+        },
+      });
+    }
+  }
+}
+
+// One device fingerprint used by several students on the same day, in any
+// course.
+async function checkSharedDevice(row) {
+  if (!row.deviceFingerprint) return false;
+  const rows = await Attendance.find({
+    institutionId: row.institutionId,
+    deviceFingerprint: row.deviceFingerprint,
+    date: row.date,
+    source: "scan",
+  }).select("studentEmail courseId courseCode").lean();
+
+  const students = uniqueStrings(rows.map((candidate) => candidate.studentEmail));
+  if (students.length < 2) return false;
+
+  await upsertFlag({
+    institutionId: row.institutionId,
+    rule: "shared_device",
+    key: `${row.deviceFingerprint}:${row.date}`,
+    severity: students.length >= 3 ? "high" : "medium",
+    summary: `${students.length} students marked attendance from the same device on ${row.date}`,
+    date: row.date,
+    rows,
+    evidence: { deviceFingerprint: row.deviceFingerprint, studentCount: students.length },
+  });
+  return true;
+}
+
+// Many students of one in-person meeting scanning from the same IP.
+async function checkSharedIp(row) {
+  if (!row.ipAddress || !row.meetingId) return false;
+  if (row.courseDeliveryMode === "online") return false;
+  if (row.attendancePolicySnapshot?.requireIpAllowlist) return false;
+
+  const rows = await Attendance.find({
+    institutionId: row.institutionId,
+    meetingId: row.meetingId,
+    ipAddress: row.ipAddress,
+    source: "scan",
+  }).select("studentEmail courseId courseCode").lean();
+
+  const students = uniqueStrings(rows.map((candidate) => candidate.studentEmail));
+  if (students.length < SHARED_IP_MIN_STUDENTS) return false;
+
+  await upsertFlag({
+    institutionId: row.institutionId,
+    rule: "shared_ip",
+    key: `${row.meetingId}:${row.ipAddress}`,
+    severity: "medium",
+    summary: `${students.length} students of an in-person class scanned from IP ${row.ipAddress}`,
+    date: row.date,
+    meetingId: row.meetingId,
+    rows,
+    evidence: { ipAddress: row.ipAddress, studentCount: students.length },
+  });
+  return true;
+}
+
+// The student's previous located scan is too far away to have travelled
+// from in the time between the two scans.
+async function checkImpossibleTravel(row) {
+  if (!isValidPoint(row.location)) return false;
+  const scannedAt = getScanTime(row);
+  const previous = await Attendance.findOne({
+    institutionId: row.institutionId,
+    studentEmail: row.studentEmail,
+    _id: { $ne: row._id },
+    source: "scan",
+    "location.lat": { $ne: null },
+    createdAt: { $gte: new Date(scannedAt.getTime() - TRAVEL_LOOKBACK_MS), $lte: scannedAt },
+  })
+    .sort({ createdAt: -1 })
+    .select("studentEmail courseId courseCode location checkInAt createdAt")
+    .lean();
+  if (!previous || !isValidPoint(previous.location)) return false;
+
+  const distanceMeters = haversineMeters(previous.location, row.location);
+  if (distanceMeters < MIN_TRAVEL_DISTANCE_METERS) return false;
+  const elapsedHours = Math.max(scannedAt - getScanTime(previous), 60000) / 3600000;
+  const speedKmh = distanceMeters / 1000 / elapsedHours;
+  if (speedKmh <= MAX_TRAVEL_SPEED_KMH) return false;
+
+  await upsertFlag({
+    institutionId: row.institutionId,
+    rule: "impossible_travel",
+    key: `${previous._id}:${row._id}`,
+    severity: "high",
+    summary: `${row.studentEmail} scanned ${(distanceMeters / 1000).toFixed(1)} km apart within ${Math.round(elapsedHours * 60)} minutes (${Math.round(speedKmh)} km/h)`,
+    date: row.date,
+    rows: [previous, row],
+    evidence: {
+      distanceMeters: Math.round(distanceMeters),
+      elapsedMinutes: Math.round(elapsedHours * 60),
+      speedKmh: Math.round(speedKmh),
+    },
+  });
+  return true;
+}
+
+// The exact same signature image submitted more than once, which a hand
+// drawn signature never reproduces.
+async function checkDuplicateSignature(row) {
+  if (!row.signatureHash) return false;
+  const since = new Date(getScanTime(row).getTime() - SIGNATURE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await Attendance.find({
+    institutionId: row.institutionId,
+    signatureHash: row.signatureHash,
+    createdAt: { $gte: since },
+  }).select("studentEmail courseId courseCode").lean();
+  if (rows.length < 2) return false;
+
+  const students = uniqueStrings(rows.map((candidate) => candidate.studentEmail));
+  await upsertFlag({
+    institutionId: row.institutionId,
+    rule: "duplicate_signature",
+    key: row.signatureHash,
+    severity: students.length > 1 ? "high" : "medium",
+    summary: students.length > 1
+      ? `${students.length} students submitted an identical signature`
+      : `${row.studentEmail} reused an identical signature image ${rows.length} times`,
+    date: row.date,
+    rows,
+    evidence: { signatureHash: row.signatureHash, submissions: rows.length, studentCount: students.length },
+  });
+  return true;
+}
+
+const RULES = {
+  shared_device: checkSharedDevice,
+  shared_ip: checkSharedIp,
+  impossible_travel: checkImpossibleTravel,
+  duplicate_signature: checkDuplicateSignature,
+};
+
+// Runs every rule against one scanned attendance row. Returns the rules that
+// matched.
+async function detectAttendanceAnomalies(attendanceId) {
+  const row = await Attendance.findById(attendanceId).select("+signatureHash").lean();
+  if (!row || row.source !== "scan") return [];
+
+  const matched = [];
+  for (const [rule, check] of Object.entries(RULES)) {
+    if (await check(row)) matched.push(rule);
+  }
+  return matched;
+}
+
+// Re-runs detection over past scans, e.g. for data recorded before the
+// detector existed.
+async function rescanAttendance({ institutionId, from, to }) {
+  const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000;
+  if (!(days >= 0)) {
+    throw createFraudError("from must not be after to", 400);
+  }
+  if (days >= MAX_RESCAN_DAYS) {
+    throw createFraudError(`At most ${MAX_RESCAN_DAYS} days can be scanned at once`, 400);
+  }
+
+  const cursor = Attendance.find({ institutionId, source: "scan", date: { $gte: from, $lte: to } })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let matches = 0;
+  for await (const row of cursor) {
+    scanned += 1;
+    matches += (await detectAttendanceAnomalies(row._id)).length;
+  }
+  return { scanned, matches };
+}
+
+// Accepting a flag can also invalidate the flagged scans: attended, partial
+// and checked-in rows become absent with an entry in their override history.
+async function invalidateFlaggedAttendance(flag, actor = {}) {
+  const rows = await Attendance.find({
+    _id: { $in: flag.attendanceIds || [] },
+    status: { $in: [...ATTENDED_STATUSES, "partial", "checked_in"] },
+  }).select("status").lean();
+
+  const reason = `Fraud flag confirmed: ${flag.summary}`.slice(0, FLAG_REASON_MAX_LENGTH);
+  let invalidated = 0;
+  for (const row of rows) {
+    const updated = await Attendance.findOneAndUpdate(
+      { _id: row._id, status: row.status },
+      {
+        $set: { status: "absent", manualOverride: true },
+        $push: {
+          overrides: {
+            previousStatus: row.status,
+            status: "absent",
+            reason,
+            by: actor.userId,
+            byName: actor.name || null,
+            byRole: actor.role || null,
+            at: new Date(),
+          },
+        },
+      }
+    );
+    if (updated) invalidated += 1;
+  }
+  return invalidated;
+}
+
+module.exports = {
+  mapAttendanceFlag,
+  detectAttendanceAnomalies,
+  rescanAttendance,
+  invalidateFlaggedAttendance,
+};
@@ -0,0 +1,81 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(angle) {
+  return (angle * Math.PI) / 180;
+}
+
+// Great-circle distance between two { lat, lng } points.
+function haversineMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function isValidPoint(point) {
+  return Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+function isValidPolygon(polygon) {
+  return Array.isArray(polygon) && polygon.length >= 3 && polygon.every(isValidPoint);
+}
+
+// Ray casting on raw coordinates; fine for campus-sized polygons that do not
+// cross the antimeridian.
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat)) {
+      const crossLng = a.lng + ((point.lat - a.lat) / (b.lat - a.lat)) * (b.lng - a.lng);
+      if (point.lng < crossLng) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance in meters from a point to the nearest polygon edge, 0 inside.
+// Uses a flat projection around the point, accurate over a few kilometres.
+function distanceToPolygonMeters(point, polygon) {
+  if (isPointInPolygon(point, polygon)) return 0;
+
+  const metersPerLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerLng = metersPerLat * Math.cos(toRadians(point.lat));
+  const project = (vertex) => ({
+    x: (vertex.lng - point.lng) * metersPerLng,
+    y: (vertex.lat - point.lat) * metersPerLat,
+  });
+
+  let nearest = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = project(polygon[j]);
+    const b = project(polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return nearest;
+}
+
+// Distance from a point to the edge of a zone: a polygon `boundary`, or a
+// circle of `radiusMeters` around `center`. 0 when the point is inside.
+function distanceToZoneMeters(point, zone) {
+  if (isValidPolygon(zone.boundary)) {
+    return distanceToPolygonMeters(point, zone.boundary);
+  }
+  return Math.max(0, haversineMeters(point, zone.center) - zone.radiusMeters);
+}
+
+module.exports = {
+  haversineMeters,
+  isValidPoint,
+  isValidPolygon,
+  isPointInPolygon,
+  distanceToPolygonMeters,
+  distanceToZoneMeters,
+};
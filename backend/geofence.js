@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const CampusLocation = require("./models/CampusLocation");
+const { haversineMeters, isValidPoint, isValidPolygon, distanceToZoneMeters } = require("./geo");
+
+const DEFAULT_ACCURACY_TOLERANCE_METERS = 30;
+const MAX_ACCURACY_TOLERANCE_METERS = 500;
+const MAX_GEOFENCE_ZONES = 20;
+
+function mapGeofenceZone(location) {
+  return {
+    id: String(location._id),
+    name: location.name,
+    type: location.type,
+    center: { lat: location.location.lat, lng: location.location.lng },
+    radiusMeters: location.radiusMeters || 50,
+    boundary: isValidPolygon(location.boundary)
+      ? location.boundary.map((vertex) => ({ lat: vertex.lat, lng: vertex.lng }))
+      : [],
+  };
+}
+
+// The zones a scan may fall in: the campus locations referenced by the policy
+// or, for courses configured before zones existed, the single lat/lng circle.
+async function loadGeofenceZones(institutionId, policy) {
+  const zoneIds = (policy?.geofenceZones || [])
+    .map(String)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (zoneIds.length) {
+    const locations = await CampusLocation.find({ _id: { $in: zoneIds }, institutionId }).lean();
+    return locations.map(mapGeofenceZone);
+  }
+
+  const center = { lat: policy?.geofence?.lat, lng: policy?.geofence?.lng };
+  if (!isValidPoint(center)) return [];
+  return [{
+    id: null,
+    name: "class location",
+    type: "other",
+    center,
+    radiusMeters: policy.geofence.radiusMeters || 120,
+    boundary: [],
+  }];
+}
+
+// Finds the zone nearest to the scan. A fix whose reported accuracy circle
+// overlaps a zone still counts, up to the policy's tolerance, so a student
+// at the edge of a building is not rejected for GPS drift.
+function evaluateGeofence(point, zones, { accuracyMeters = null, toleranceMeters = DEFAULT_ACCURACY_TOLERANCE_METERS } = {}) {
+  const accuracy = Number.isFinite(accuracyMeters) && accuracyMeters > 0 ? accuracyMeters : 0;
+  const allowanceMeters = Math.min(accuracy, Math.max(0, toleranceMeters));
+
+  let nearest = null;
+  for (const zone of zones) {
+    const outsideMeters = distanceToZoneMeters(point, zone);
+    if (!nearest || outsideMeters < nearest.outsideMeters) {
+      nearest = { zone, outsideMeters };
+    }
+  }
+  if (!nearest) {
+    return { inside: false, zone: null, outsideMeters: null, distanceMeters: null, allowanceMeters };
+  }
+
+  return {
+    inside: nearest.outsideMeters <= allowanceMeters,
+    zone: nearest.zone,
+    outsideMeters: nearest.outsideMeters,
+    distanceMeters: haversineMeters(point, nearest.zone.center),
+    allowanceMeters,
+  };
+}
+
+module.exports = {
+  DEFAULT_ACCURACY_TOLERANCE_METERS,
+  MAX_ACCURACY_TOLERANCE_METERS,
+  MAX_GEOFENCE_ZONES,
+  mapGeofenceZone,
+  loadGeofenceZones,
+  evaluateGeofence,
+};
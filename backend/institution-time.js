@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const Institution = require("./models/Institution");
+
+// Attendance dates ("YYYY-MM-DD"), weekdays and schedule minutes are all wall
+// clock values in the institution's timezone, never the server's or UTC.
+const DEFAULT_TIME_ZONE = "UTC";
+const TIME_ZONE_CACHE_MS = 5 * 60 * 1000;
+
+const formatterCache = new Map();
+const institutionTimeZoneCache = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function normalizeTimeZone(timeZone) {
+  const value = String(timeZone || "").trim();
+  return isValidTimeZone(value) ? value : DEFAULT_TIME_ZONE;
+}
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// Wall clock of `at` in the timezone: { date: "YYYY-MM-DD", weekday: "MON",
+// minutes (since midnight), time: "HH:MM:SS" }.
+function getZonedParts(at = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  getFormatter(normalizeTimeZone(timeZone))
+    .formatToParts(new Date(at))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: String(parts.weekday).toUpperCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+  };
+}
+
+function getLocalDate(at = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return getZonedParts(at, timeZone).date;
+}
+
+function getTimeZoneOffsetMs(at, timeZone) {
+  const { date, time } = getZonedParts(at, timeZone);
+  const wallClock = Date.parse(`${date}T${time}.000Z`);
+  return wallClock - Math.floor(new Date(at).getTime() / 1000) * 1000;
+}
+
+// The instant at which the wall clock in `timeZone` reads `date` plus
+// `minutes` past midnight. The offset is checked twice so DST changes between
+// the guess and the result are handled.
+function zonedTimeToUtc(date, minutes, timeZone = DEFAULT_TIME_ZONE) {
+  const guess = Date.parse(`${date}T00:00:00.000Z`) + minutes * 60000;
+  let result = guess - getTimeZoneOffsetMs(guess, timeZone);
+  const correctedOffset = getTimeZoneOffsetMs(result, timeZone);
+  result = guess - correctedOffset;
+  return new Date(result);
+}
+
+async function getInstitutionTimeZone(institutionId) {
+  const key = String(institutionId || "");
+  if (!mongoose.Types.ObjectId.isValid(key)) return DEFAULT_TIME_ZONE;
+
+  const cached = institutionTimeZoneCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.timeZone;
+
+  const institution = await Institution.findById(key).select("timezone").lean();
+  const timeZone = normalizeTimeZone(institution?.timezone);
+  institutionTimeZoneCache.set(key, { timeZone, expiresAt: Date.now() + TIME_ZONE_CACHE_MS });
+  return timeZone;
+}
+
+// Map of institutionId -> timezone for a list of ids.
+async function loadInstitutionTimeZones(institutionIds = []) {
+  const ids = [...new Set(institutionIds.filter(Boolean).map(String))];
+  const entries = await Promise.all(ids.map(async (id) => [id, await getInstitutionTimeZone(id)]));
+  return new Map(entries);
+}
+
+function forgetInstitutionTimeZone(institutionId) {
+  institutionTimeZoneCache.delete(String(institutionId || ""));
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  normalizeTimeZone,
+  getZonedParts,
+  getLocalDate,
+  zonedTimeToUtc,
+  getInstitutionTimeZone,
+  loadInstitutionTimeZones,
+  forgetInstitutionTimeZone,
+};
@@ -0,0 +1,176 @@
+const AuthUser = require("./models/AuthUser");
+const LoginThrottle = require("./models/LoginThrottle");
+const { buildAppUrl, sendMail } = require("./mailer");
+
+// Failures before each further attempt has to wait, doubling from 1 second up
+// to LOGIN_MAX_DELAY_SECONDS. At LOGIN_LOCKOUT_THRESHOLD the account is locked.
+const DELAY_AFTER_FAILURES = Number(process.env.LOGIN_DELAY_AFTER_FAILURES || 3);
+const MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS || 60);
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 30);
+// Failures from one IP across all accounts before the IP is blocked for the
+// rest of the window.
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 50);
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES || 15);
+
+function createLoginError(message, status, retryAfterSeconds) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  return error;
+}
+
+function getClientIp(req) {
+  const ip = String(req.ip || req.socket?.remoteAddress || "").trim().toLowerCase();
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+function getLoginDelaySeconds(failures) {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - DELAY_AFTER_FAILURES));
+}
+
+function isAccountLocked(user, now = new Date()) {
+  return Boolean(user?.lockedUntil && new Date(user.lockedUntil) > now);
+}
+
+async function assertIpAllowed(ipAddress, now = new Date()) {
+  if (!ipAddress) return;
+  const throttle = await LoginThrottle.findOne({ ipAddress }).select("blockedUntil").lean();
+  if (throttle?.blockedUntil && throttle.blockedUntil > now) {
+    throw createLoginError(
+      "Too many failed sign-ins from this network. Try again later.",
+      429,
+      (throttle.blockedUntil - now) / 1000
+    );
+  }
+}
+
+// Checked before the password so a locked account cannot be probed.
+function assertAccountCanAttempt(user, now = new Date()) {
+  if (isAccountLocked(user, now)) {
+    throw createLoginError(
+      "This account is temporarily locked after too many failed sign-ins. Try again later or ask an administrator to unlock it.",
+      423,
+      (new Date(user.lockedUntil) - now) / 1000
+    );
+  }
+  if (user.nextLoginAttemptAt && new Date(user.nextLoginAttemptAt) > now) {
+    const waitSeconds = (new Date(user.nextLoginAttemptAt) - now) / 1000;
+    throw createLoginError(
+      `Too many failed sign-ins. Wait ${Math.ceil(waitSeconds)} second(s) and try again.`,
+      429,
+      waitSeconds
+    );
+  }
+}
+
+async function recordIpFailure(ipAddress, now = new Date()) {
+  if (!ipAddress) return;
+  const windowMs = IP_WINDOW_MINUTES * 60 * 1000;
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  const current = await LoginThrottle.findOneAndUpdate(
+    { ipAddress, windowStartedAt: { $gt: windowStart } },
+    { $inc: { failures: 1 } },
+    { new: true }
+  ).lean();
+  if (!current) {
+    await LoginThrottle.updateOne(
+      { ipAddress },
+      {
+        $set: {
+          failures: 1,
+          windowStartedAt: now,
+          blockedUntil: null,
+          expiresAt: new Date(now.getTime() + windowMs),
+        },
+      },
+      { upsert: true }
+    );
+    return;
+  }
+
+  if (current.failures >= IP_MAX_FAILURES && !current.blockedUntil) {
+    const blockedUntil = new Date(current.windowStartedAt.getTime() + windowMs);
+    await LoginThrottle.updateOne({ _id: current._id }, { $set: { blockedUntil, expiresAt: blockedUntil } });
+    console.warn(`Login: blocked ${ipAddress} until ${blockedUntil.toISOString()} after ${current.failures} failures`);
+  }
+}
+
+// Emails the institution admins of the account's institution, plus global
+// admins.
+async function notifyAdminsOfLockout(user, ipAddress) {
+  const admins = await AuthUser.find({
+    isActive: true,
+    _id: { $ne: user._id },
+    $or: [
+      { role: { $in: ["superadmin", "admin"] } },
+      { role: "institution_admin", institutionId: user.institutionId },
+    ],
+  })
+    .select("email")
+    .lean();
+  const lockedUntil = new Date(user.lockedUntil);
+  console.warn(
+    `Login: locked ${user.email} until ${lockedUntil.toISOString()} (last attempt from ${ipAddress || "unknown IP"}); notifying ${admins.map((admin) => admin.email).join(", ") || "no admins"}`
+  );
+
+  for (const admin of admins) {
+    await sendMail({
+      to: admin.email,
+      subject: `Staff account locked: ${user.email}`,
+      paragraphs: [
+        `The account ${user.email} was locked after ${user.failedLoginCount} failed sign-in attempts. The last one came from ${ipAddress || "an unknown IP"}.`,
+        `It unlocks automatically at ${lockedUntil.toUTCString()}, or you can unlock it from the admin dashboard.`,
+      ],
+      action: { label: "Open the admin dashboard", url: buildAppUrl("admin-dashboard.html") },
+    });
+  }
+}
+
+async function recordAccountFailure(user, ipAddress, now = new Date()) {
+  const updated = await AuthUser.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  )
+    .select("email institutionId failedLoginCount lockedUntil")
+    .lean();
+  if (!updated) return;
+
+  const failures = updated.failedLoginCount;
+  if (failures >= LOCKOUT_THRESHOLD && !isAccountLocked(updated, now)) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    await AuthUser.updateOne({ _id: user._id }, { $set: { lockedUntil, nextLoginAttemptAt: null } });
+    notifyAdminsOfLockout({ ...updated, lockedUntil }, ipAddress).catch((error) =>
+      console.error("Lockout notification error:", error)
+    );
+    return;
+  }
+
+  const delaySeconds = getLoginDelaySeconds(failures);
+  if (delaySeconds) {
+    await AuthUser.updateOne(
+      { _id: user._id },
+      { $set: { nextLoginAttemptAt: new Date(now.getTime() + delaySeconds * 1000) } }
+    );
+  }
+}
+
+function clearLoginFailures(user) {
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = null;
+  user.nextLoginAttemptAt = null;
+  user.lockedUntil = null;
+}
+
+module.exports = {
+  getClientIp,
+  isAccountLocked,
+  assertIpAllowed,
+  assertAccountCanAttempt,
+  recordIpFailure,
+  recordAccountFailure,
+  clearLoginFailures,
+};
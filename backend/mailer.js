@@ -0,0 +1,86 @@
+const nodemailer = require("nodemailer");
+
+// MAIL_TRANSPORT picks how mail leaves the server: "smtp" (the default; any
+// SMTP server, MailHog on localhost:1025 when SMTP_HOST is unset) or "log",
+// which only writes the recipient and subject to the server log. Mail holds
+// sign-in codes and reset links, so the log transport has to be asked for.
+const MAIL_TRANSPORT = String(process.env.MAIL_TRANSPORT || "smtp")
+  .trim()
+  .toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || "QR Attendance <no-reply@localhost>";
+const APP_BASE_URL = (process.env.APP_BASE_URL || "http://localhost:5000").replace(/\/$/, "");
+
+// Transport factories by name. Each returns an object with
+// `send({ from, to, subject, text, html })`.
+const transportFactories = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT || (process.env.SMTP_HOST ? 587 : 1025)),
+      secure: String(process.env.SMTP_SECURE || "").toLowerCase() === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || "" }
+        : undefined,
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+  log: () => ({
+    send: async (message) => {
+      console.log(`Mail (not sent, MAIL_TRANSPORT=log) to ${message.to}: ${message.subject}`);
+    },
+  }),
+};
+
+let activeTransport = null;
+
+function registerMailTransport(name, factory) {
+  transportFactories[String(name).toLowerCase()] = factory;
+  activeTransport = null;
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    const factory = transportFactories[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+function buildAppUrl(pathWithQuery) {
+  return `${APP_BASE_URL}/${String(pathWithQuery).replace(/^\//, "")}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// `paragraphs` are plain text; an optional `action` adds a link button.
+async function sendMail({ to, subject, paragraphs, action = null }) {
+  const textParts = [...paragraphs];
+  const htmlParts = paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`);
+  if (action) {
+    textParts.push(`${action.label}: ${action.url}`);
+    htmlParts.push(`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`);
+  }
+
+  await getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text: textParts.join("\n\n"),
+    html: htmlParts.join("\n"),
+  });
+}
+
+module.exports = {
+  registerMailTransport,
+  buildAppUrl,
+  sendMail,
+};
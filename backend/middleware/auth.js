@@ -1,7 +1,14 @@
 const crypto = require("crypto");
 const AuthUser = require("../models/AuthUser");
-
-const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS || 8 * 60 * 60);
+const { findActiveSession, touchSession } = require("../auth-sessions");
+
+// Access tokens are short-lived; clients renew them with the session's
+// refresh token (POST /api/auth/refresh).
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS || 15 * 60);
+// Issued at sign-in when the institution requires two-factor and the user has
+// not enrolled yet; it only unlocks the enrollment endpoints.
+const TWO_FACTOR_SETUP_SCOPE = "two_factor_setup";
+const TWO_FACTOR_SETUP_TTL_SECONDS = 15 * 60;
 const AUTH_SECRET =
   process.env.AUTH_SECRET || process.env.QR_SECRET_KEY || "change-me-auth-secret";
 
@@ -29,7 +36,23 @@ function sign(unsignedToken) {
     .replace(/=+$/g, "");
 }
 
-function createAuthToken(user) {
+function signTokenPayload(payload) {
+  const headerPart = toBase64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payloadPart = toBase64Url(JSON.stringify(payload));
+  const unsignedToken = `${headerPart}.${payloadPart}`;
+  const signature = sign(unsignedToken);
+  return `${unsignedToken}.${signature}`;
+}
+
+// Signed, expiring token for a purpose other than API access (e.g. an invite
+// link). The scope keeps requireAuth from accepting it.
+function createScopedToken(scope, claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  return signTokenPayload({ ...claims, scope, iat: now, exp: now + ttlSeconds });
+}
+
+function createAuthToken(user, options = {}) {
+  const { scope = null, sessionId = null } = options;
   const now = Math.floor(Date.now() / 1000);
   const institutionId =
     user?.institutionId && typeof user.institutionId === "object"
@@ -43,13 +66,15 @@ function createAuthToken(user) {
     email: user.email,
     institutionId,
     iat: now,
-    exp: now + TOKEN_TTL_SECONDS,
+    exp: now + (scope === TWO_FACTOR_SETUP_SCOPE ? TWO_FACTOR_SETUP_TTL_SECONDS : TOKEN_TTL_SECONDS),
   };
-  const headerPart = toBase64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
-  const payloadPart = toBase64Url(JSON.stringify(payload));
-  const unsignedToken = `${headerPart}.${payloadPart}`;
-  const signature = sign(unsignedToken);
-  return `${unsignedToken}.${signature}`;
+  if (scope) {
+    payload.scope = scope;
+  }
+  if (sessionId) {
+    payload.sid = String(sessionId);
+  }
+  return signTokenPayload(payload);
 }
 
 function verifyAuthToken(token) {
@@ -90,39 +115,73 @@ function getBearerToken(req) {
   return authHeader.slice("Bearer ".length).trim();
 }
 
-async function requireAuth(req, res, next) {
-  try {
-    const token = getBearerToken(req);
-    if (!token) {
-      return res.status(401).json({
-        status: "error",
-        message: "Missing bearer token",
-      });
-    }
-
-    const payload = verifyAuthToken(token);
-    const user = await AuthUser.findById(payload.sub).select(
-      "name email role institutionId isActive lastLoginAt createdAt updatedAt"
-    );
-
-    if (!user || !user.isActive) {
+function authenticate({ allowTwoFactorSetup = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return res.status(401).json({
+          status: "error",
+          message: "Missing bearer token",
+        });
+      }
+
+      const payload = verifyAuthToken(token);
+      if (payload.scope && !(allowTwoFactorSetup && payload.scope === TWO_FACTOR_SETUP_SCOPE)) {
+        return res.status(401).json({
+          status: "error",
+          message:
+            payload.scope === TWO_FACTOR_SETUP_SCOPE
+              ? "Two-factor setup must be completed first"
+              : "Staff sign-in required",
+        });
+      }
+
+      // Full tokens belong to a session, which may have been revoked since.
+      let session = null;
+      if (!payload.scope) {
+        session = await findActiveSession(payload.sid);
+        if (!session || String(session.userId) !== String(payload.sub)) {
+          return res.status(401).json({
+            status: "error",
+            message: "Session has ended. Please sign in again.",
+          });
+        }
+      }
+
+      const user = await AuthUser.findById(payload.sub).select(
+        "name email role institutionId isActive lastLoginAt twoFactorEnabled createdAt updatedAt"
+      );
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid or inactive user",
+        });
+      }
+
+      if (session) {
+        await touchSession(session, req);
+      }
+
+      req.authUser = user;
+      req.authTokenPayload = payload;
+      req.authSession = session;
+      return next();
+    } catch (error) {
       return res.status(401).json({
         status: "error",
-        message: "Invalid or inactive user",
+        message: error.message || "Unauthorized",
       });
     }
-
-    req.authUser = user;
-    req.authTokenPayload = payload;
-    return next();
-  } catch (error) {
-    return res.status(401).json({
-      status: "error",
-      message: error.message || "Unauthorized",
-    });
-  }
+  };
 }
 
+const requireAuth = authenticate();
+// Also accepts the short-lived token handed out when two-factor enrollment is
+// mandatory but not done yet.
+const requireAuthOrTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 function requireRoles(...roles) {
   return (req, res, next) => {
     if (!req.authUser) {
@@ -144,8 +203,12 @@ function requireRoles(...roles) {
 }
 
 module.exports = {
+  TWO_FACTOR_SETUP_SCOPE,
   createAuthToken,
+  createScopedToken,
   verifyAuthToken,
+  getBearerToken,
   requireAuth,
+  requireAuthOrTwoFactorSetup,
   requireRoles,
 };
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { normalizePasswordPolicy } = require("../password-policy");
 
 function getValue(input) {
   if (input === null || input === undefined) return "";
@@ -111,6 +112,8 @@ function mapInstitution(institution) {
     termSystem: institution.termSystem || "semester",
     academicYearLabel: institution.academicYearLabel || "",
     gradingScale: institution.gradingScale || "",
+    passwordPolicy: normalizePasswordPolicy(institution.passwordPolicy),
+    requireTwoFactor: institution.requireTwoFactor === true,
     isActive: institution.isActive !== false,
     createdAt: institution.createdAt || null,
     updatedAt: institution.updatedAt || null,
@@ -0,0 +1,44 @@
+const { getBearerToken } = require("./auth");
+const { authenticateStudentToken, isOwnStudentIdentifier } = require("../student-auth");
+
+// Student endpoints: accepts only student tokens from the passwordless
+// sign-in and sets req.studentAuth ({ email, name, institutionIds,
+// universityRollNos }).
+async function requireStudentAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        status: "error",
+        message: "Student sign-in required",
+      });
+    }
+
+    req.studentAuth = await authenticateStudentToken(token);
+    return next();
+  } catch (error) {
+    return res.status(error.status || 401).json({
+      status: "error",
+      message: error.message || "Unauthorized",
+    });
+  }
+}
+
+// For routes keyed by a student identifier in the path (e.g. :rollNo):
+// students may only address their own records.
+function requireOwnStudentParam(paramName) {
+  return (req, res, next) => {
+    if (!isOwnStudentIdentifier(req.studentAuth, req.params[paramName])) {
+      return res.status(403).json({
+        status: "error",
+        message: "You can only view your own records",
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requireStudentAuth,
+  requireOwnStudentParam,
+};
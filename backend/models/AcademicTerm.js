@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TERM_BREAK_KINDS = ["holiday", "recess", "exam"];
+
+// A teaching period of an institution (semester, trimester, ...). Dates are
+// institution calendar dates. Courses linked to a term meet on their weekly
+// schedule from startDate to endDate, except on the days covered by `breaks`.
+const termBreakSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    kind: {
+      type: String,
+      enum: TERM_BREAK_KINDS,
+      default: "holiday",
+    },
+    startDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN,
+    },
+    // Same as startDate for a single day.
+    endDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN,
+    },
+  },
+  { _id: true }
+);
+
+const academicTermSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    academicYear: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 40,
+    },
+    startDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN,
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN,
+    },
+    breaks: {
+      type: [termBreakSchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "academicterms",
+  }
+);
+
+academicTermSchema.index(
+  { institutionId: 1, name: 1 },
+  { unique: true, name: "institution_term_name_unique_idx" }
+);
+academicTermSchema.index(
+  { institutionId: 1, startDate: -1 },
+  { name: "institution_term_start_idx" }
+);
+
+module.exports = mongoose.model("AcademicTerm", academicTermSchema);
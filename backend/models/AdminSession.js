@@ -1,23 +1,76 @@
-const mongoose = require('mongoose');
+const mongoose = require("mongoose");
 
-const AdminSessionSchema = new mongoose.Schema({
-  adminId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Admin',
-    required: true
+// A signed-in staff device. The client holds a refresh token whose hash is
+// stored here and trades it for short-lived access tokens; access tokens carry
+// the session id, so revoking the session cuts them off as well. Sessions are
+// deleted once they expire.
+const adminSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      required: true,
+    },
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      default: null,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // The token replaced by the last refresh, still accepted for a few
+    // seconds so two tabs refreshing at once do not look like token theft.
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 400,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // signed_out, signed_out_everywhere, revoked_by_admin, deactivated,
+    // password_changed or refresh_token_reuse.
+    revokedReason: {
+      type: String,
+      default: null,
+    },
   },
-  token: {
-    type: String,
-    required: true
-  },
-  ipAddress: String,
-  userAgent: String,
-  expiresAt: {
-    type: Date,
-    required: true
+  {
+    timestamps: true,
+    collection: "adminsessions",
   }
-}, {
-  timestamps: true
-});
+);
+
+adminSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 }, { name: "admin_session_user_active_idx" });
+adminSessionSchema.index({ expiresAt: 1 }, { name: "admin_session_expires_ttl_idx", expireAfterSeconds: 0 });
 
-module.exports = mongoose.model('AdminSession', AdminSessionSchema);
\ No newline at end of file
+module.exports = mongoose.model("AdminSession", adminSessionSchema);
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+const ATTENDANCE_SOURCES = ['scan', 'system', 'manual'];
+
+// Rows written without a QR scan (e.g. absences generated when a meeting
+// closes) have no session or device.
+function requiredForScans() {
+  return this.source === 'scan';
+}
+
+// One teacher/admin correction of a row's status. Entries are only appended.
+const attendanceOverrideSchema = new mongoose.Schema({
+  previousStatus: { type: String, default: null },
+  status: { type: String, required: true },
+  reason: { type: String, required: true, trim: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'AuthUser', required: true },
+  byName: { type: String, default: null },
+  byRole: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const attendancesSchema = new mongoose.Schema({
   institutionId: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true, index: true },
   name: { type: String, required: true },
@@ -7,7 +26,8 @@ const attendancesSchema = new mongoose.Schema({
   universityRollNo: { type: String, required: true },
   section: { type: String, required: true },
   classRollNo: { type: String, required: true },
-  sessionId: { type: String, required: true },
+  sessionId: { type: String, required: requiredForScans },
+  meetingId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassMeeting', required: false },
   courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: false },
   courseCode: { type: String, required: false },
   courseName: { type: String, required: false },
@@ -22,7 +42,10 @@ const attendancesSchema = new mongoose.Schema({
     lat: { type: Number, required: false },
     lng: { type: Number, required: false }
   },
-  deviceFingerprint: { type: String, required: true },
+  // "device:<StudentDevice id>" when the scan came from a registered device,
+  // otherwise the browser-built fingerprint.
+  deviceFingerprint: { type: String, required: requiredForScans },
+  studentDeviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentDevice', required: false },
   signatureDataUrl: { type: String, required: false, select: false },
   signatureHash: { type: String, required: false, select: false },
   ipAddress: { type: String, required: false },
@@ -30,7 +53,19 @@ const attendancesSchema = new mongoose.Schema({
   courseDeliveryMode: { type: String, required: false, default: "in_person" },
   attendancePolicySnapshot: { type: Object, required: false },
   distanceFromClass: { type: Number, required: false },
+  // Check-in/check-out courses: status is "checked_in" until the second scan,
+  // then present/partial from presenceMinutes (absent if never checked out).
+  checkInAt: { type: Date, required: false },
+  checkOutAt: { type: Date, required: false },
+  checkOutSessionId: { type: String, required: false },
+  presenceMinutes: { type: Number, required: false },
+  // Minutes after the meeting start (Course.startTime on scheduled days).
+  lateMinutes: { type: Number, required: false },
+  // present | late | partial | absent | excused | checked_in
   status: { type: String, default: "present" },
+  source: { type: String, enum: ATTENDANCE_SOURCES, default: 'scan' },
+  manualOverride: { type: Boolean, default: false },
+  overrides: { type: [attendanceOverrideSchema], default: [] },
   studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, {
   timestamps: true
@@ -41,5 +76,8 @@ attendancesSchema.index({ institutionId: 1, studentEmail: 1, courseId: 1, date:
 attendancesSchema.index({ institutionId: 1, universityRollNo: 1, courseId: 1, date: 1 });
 attendancesSchema.index({ institutionId: 1, deviceFingerprint: 1, courseId: 1, date: 1 });
 attendancesSchema.index({ institutionId: 1, courseId: 1, date: 1 });
+attendancesSchema.index({ institutionId: 1, meetingId: 1, studentEmail: 1 }, { name: 'institution_meeting_student_attendance_idx' });
+attendancesSchema.index({ institutionId: 1, meetingId: 1, deviceFingerprint: 1 }, { name: 'institution_meeting_device_attendance_idx' });
+attendancesSchema.index({ institutionId: 1, signatureHash: 1 }, { name: 'institution_signature_attendance_idx', sparse: true });
 
 module.exports = mongoose.model('Attendance', attendancesSchema);
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+
+const ATTENDANCE_FLAG_RULES = ["shared_device", "shared_ip", "impossible_travel", "duplicate_signature"];
+const ATTENDANCE_FLAG_STATUSES = ["pending", "accepted", "rejected"];
+
+// A suspicious pattern found by the fraud detector. Flags are grouped by
+// `key` (e.g. the fingerprint and date), so later scans matching the same
+// pattern are added to the open flag instead of creating new ones. Accepting
+// confirms the fraud; rejecting dismisses it as a false positive.
+const attendanceFlagSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+      index: true,
+    },
+    rule: {
+      type: String,
+      enum: ATTENDANCE_FLAG_RULES,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "medium",
+    },
+    summary: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    date: {
+      type: String,
+      default: null,
+    },
+    courseIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    courseCodes: {
+      type: [String],
+      default: [],
+    },
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClassMeeting",
+      default: null,
+    },
+    attendanceIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    studentEmails: {
+      type: [String],
+      default: [],
+    },
+    // Rule-specific values (fingerprint, IP, distance and speed, ...).
+    evidence: {
+      type: Object,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ATTENDANCE_FLAG_STATUSES,
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    reviewedByName: {
+      type: String,
+      default: null,
+    },
+    reviewedByRole: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    // Attendance rows marked absent when the flag was accepted.
+    invalidatedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "attendanceflags",
+  }
+);
+
+attendanceFlagSchema.index(
+  { institutionId: 1, rule: 1, key: 1 },
+  { unique: true, name: "institution_rule_key_flag_unique_idx" }
+);
+attendanceFlagSchema.index(
+  { institutionId: 1, status: 1, updatedAt: -1 },
+  { name: "institution_status_flag_idx" }
+);
+
+module.exports = mongoose.model("AttendanceFlag", attendanceFlagSchema);
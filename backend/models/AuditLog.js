@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ENTITY_TYPES = ["institution", "user", "course", "assignment", "enrollment", "attendance", "term", "program", "catalog_course", "campus_location", "excuse_request", "attendance_flag", "student_device", "class_session", "class_meeting"];
+
+// One administrative change: who made it, from where, and the fields it
+// changed. Entries are written once and never edited or removed; the hooks
+// below refuse updates and deletes through the model.
+const auditLogSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      default: null,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    actorName: {
+      type: String,
+      default: "",
+    },
+    actorEmail: {
+      type: String,
+      default: "",
+    },
+    actorRole: {
+      type: String,
+      default: "",
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      enum: AUDIT_ENTITY_TYPES,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    entityLabel: {
+      type: String,
+      default: "",
+      maxlength: 300,
+    },
+    // Dotted field paths with their values before and after the change.
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          before: mongoose.Schema.Types.Mixed,
+          after: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      default: [],
+    },
+    // Extra context for changes without a single before/after, e.g. bulk
+    // enrollment counts.
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 400,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "auditlogs",
+  }
+);
+
+auditLogSchema.index(
+  { institutionId: 1, createdAt: -1 },
+  { name: "institution_audit_created_idx" }
+);
+auditLogSchema.index(
+  { institutionId: 1, entityType: 1, entityId: 1, createdAt: -1 },
+  { name: "institution_audit_entity_idx" }
+);
+
+function rejectAuditChange() {
+  throw new Error("Audit log entries cannot be changed");
+}
+
+auditLogSchema.pre("save", function preventAuditEdit() {
+  if (!this.isNew) rejectAuditChange();
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectAuditChange);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -39,6 +39,78 @@ const authUserSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Previous password hashes, oldest first, for the institution's
+    // password history rule.
+    passwordHistory: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Created through an email invitation and no password chosen yet.
+    invitePending: {
+      type: Boolean,
+      default: false,
+    },
+    invitedAt: {
+      type: Date,
+      default: null,
+    },
+    // Failed sign-ins since the last success. Past a threshold each failure
+    // pushes nextLoginAttemptAt further out; past the lockout threshold the
+    // account is locked until lockedUntil or an admin unlocks it.
+    failedLoginCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    nextLoginAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor sign-in. Secrets are stored encrypted (see
+    // two-factor.js); the pending secret holds an enrollment that has not been
+    // confirmed with a code yet.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed.
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes.
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -2,11 +2,19 @@
 const mongoose = require('mongoose');
 
 // Defines a schema for campus locations (nodes in the campus graph).
+// Locations owned by an institution double as reusable attendance geofence
+// zones: a polygon `boundary` when one is drawn, otherwise a circle of
+// `radiusMeters` around `location`.
 const campusLocationSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null,
+    index: true
+  },
   name: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   description: {
@@ -24,6 +32,23 @@ const campusLocationSchema = new mongoose.Schema({
       required: true
     }
   },
+  radiusMeters: {
+    type: Number,
+    default: 50,
+    min: 10,
+    max: 100000
+  },
+  // Polygon vertices in order; empty means the zone is a circle.
+  boundary: {
+    type: [
+      {
+        _id: false,
+        lat: { type: Number, required: true },
+        lng: { type: Number, required: true }
+      }
+    ],
+    default: []
+  },
   type: { // e.g., 'classroom', 'hostel', 'library', 'lab', 'cafeteria'
     type: String,
     required: true,
@@ -40,7 +65,10 @@ const campusLocationSchema = new mongoose.Schema({
   }
 });
 
-// Add an index for faster lookups by name
-campusLocationSchema.index({ name: 1 });
+// Names are unique per institution (null for the shared campus graph).
+campusLocationSchema.index(
+  { institutionId: 1, name: 1 },
+  { unique: true, name: 'institution_campus_location_name_unique_idx' }
+);
 
 module.exports = mongoose.model('CampusLocation', campusLocationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// A course as the catalog lists it (code, name, program), independent of
+// when and how often it is taught. Each Course document is one section or
+// offering of a catalog course (see catalogCourseId there) and keeps a copy
+// of these fields for older clients; course-catalog.js keeps them in step.
+const catalogCourseSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 40,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 2000,
+    },
+    program: {
+      type: String,
+      default: "General",
+      trim: true,
+    },
+    programVersion: {
+      type: String,
+      default: "1",
+      trim: true,
+    },
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Program",
+      default: null,
+    },
+    programVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProgramVersion",
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "catalogcourses",
+  }
+);
+
+catalogCourseSchema.index(
+  { institutionId: 1, code: 1 },
+  { unique: true, name: "institution_catalog_course_code_unique_idx" }
+);
+catalogCourseSchema.index(
+  { institutionId: 1, programVersionId: 1 },
+  { name: "institution_catalog_course_program_version_idx" }
+);
+
+module.exports = mongoose.model("CatalogCourse", catalogCourseSchema);
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+const MEETING_SOURCES = ["qr", "backfill"];
+const MEETING_STATUSES = ["open", "closed"];
+
+// One occurrence of a course (e.g. the 09:00 lecture and the 14:00 lab on the
+// same day are two meetings). QR sessions and attendance rows point at a
+// meeting, so duplicate and device checks are scoped to it rather than to the
+// calendar day.
+const classMeetingSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+      index: true,
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    courseCode: {
+      type: String,
+      default: null,
+    },
+    courseName: {
+      type: String,
+      default: null,
+    },
+    section: {
+      type: String,
+      default: null,
+    },
+    date: {
+      type: String,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    label: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 80,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: MEETING_SOURCES,
+      default: "qr",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    createdByName: {
+      type: String,
+      default: null,
+    },
+    // Closing a meeting writes absent rows for enrolled students who did not
+    // scan. `closedBy` is null when the idle sweep closed it.
+    status: {
+      type: String,
+      enum: MEETING_STATUSES,
+      default: "open",
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    closedByName: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "classmeetings",
+  }
+);
+
+classMeetingSchema.index(
+  { institutionId: 1, courseId: 1, date: 1, sequence: 1 },
+  { unique: true, name: "institution_course_date_sequence_meeting_idx" }
+);
+classMeetingSchema.index(
+  { institutionId: 1, date: 1 },
+  { name: "institution_date_meeting_idx" }
+);
+classMeetingSchema.index(
+  { status: 1, startedAt: 1 },
+  { name: "status_started_meeting_idx" }
+);
+
+module.exports = mongoose.model("ClassMeeting", classMeetingSchema);
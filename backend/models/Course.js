@@ -3,7 +3,112 @@ const mongoose = require("mongoose");
 const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 const DAY_CODES = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
 const DELIVERY_MODES = ["in_person", "online", "hybrid"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SCHEDULE_EXCEPTION_KINDS = ["cancel", "reschedule", "makeup"];
 
+// One-off change to the weekly timetable. `cancel` drops the class on
+// originalDate, `reschedule` moves it from originalDate to date/startTime/
+// endTime, and `makeup` adds an extra class on date. Dates are institution
+// calendar dates.
+const scheduleExceptionSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: SCHEDULE_EXCEPTION_KINDS,
+      required: true,
+    },
+    originalDate: {
+      type: String,
+      default: null,
+      match: DATE_PATTERN,
+    },
+    date: {
+      type: String,
+      default: null,
+      match: DATE_PATTERN,
+    },
+    startTime: {
+      type: String,
+      default: null,
+      match: TIME_PATTERN,
+    },
+    endTime: {
+      type: String,
+      default: null,
+      match: TIME_PATTERN,
+    },
+    // Start of the weekly block taken off originalDate, for courses that
+    // meet more than once that day.
+    originalStartTime: {
+      type: String,
+      default: null,
+      match: TIME_PATTERN,
+    },
+    // Room of a moved or make-up class.
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CampusLocation",
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 300,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    createdByName: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// One weekly meeting. A null deliveryMode falls back to the course's, so a
+// hybrid course can meet online on one day and in a room on another.
+const scheduleBlockSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: String,
+      enum: DAY_CODES,
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CampusLocation",
+      default: null,
+    },
+    deliveryMode: {
+      type: String,
+      enum: DELIVERY_MODES,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+// One section or offering of a catalog course: who is taught when, where and
+// under which attendance policy. code, name and the program fields are copies
+// of the CatalogCourse's and are rewritten when the catalog entry changes.
 const courseSchema = new mongoose.Schema(
   {
     institutionId: {
@@ -12,6 +117,11 @@ const courseSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    catalogCourseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CatalogCourse",
+      default: null,
+    },
     program: {
       type: String,
       default: "General",
@@ -22,6 +132,18 @@ const courseSchema = new mongoose.Schema(
       default: "1",
       trim: true,
     },
+    // The Program / ProgramVersion the strings above name; program and
+    // programVersion hold their codes.
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Program",
+      default: null,
+    },
+    programVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProgramVersion",
+      default: null,
+    },
     code: {
       type: String,
       required: true,
@@ -44,6 +166,20 @@ const courseSchema = new mongoose.Schema(
       default: "",
       trim: true,
     },
+    // The teaching period the course runs in; its dates and breaks bound the
+    // scheduled meetings (see academic-calendar.js).
+    termId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicTerm",
+      default: null,
+    },
+    // Weekly timetable. daysOfWeek/startTime/endTime below are kept as a
+    // summary (all days, earliest start, latest end) for older clients;
+    // courses saved before blocks existed are read from them instead.
+    scheduleBlocks: {
+      type: [scheduleBlockSchema],
+      default: [],
+    },
     daysOfWeek: {
       type: [String],
       default: [],
@@ -79,6 +215,11 @@ const courseSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Only devices holding an active registered-device credential may scan.
+      requireRegisteredDevice: {
+        type: Boolean,
+        default: false,
+      },
       requireSignature: {
         type: Boolean,
         default: true,
@@ -103,6 +244,43 @@ const courseSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Check-in/check-out: a second scan at the end of the meeting, status
+      // then depends on the minutes between the two scans.
+      requireCheckOut: {
+        type: Boolean,
+        default: false,
+      },
+      minimumPresenceMinutes: {
+        type: Number,
+        default: 40,
+        min: 1,
+        max: 720,
+      },
+      // Scans more than this many minutes after the meeting start are late.
+      lateGraceMinutes: {
+        type: Number,
+        default: 10,
+        min: 0,
+        max: 240,
+      },
+      // Only allow QR generation and attendance within the timetable
+      // (each block's startTime - before leeway to endTime + after leeway).
+      enforceSchedule: {
+        type: Boolean,
+        default: false,
+      },
+      scheduleLeewayBeforeMinutes: {
+        type: Number,
+        default: 15,
+        min: 0,
+        max: 240,
+      },
+      scheduleLeewayAfterMinutes: {
+        type: Number,
+        default: 15,
+        min: 0,
+        max: 240,
+      },
       geofence: {
         lat: {
           type: Number,
@@ -119,6 +297,60 @@ const courseSchema = new mongoose.Schema(
           max: 100000,
         },
       },
+      // Reusable campus locations (circles or polygons). When set they
+      // replace the single geofence circle above.
+      geofenceZones: {
+        type: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CampusLocation",
+          },
+        ],
+        default: [],
+      },
+      // Scans up to this far outside a zone pass when the browser reports a
+      // GPS accuracy at least that large.
+      geofenceAccuracyToleranceMeters: {
+        type: Number,
+        default: 30,
+        min: 0,
+        max: 500,
+      },
+    },
+    // Admin-granted window (e.g. a make-up class) in which enforceSchedule
+    // does not apply.
+    scheduleOverride: {
+      startsAt: {
+        type: Date,
+        default: null,
+      },
+      endsAt: {
+        type: Date,
+        default: null,
+      },
+      reason: {
+        type: String,
+        default: "",
+        trim: true,
+        maxlength: 300,
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AuthUser",
+        default: null,
+      },
+      grantedByName: {
+        type: String,
+        default: null,
+      },
+      grantedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    scheduleExceptions: {
+      type: [scheduleExceptionSchema],
+      default: [],
     },
     isActive: {
       type: Boolean,
@@ -136,9 +368,14 @@ const courseSchema = new mongoose.Schema(
   }
 );
 
+// A section name can come back in another academic year or term.
 courseSchema.index(
-  { institutionId: 1, code: 1, section: 1 },
-  { unique: true, name: "institution_course_code_section_idx" }
+  { institutionId: 1, code: 1, academicYear: 1, termId: 1, section: 1 },
+  { unique: true, name: "institution_course_code_year_term_section_idx" }
+);
+courseSchema.index(
+  { institutionId: 1, catalogCourseId: 1 },
+  { name: "institution_course_catalog_idx" }
 );
 courseSchema.index(
   { institutionId: 1, isActive: 1, program: 1, programVersion: 1, code: 1, section: 1 },
@@ -148,5 +385,13 @@ courseSchema.index(
   { institutionId: 1, isActive: 1, name: 1 },
   { name: "institution_course_active_name_idx" }
 );
+courseSchema.index(
+  { institutionId: 1, termId: 1 },
+  { name: "institution_course_term_idx" }
+);
+courseSchema.index(
+  { institutionId: 1, programVersionId: 1 },
+  { name: "institution_course_program_version_idx" }
+);
 
 module.exports = mongoose.model("Course", courseSchema);
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+const EXCUSE_REQUEST_STATUSES = ["pending", "approved", "rejected"];
+
+// Uploaded justification (medical certificate etc.). The file is kept outside
+// the static frontend directory and only served to reviewers.
+const excuseAttachmentSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    storedName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// A student's justification for missing a course on a date. Without a
+// meetingId it covers every meeting of that course on the date. Approval
+// turns the student's rows for those meetings into "excused".
+const excuseRequestSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+      index: true,
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    courseCode: {
+      type: String,
+      default: null,
+    },
+    courseName: {
+      type: String,
+      default: null,
+    },
+    section: {
+      type: String,
+      default: null,
+    },
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClassMeeting",
+      default: null,
+    },
+    date: {
+      type: String,
+      required: true,
+    },
+    studentEmail: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    studentName: {
+      type: String,
+      default: null,
+    },
+    universityRollNo: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    attachment: {
+      type: excuseAttachmentSchema,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: EXCUSE_REQUEST_STATUSES,
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    reviewedByName: {
+      type: String,
+      default: null,
+    },
+    reviewedByRole: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    // Attendance rows turned "excused" when the request was approved.
+    excusedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "excuserequests",
+  }
+);
+
+excuseRequestSchema.index(
+  { institutionId: 1, status: 1, createdAt: -1 },
+  { name: "institution_status_excuse_idx" }
+);
+excuseRequestSchema.index(
+  { institutionId: 1, courseId: 1, date: 1, status: 1 },
+  { name: "institution_course_date_excuse_idx" }
+);
+excuseRequestSchema.index(
+  { institutionId: 1, studentEmail: 1, createdAt: -1 },
+  { name: "institution_student_excuse_idx" }
+);
+
+module.exports = mongoose.model("ExcuseRequest", excuseRequestSchema);
@@ -98,6 +98,44 @@ const institutionSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    // Rules for staff passwords in this institution.
+    passwordPolicy: {
+      minLength: {
+        type: Number,
+        default: 8,
+        min: 8,
+        max: 128,
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireNumber: {
+        type: Boolean,
+        default: false,
+      },
+      requireSymbol: {
+        type: Boolean,
+        default: false,
+      },
+      // Number of previous passwords that cannot be reused (0 = no check).
+      historyCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 24,
+      },
+    },
+    // When set, staff must sign in with a TOTP code. Only global admins
+    // can change it.
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
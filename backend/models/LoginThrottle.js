@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Failed sign-ins from one client IP within a rolling window, whatever
+// account they targeted. Documents expire once the window has passed.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    ipAddress: {
+      type: String,
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      required: true,
+    },
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "loginthrottles",
+  }
+);
+
+loginThrottleSchema.index({ ipAddress: 1 }, { unique: true, name: "login_throttle_ip_unique_idx" });
+loginThrottleSchema.index({ expiresAt: 1 }, { name: "login_throttle_expires_ttl_idx", expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A degree or study program of an institution. Courses point at one of its
+// versions (see ProgramVersion); Course.program keeps the program code.
+const programSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 40,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 160,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 1000,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "programs",
+  }
+);
+
+programSchema.index(
+  { institutionId: 1, code: 1 },
+  { unique: true, name: "institution_program_code_unique_idx" }
+);
+
+module.exports = mongoose.model("Program", programSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// One edition of a program's curriculum (e.g. the 2026 plan). Effective
+// dates are institution calendar dates; a null end means still in force.
+// `curriculum` lists the course codes the version is made of.
+const programVersionSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+    },
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Program",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 40,
+    },
+    name: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 160,
+    },
+    effectiveFrom: {
+      type: String,
+      default: null,
+      match: DATE_PATTERN,
+    },
+    effectiveTo: {
+      type: String,
+      default: null,
+      match: DATE_PATTERN,
+    },
+    curriculum: {
+      type: [String],
+      default: [],
+      set: (values) => {
+        if (!Array.isArray(values)) return [];
+        return [...new Set(values.map((value) => String(value || "").trim().toUpperCase()).filter(Boolean))];
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "programversions",
+  }
+);
+
+programVersionSchema.index(
+  { institutionId: 1, programId: 1, code: 1 },
+  { unique: true, name: "institution_program_version_code_unique_idx" }
+);
+
+module.exports = mongoose.model("ProgramVersion", programVersionSchema);
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+const SESSION_STATUSES = ['open', 'paused', 'closed'];
+const SESSION_MODES = ['check_in', 'check_out'];
+
+// One lifecycle change (open/pause/resume/extend/close) and who made it.
+const QRLogTransitionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    default: null
+  },
+  by: {
+    type: String,
+    required: true
+  },
+  byName: {
+    type: String,
+    default: null
+  },
+  byRole: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Durable QR attendance sessions. Every app process reads the same collection,
+// so a restart or a second container keeps projected QR codes valid until
+// `expiresAt`. Documents are kept for reporting and removed by the TTL
+// monitor at `purgeAt`.
 const QRLogSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -10,14 +53,92 @@ const QRLogSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  generatedByRole: {
+    type: String,
+    default: null
+  },
+  generatedByName: {
+    type: String,
+    default: null
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  courseCode: {
+    type: String,
+    default: null
+  },
+  courseName: {
+    type: String,
+    default: null
+  },
+  section: {
+    type: String,
+    default: null
+  },
+  // check_out sessions close a check-in recorded earlier in the same meeting.
+  mode: {
+    type: String,
+    enum: SESSION_MODES,
+    default: 'check_in'
+  },
+  // Class meeting (course occurrence) this session records attendance for.
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassMeeting',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // Seconds per QR token step; null for legacy single-payload sessions.
+  rotationSeconds: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SESSION_STATUSES,
+    default: 'open'
+  },
+  transitions: {
+    type: [QRLogTransitionSchema],
+    default: []
+  },
   expiresAt: {
     type: Date,
     required: true
   },
+  purgeAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  collection: 'qrlogs'
 });
 
-module.exports = mongoose.model('QRLog', QRLogSchema);
\ No newline at end of file
+QRLogSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0, name: 'qrlog_purge_ttl_idx' });
+QRLogSchema.index(
+  { generatedBy: 1, courseId: 1, expiresAt: 1 },
+  { name: 'qrlog_generator_course_expires_idx' }
+);
+QRLogSchema.index(
+  { institutionId: 1, courseId: 1, createdAt: -1 },
+  { name: 'qrlog_institution_course_created_idx' }
+);
+
+QRLogSchema.index({ meetingId: 1 }, { name: 'qrlog_meeting_idx' });
+
+module.exports = mongoose.model('QRLog', QRLogSchema);
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+const STUDENT_DEVICE_STATUSES = ["active", "pending", "revoked"];
+
+// A browser a student registered for scanning at one institution. The device
+// holds a server-signed credential naming this document; the credential only
+// works while the status is active. Devices beyond the per-student limit wait
+// as pending until an admin approves them.
+const studentDeviceSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    label: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 100,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 400,
+    },
+    status: {
+      type: String,
+      enum: STUDENT_DEVICE_STATUSES,
+      required: true,
+    },
+    registeredIp: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    approvedByName: {
+      type: String,
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthUser",
+      default: null,
+    },
+    revokedByName: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "studentdevices",
+  }
+);
+
+studentDeviceSchema.index(
+  { institutionId: 1, email: 1, status: 1 },
+  { name: "institution_student_device_status_idx" }
+);
+studentDeviceSchema.index(
+  { institutionId: 1, status: 1, updatedAt: -1 },
+  { name: "institution_device_status_updated_idx" }
+);
+
+module.exports = mongoose.model("StudentDevice", studentDeviceSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// One passwordless sign-in attempt for a student email: a short numeric code
+// and a magic-link secret, both stored hashed. Documents expire with the code.
+const studentLoginCodeSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    linkSecretHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "studentlogincodes",
+  }
+);
+
+studentLoginCodeSchema.index({ email: 1, createdAt: -1 }, { name: "student_login_code_email_created_idx" });
+studentLoginCodeSchema.index(
+  { expiresAt: 1 },
+  { name: "student_login_code_expires_ttl_idx", expireAfterSeconds: 0 }
+);
+
+module.exports = mongoose.model("StudentLoginCode", studentLoginCodeSchema);
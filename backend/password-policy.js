@@ -0,0 +1,133 @@
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const Institution = require("./models/Institution");
+
+const PASSWORD_HASH_ROUNDS = 12;
+const MIN_POLICY_LENGTH = 8;
+const MAX_POLICY_LENGTH = 128;
+const MAX_HISTORY_COUNT = 24;
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  historyCount: 0,
+};
+
+function createPolicyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toBoundedInteger(value, fallback, min, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(numeric)));
+}
+
+// Stored policies are trusted but may predate a field; fill the gaps.
+function normalizePasswordPolicy(rawPolicy) {
+  const source = rawPolicy && typeof rawPolicy === "object" ? rawPolicy : {};
+  return {
+    minLength: toBoundedInteger(source.minLength, DEFAULT_PASSWORD_POLICY.minLength, MIN_POLICY_LENGTH, MAX_POLICY_LENGTH),
+    requireUppercase: source.requireUppercase === true,
+    requireLowercase: source.requireLowercase === true,
+    requireNumber: source.requireNumber === true,
+    requireSymbol: source.requireSymbol === true,
+    historyCount: toBoundedInteger(source.historyCount, DEFAULT_PASSWORD_POLICY.historyCount, 0, MAX_HISTORY_COUNT),
+  };
+}
+
+// Validates a policy sent by an admin; out-of-range values are rejected
+// instead of clamped.
+function buildPasswordPolicy(rawPolicy, fallbackPolicy = null) {
+  if (!rawPolicy || typeof rawPolicy !== "object") {
+    throw createPolicyError("passwordPolicy must be an object");
+  }
+  const merged = { ...normalizePasswordPolicy(fallbackPolicy), ...rawPolicy };
+  const minLength = Number(merged.minLength);
+  const historyCount = Number(merged.historyCount);
+  if (!Number.isInteger(minLength) || minLength < MIN_POLICY_LENGTH || minLength > MAX_POLICY_LENGTH) {
+    throw createPolicyError(
+      `passwordPolicy.minLength must be an integer between ${MIN_POLICY_LENGTH} and ${MAX_POLICY_LENGTH}`
+    );
+  }
+  if (!Number.isInteger(historyCount) || historyCount < 0 || historyCount > MAX_HISTORY_COUNT) {
+    throw createPolicyError(`passwordPolicy.historyCount must be an integer between 0 and ${MAX_HISTORY_COUNT}`);
+  }
+  return normalizePasswordPolicy(merged);
+}
+
+async function getPasswordPolicyForInstitution(institutionId) {
+  if (!institutionId || !mongoose.Types.ObjectId.isValid(String(institutionId))) {
+    return { ...DEFAULT_PASSWORD_POLICY };
+  }
+  const institution = await Institution.findById(institutionId).select("passwordPolicy").lean();
+  return normalizePasswordPolicy(institution?.passwordPolicy);
+}
+
+function describePasswordPolicy(policy) {
+  const rules = [`at least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push("an uppercase letter");
+  if (policy.requireLowercase) rules.push("a lowercase letter");
+  if (policy.requireNumber) rules.push("a number");
+  if (policy.requireSymbol) rules.push("a symbol");
+  return `Password must contain ${rules.join(", ")}`;
+}
+
+// Returns the first rule the password breaks, or null.
+function validatePasswordAgainstPolicy(password, policy) {
+  const value = String(password || "");
+  const failed =
+    value.length < policy.minLength ||
+    value.length > MAX_POLICY_LENGTH ||
+    (policy.requireUppercase && !/[A-Z]/.test(value)) ||
+    (policy.requireLowercase && !/[a-z]/.test(value)) ||
+    (policy.requireNumber && !/[0-9]/.test(value)) ||
+    (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value));
+  if (!failed) return null;
+  if (value.length > MAX_POLICY_LENGTH) {
+    return `Password must be at most ${MAX_POLICY_LENGTH} characters`;
+  }
+  return describePasswordPolicy(policy);
+}
+
+// `user` must be loaded with +passwordHash +passwordHistory. Sets the new hash
+// after checking the institution policy and the last `historyCount`
+// passwords (the current one included).
+async function applyNewPassword(user, password, policy) {
+  const validationError = validatePasswordAgainstPolicy(password, policy);
+  if (validationError) {
+    throw createPolicyError(validationError);
+  }
+
+  const history = Array.isArray(user.passwordHistory) ? user.passwordHistory : [];
+  if (policy.historyCount > 0) {
+    const recentHashes = [user.passwordHash, ...[...history].reverse()]
+      .filter(Boolean)
+      .slice(0, policy.historyCount);
+    for (const hash of recentHashes) {
+      if (await bcrypt.compare(String(password), hash)) {
+        throw createPolicyError(`Password must differ from the last ${policy.historyCount} password(s)`);
+      }
+    }
+  }
+
+  if (user.passwordHash) {
+    user.passwordHistory = [...history, user.passwordHash].slice(-MAX_HISTORY_COUNT);
+  }
+  user.passwordHash = await bcrypt.hash(String(password), PASSWORD_HASH_ROUNDS);
+  user.passwordChangedAt = new Date();
+}
+
+module.exports = {
+  PASSWORD_HASH_ROUNDS,
+  DEFAULT_PASSWORD_POLICY,
+  normalizePasswordPolicy,
+  buildPasswordPolicy,
+  getPasswordPolicyForInstitution,
+  validatePasswordAgainstPolicy,
+  applyNewPassword,
+};
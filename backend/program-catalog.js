@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const Program = require("./models/Program");
+const ProgramVersion = require("./models/ProgramVersion");
+
+const PROGRAM_CODE_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,39}$/;
+
+function normalizeProgramCode(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+function escapeRegExp(value) {
+  return String(value || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function createProgramError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// `courses` is { totalCourses, courseCodes } for the version, when known.
+function mapProgramVersion(version, courses = null) {
+  const courseCodes = courses?.courseCodes || [];
+  return {
+    id: String(version._id),
+    programId: String(version.programId),
+    programVersion: version.code,
+    code: version.code,
+    name: version.name || "",
+    effectiveFrom: version.effectiveFrom || null,
+    effectiveTo: version.effectiveTo || null,
+    curriculum: version.curriculum || [],
+    // Curriculum codes no course of this version offers yet.
+    missingCourses: courses ? (version.curriculum || []).filter((code) => !courseCodes.includes(code)) : [],
+    totalCourses: courses?.totalCourses || 0,
+    isActive: version.isActive !== false,
+  };
+}
+
+// `program` carries the code so clients that filter courses by the program
+// string keep working.
+function mapProgram(program, versions = []) {
+  return {
+    id: String(program._id),
+    institutionId: program.institutionId ? String(program.institutionId) : null,
+    program: program.code,
+    code: program.code,
+    name: program.name,
+    description: program.description || "",
+    isActive: program.isActive !== false,
+    totalCourses: versions.reduce((total, version) => total + version.totalCourses, 0),
+    versions,
+  };
+}
+
+// The program and version a course should point at, from programVersionId
+// or from the program (code or name) and programVersion (code) strings older
+// clients send. Both must exist in the institution; inactive ones are only
+// accepted when the course already uses that version.
+async function resolveCourseProgram(institutionId, input, currentVersionId = null) {
+  const source = input && typeof input === "object" ? input : {};
+  const versionId = String(source.programVersionId || "").trim();
+  let program = null;
+  let version = null;
+
+  if (versionId) {
+    version = mongoose.Types.ObjectId.isValid(versionId)
+      ? await ProgramVersion.findOne({ _id: versionId, institutionId }).lean()
+      : null;
+    if (!version) {
+      throw createProgramError("programVersionId references an unknown program version");
+    }
+    program = await Program.findOne({ _id: version.programId, institutionId }).lean();
+  } else {
+    const programText = String(source.program || "").trim().replace(/\s+/g, " ");
+    const versionCode = normalizeProgramCode(source.programVersion);
+    if (!programText || !versionCode) {
+      throw createProgramError("program and programVersion are required");
+    }
+    program = await Program.findOne({
+      institutionId,
+      $or: [
+        { code: normalizeProgramCode(programText) },
+        { name: new RegExp(`^${escapeRegExp(programText)}$`, "i") },
+      ],
+    }).lean();
+    if (!program) {
+      throw createProgramError(`Unknown program "${programText}". Add it under Programs first.`);
+    }
+    version = await ProgramVersion.findOne({ institutionId, programId: program._id, code: versionCode }).lean();
+    if (!version) {
+      throw createProgramError(`Program ${program.code} has no version "${versionCode}"`);
+    }
+  }
+
+  if (!program) {
+    throw createProgramError("programVersionId references an unknown program version");
+  }
+  const keepsCurrent = currentVersionId && String(currentVersionId) === String(version._id);
+  if (!keepsCurrent && (program.isActive === false || version.isActive === false)) {
+    throw createProgramError(`Program ${program.code} version ${version.code} is inactive`);
+  }
+  return {
+    program: program.code,
+    programVersion: version.code,
+    programId: program._id,
+    programVersionId: version._id,
+  };
+}
+
+module.exports = {
+  PROGRAM_CODE_PATTERN,
+  normalizeProgramCode,
+  mapProgram,
+  mapProgramVersion,
+  resolveCourseProgram,
+};
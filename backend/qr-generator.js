@@ -1,136 +1,344 @@
-const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const QRLog = require('./models/QRLog');
 
 // Configuration
-const QR_CODE_VALIDITY = 1.5 * 60 * 1000; // 1.5 minutes in ms
+const QR_CODE_VALIDITY = Number(process.env.QR_SESSION_MINUTES || 120) * 60 * 1000; // default class session window in ms
+const QR_SESSION_MAX_MINUTES = 12 * 60;
+const QR_REOPEN_MINUTES = Number(process.env.QR_REOPEN_MINUTES || 15);
+const QR_SESSION_RETENTION_MS = Number(process.env.QR_SESSION_RETENTION_DAYS || 180) * 24 * 60 * 60 * 1000;
 const QR_CODE_DIR = process.env.QR_CODE_DIR || path.join(__dirname, '../frontend/public/qrcodes');
-const CACHE_TIME = 90000; // 90 seconds (1.5 minutes), corrected comment
+const QR_ROTATION_SECONDS = Math.max(5, Number(process.env.QR_ROTATION_SECONDS || 15));
+const QR_TOKEN_LENGTH = 16;
 const APP_BASE_URL_FALLBACK = (process.env.APP_BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
+const QR_SECRET_KEY = process.env.QR_SECRET_KEY || 'default-secret-key';
 
-// Track active sessions and IP cache
-const activeSessions = new Map();
-const ipCache = new Map();
-
-// Ensure QR code directory exists
+// Legacy PNG directory: kept so old qr_*.png files keep being swept.
 if (!fs.existsSync(QR_CODE_DIR)) {
     fs.mkdirSync(QR_CODE_DIR, { recursive: true });
 }
 
-function makeCacheKey(ipAddress, sessionContext = {}, baseUrl = '') {
-    return [
-        ipAddress || '',
-        sessionContext.institutionId || '',
-        sessionContext.generatedBy || '',
-        sessionContext.courseId || '',
-        sessionContext.section || '',
-        baseUrl || ''
-    ].join('|');
+function getRotationStep(rotationSeconds, now = Date.now()) {
+    return Math.floor(now / (rotationSeconds * 1000));
 }
 
-async function generateQRCode(ipAddress, sessionContext = {}, baseUrl = '') {
-    const cacheKey = makeCacheKey(ipAddress, sessionContext, baseUrl);
+// TOTP-style token: HMAC of the session id and the current time step.
+function createRotatingToken(sessionId, step) {
+    return crypto.createHmac('sha256', QR_SECRET_KEY)
+        .update(`${sessionId}:${step}`)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/g, '')
+        .slice(0, QR_TOKEN_LENGTH);
+}
 
-    // Check cache first
-    if (ipCache.has(cacheKey)) {
-        const cached = ipCache.get(cacheKey);
-        if (Date.now() - cached.timestamp < CACHE_TIME) {
-            return cached.data;
-        }
+function tokensEqual(left, right) {
+    const leftBuffer = Buffer.from(String(left || ''));
+    const rightBuffer = Buffer.from(String(right || ''));
+    if (leftBuffer.length !== rightBuffer.length) return false;
+    return crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+// Accepts the token of the current step or the one just before it.
+function verifyRotatingToken(session, token, now = Date.now()) {
+    if (!session || !session.rotationSeconds) return true;
+    const normalizedToken = String(token || '').trim();
+    if (!normalizedToken) return false;
+
+    const currentStep = getRotationStep(session.rotationSeconds, now);
+    return [currentStep, currentStep - 1].some((step) =>
+        tokensEqual(normalizedToken, createRotatingToken(session.sessionId, step))
+    );
+}
+
+function buildRotatingQRPayload(session, baseUrl = '', now = Date.now()) {
+    const rotationSeconds = session.rotationSeconds || QR_ROTATION_SECONDS;
+    const rotationMs = rotationSeconds * 1000;
+    const step = getRotationStep(rotationSeconds, now);
+    const timestamp = step * rotationMs;
+    const token = createRotatingToken(session.sessionId, step);
+    const hash = crypto.createHash('sha256')
+        .update(session.sessionId + timestamp + QR_SECRET_KEY)
+        .digest('hex');
+
+    const resolvedBase = (baseUrl || APP_BASE_URL_FALLBACK).replace(/\/$/, '');
+    const qrData = `${resolvedBase}/verify-attendance?data=${encodeURIComponent(JSON.stringify({
+        sessionId: session.sessionId,
+        timestamp,
+        hash,
+        token
+    }))}`;
+
+    return {
+        qrData,
+        step,
+        rotationSeconds,
+        rotatesInMs: timestamp + rotationMs - now,
+        expiresInMs: Math.max(0, session.expiresAt - now)
+    };
+}
+
+function mapSessionContext(session) {
+    return {
+        institutionId: session.institutionId,
+        courseId: session.courseId,
+        courseCode: session.courseCode,
+        courseName: session.courseName,
+        section: session.section,
+        meetingId: session.meetingId,
+        mode: session.mode
+    };
+}
+
+// Allowed lifecycle moves. `to: null` keeps the status and only moves expiresAt.
+const SESSION_TRANSITIONS = {
+    pause: { from: ['open'], to: 'paused' },
+    resume: { from: ['paused', 'closed'], to: 'open' },
+    extend: { from: ['open', 'paused'], to: null },
+    close: { from: ['open', 'paused'], to: 'closed' }
+};
+
+function createSessionError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function clampSessionMinutes(value, fallback) {
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes <= 0) return fallback;
+    return Math.min(Math.round(minutes), QR_SESSION_MAX_MINUTES);
+}
+
+function buildTransitionEntry(action, fromStatus, toStatus, actor = {}, expiresAt, at = new Date()) {
+    return {
+        action,
+        fromStatus,
+        toStatus,
+        by: actor.userId ? String(actor.userId) : 'system',
+        byName: actor.name || null,
+        byRole: actor.role || null,
+        at,
+        expiresAt
+    };
+}
+
+// Why a stored session does (not) accept scans right now.
+function getSessionAvailability(session, now = Date.now()) {
+    if (session.status === 'closed') {
+        return { acceptsAttendance: false, message: 'Attendance for this class session has been closed by the teacher.' };
+    }
+    if (session.expiresAt <= now) {
+        return { acceptsAttendance: false, message: 'Invalid or expired session. Please scan a fresh QR.' };
+    }
+    if (session.status === 'paused') {
+        return { acceptsAttendance: false, message: 'Attendance for this class session is paused. Please wait for the teacher.' };
     }
+    return { acceptsAttendance: true, message: 'Valid session' };
+}
 
-    try {
-        const sessionId = crypto.randomBytes(16).toString('hex');
-        const timestamp = Date.now();
-        
-        const secretKey = process.env.QR_SECRET_KEY || 'default-secret-key';
-        const hash = crypto.createHash('sha256')
-                         .update(sessionId + timestamp + secretKey)
-                         .digest('hex');
-
-        const resolvedBase = (baseUrl || APP_BASE_URL_FALLBACK).replace(/\/$/, '');
-        const qrData = `${resolvedBase}/verify-attendance?data=${encodeURIComponent(JSON.stringify({
-            sessionId,
-            timestamp,
-            hash
-        }))}`;
-        const fileName = `qr_${timestamp}.png`;
-        const filePath = path.join(QR_CODE_DIR, fileName);
-
-        await QRCode.toFile(filePath, qrData, {
-            color: {
-                dark: '#000000',
-                light: '#ffffff'
-            },
-            width: 400,
-            margin: 2
-        });
+// Latest open or paused session of this teacher for the course in the same
+// mode (check-in or check-out), optionally restricted to one class meeting.
+async function findOpenSessionForContext(sessionContext = {}) {
+    if (!sessionContext.generatedBy || !sessionContext.courseId) return null;
 
-        const sessionRecord = {
-            ip: ipAddress,
-            expiresAt: timestamp + QR_CODE_VALIDITY,
-            createdAt: timestamp,
-            generatedBy: sessionContext.generatedBy || null,
-            generatedByRole: sessionContext.generatedByRole || null,
-            generatedByName: sessionContext.generatedByName || null,
-            institutionId: sessionContext.institutionId || null,
-            courseId: sessionContext.courseId || null,
-            courseCode: sessionContext.courseCode || null,
-            courseName: sessionContext.courseName || null,
-            section: sessionContext.section || null
-        };
-        activeSessions.set(sessionId, sessionRecord);
-
-        setTimeout(() => {
-            activeSessions.delete(sessionId);
-        }, QR_CODE_VALIDITY);
-
-        const result = {
-            qrImage: `/qrcodes/${fileName}`,
-            sessionId,
-            expiresIn: QR_CODE_VALIDITY,
-            sessionContext: {
-                institutionId: sessionRecord.institutionId,
-                courseId: sessionRecord.courseId,
-                courseCode: sessionRecord.courseCode,
-                courseName: sessionRecord.courseName,
-                section: sessionRecord.section
-            }
-        };
+    const filter = {
+        generatedBy: String(sessionContext.generatedBy),
+        institutionId: sessionContext.institutionId || null,
+        courseId: sessionContext.courseId,
+        rotationSeconds: { $gt: 0 },
+        status: { $in: ['open', 'paused'] },
+        expiresAt: { $gt: new Date() },
+        mode: sessionContext.mode === 'check_out' ? 'check_out' : { $ne: 'check_out' }
+    };
+    if (sessionContext.meetingId) {
+        filter.meetingId = sessionContext.meetingId;
+    }
 
-        ipCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-        });
+    const session = await QRLog.findOne(filter).sort({ createdAt: -1 }).lean();
 
-        return result;
+    return session ? mapSessionRecord(session) : null;
+}
+
+// Opens (or resumes) the teacher's class session for a course meeting. The QR
+// payload is not rendered here: the teacher page draws it from
+// buildRotatingQRPayload.
+async function generateQRCode(ipAddress, sessionContext = {}, baseUrl = '') {
+    try {
+        let session = await findOpenSessionForContext(sessionContext);
+
+        if (!session) {
+            const timestamp = Date.now();
+            const validityMs = clampSessionMinutes(sessionContext.durationMinutes, QR_CODE_VALIDITY / 60000) * 60000;
+            const expiresAt = new Date(timestamp + validityMs);
+            const sessionRecord = await QRLog.create({
+                sessionId: crypto.randomBytes(16).toString('hex'),
+                ip: ipAddress || null,
+                expiresAt,
+                purgeAt: new Date(expiresAt.getTime() + QR_SESSION_RETENTION_MS),
+                createdAt: new Date(timestamp),
+                rotationSeconds: QR_ROTATION_SECONDS,
+                status: 'open',
+                transitions: [
+                    buildTransitionEntry('open', null, 'open', {
+                        userId: sessionContext.generatedBy,
+                        name: sessionContext.generatedByName,
+                        role: sessionContext.generatedByRole
+                    }, expiresAt, new Date(timestamp))
+                ],
+                generatedBy: sessionContext.generatedBy ? String(sessionContext.generatedBy) : 'system',
+                generatedByRole: sessionContext.generatedByRole || null,
+                generatedByName: sessionContext.generatedByName || null,
+                institutionId: sessionContext.institutionId || null,
+                courseId: sessionContext.courseId || null,
+                courseCode: sessionContext.courseCode || null,
+                courseName: sessionContext.courseName || null,
+                section: sessionContext.section || null,
+                meetingId: sessionContext.meetingId || null,
+                mode: sessionContext.mode === 'check_out' ? 'check_out' : 'check_in'
+            });
+            session = mapSessionRecord(sessionRecord.toObject());
+        }
+
+        const rotation = buildRotatingQRPayload(session, baseUrl);
+        return {
+            sessionId: session.sessionId,
+            status: session.status,
+            expiresIn: rotation.expiresInMs,
+            rotation,
+            sessionContext: mapSessionContext(session)
+        };
     } catch (error) {
         console.error('QR generation error:', error);
         throw error;
     }
 }
 
-function validateSession(sessionId) {
-    const session = getSessionDetails(sessionId);
-    return Boolean(session);
+function toNullableString(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return String(value);
 }
 
-function getSessionDetails(sessionId) {
-    const session = activeSessions.get(sessionId);
-    if (!session) return null;
-    
-    if (Date.now() > session.expiresAt) {
-        activeSessions.delete(sessionId);
-        return null;
-    }
-    
+function mapTransition(entry) {
     return {
-        sessionId,
-        ...session
+        action: entry.action,
+        fromStatus: entry.fromStatus || null,
+        toStatus: entry.toStatus || null,
+        by: entry.by === 'system' ? null : toNullableString(entry.by),
+        byName: entry.byName || null,
+        byRole: entry.byRole || null,
+        at: entry.at ? new Date(entry.at).getTime() : null,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).getTime() : null
     };
 }
 
+function mapSessionRecord(record) {
+    const session = {
+        sessionId: record.sessionId,
+        ip: record.ip || null,
+        expiresAt: new Date(record.expiresAt).getTime(),
+        createdAt: new Date(record.createdAt).getTime(),
+        rotationSeconds: record.rotationSeconds || null,
+        status: record.status || 'open',
+        transitions: Array.isArray(record.transitions) ? record.transitions.map(mapTransition) : [],
+        generatedBy: record.generatedBy === 'system' ? null : toNullableString(record.generatedBy),
+        generatedByRole: record.generatedByRole || null,
+        generatedByName: record.generatedByName || null,
+        institutionId: toNullableString(record.institutionId),
+        courseId: toNullableString(record.courseId),
+        courseCode: record.courseCode || null,
+        courseName: record.courseName || null,
+        section: record.section || null,
+        meetingId: toNullableString(record.meetingId),
+        mode: record.mode || 'check_in'
+    };
+    const availability = getSessionAvailability(session);
+    session.acceptsAttendance = availability.acceptsAttendance;
+    session.availabilityMessage = availability.message;
+    return session;
+}
+
+async function validateSession(sessionId) {
+    const session = await getSessionDetails(sessionId);
+    return Boolean(session && session.acceptsAttendance);
+}
+
+// Returns the stored session whatever its state; callers check
+// `acceptsAttendance` (and `availabilityMessage`) before recording a scan.
+async function getSessionDetails(sessionId) {
+    const normalizedSessionId = String(sessionId || '').trim();
+    if (!normalizedSessionId) return null;
+
+    const session = await QRLog.findOne({ sessionId: normalizedSessionId }).lean();
+    if (!session) return null;
+
+    return mapSessionRecord(session);
+}
+
+// Applies pause/resume/extend/close. The update is conditional on the status
+// and expiry that were read, so two teachers' tabs (or two app processes)
+// cannot apply conflicting transitions.
+async function transitionSession(sessionId, action, actor = {}, options = {}) {
+    const transition = SESSION_TRANSITIONS[action];
+    if (!transition) {
+        throw createSessionError(`Unknown session action: ${action}`, 400);
+    }
+
+    const current = await QRLog.findOne({ sessionId: String(sessionId || '').trim() }).lean();
+    if (!current) {
+        throw createSessionError('Class session not found', 404);
+    }
+
+    const fromStatus = current.status || 'open';
+    if (!transition.from.includes(fromStatus)) {
+        throw createSessionError(`Cannot ${action} a session that is ${fromStatus}`, 409);
+    }
+
+    const now = Date.now();
+    const currentExpiry = new Date(current.expiresAt).getTime();
+    let nextExpiry = currentExpiry;
+    if (action === 'extend') {
+        const minutes = clampSessionMinutes(options.minutes, 0);
+        if (!minutes) {
+            throw createSessionError('minutes must be a positive number', 400);
+        }
+        nextExpiry = Math.max(currentExpiry, now) + minutes * 60000;
+    } else if (action === 'resume' && currentExpiry <= now) {
+        nextExpiry = now + clampSessionMinutes(options.minutes, QR_REOPEN_MINUTES) * 60000;
+    } else if (action === 'close') {
+        nextExpiry = Math.min(currentExpiry, now);
+    }
+
+    if (nextExpiry - new Date(current.createdAt).getTime() > QR_SESSION_MAX_MINUTES * 60000) {
+        throw createSessionError(`A class session cannot stay open longer than ${QR_SESSION_MAX_MINUTES / 60} hours`, 400);
+    }
+
+    const toStatus = transition.to || fromStatus;
+    const expiresAt = new Date(nextExpiry);
+    const updated = await QRLog.findOneAndUpdate(
+        { sessionId: current.sessionId, status: current.status, expiresAt: current.expiresAt },
+        {
+            $set: {
+                status: toStatus,
+                expiresAt,
+                purgeAt: new Date(nextExpiry + QR_SESSION_RETENTION_MS)
+            },
+            $push: {
+                transitions: buildTransitionEntry(action, fromStatus, toStatus, actor, expiresAt, new Date(now))
+            }
+        },
+        { new: true }
+    ).lean();
+
+    if (!updated) {
+        throw createSessionError('Class session changed while updating. Please retry.', 409);
+    }
+
+    return mapSessionRecord(updated);
+}
+
 function cleanupOldQRCodes() {
     const now = Date.now();
     fs.readdir(QR_CODE_DIR, (err, files) => {
@@ -138,12 +346,12 @@ function cleanupOldQRCodes() {
             console.error('Cleanup error:', err);
             return;
         }
-        
+
         files.forEach(file => {
             if (file.startsWith('qr_') && file.endsWith('.png')) {
                 const fileTimestamp = parseInt(file.split('_')[1].split('.')[0]);
                 if (isNaN(fileTimestamp))return;
-                
+
                 if (now - fileTimestamp > QR_CODE_VALIDITY) {
                     fs.unlink(path.join(QR_CODE_DIR, file), err => {
                         if (err) console.error('Error deleting file:', file, err);
@@ -159,6 +367,10 @@ cleanupOldQRCodes();
 
 module.exports = {
     generateQRCode,
+    findOpenSessionForContext,
     validateSession,
-    getSessionDetails
+    getSessionDetails,
+    transitionSession,
+    buildRotatingQRPayload,
+    verifyRotatingToken
 };
@@ -9,14 +9,42 @@ const {
   resolveInstitutionIdForRequest,
   toInstitutionObjectId,
 } = require("../middleware/institution");
+const {
+  TIME_PATTERN,
+  toMinutes,
+  getScheduleBlocks,
+  hasCourseSchedule,
+  evaluateCourseSchedule,
+  isScheduleOverrideActive,
+} = require("../course-schedule");
+const { getInstitutionTimeZone } = require("../institution-time");
+const CampusLocation = require("../models/CampusLocation");
+const AcademicTerm = require("../models/AcademicTerm");
+const ClassMeeting = require("../models/ClassMeeting");
+const { listScheduledMeetings } = require("../academic-calendar");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
+const {
+  getCatalogFields,
+  recordCatalogAudit,
+  resolveSectionCatalog,
+  saveSectionCatalog,
+} = require("../course-catalog");
+const {
+  DEFAULT_ACCURACY_TOLERANCE_METERS,
+  MAX_ACCURACY_TOLERANCE_METERS,
+  MAX_GEOFENCE_ZONES,
+} = require("../geofence");
 
 const router = express.Router();
-const WEEKDAY_BY_INDEX = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
 const ALLOWED_DAY_CODES = new Set(["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"]);
-const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 const ENROLLMENT_ROLL_PATTERN = /^[A-Z0-9-]{3,30}$/;
 const COURSE_DELIVERY_MODES = new Set(["in_person", "online", "hybrid"]);
 const DEFAULT_REQUIRE_ENROLLMENT = process.env.ATTENDANCE_REQUIRE_ENROLLMENT !== "false";
+const DEFAULT_MINIMUM_PRESENCE_MINUTES = 40;
+const DEFAULT_LATE_GRACE_MINUTES = 10;
+const DEFAULT_SCHEDULE_LEEWAY_MINUTES = 15;
+const DEFAULT_SCHEDULE_OVERRIDE_MINUTES = 120;
+const MAX_SCHEDULE_BLOCKS = 28;
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
 
 function isInstitutionAdminRole(role) {
@@ -130,6 +158,22 @@ function normalizeIpAllowlist(value) {
   return [...new Set(value.map((entry) => String(entry || "").trim()).filter(Boolean))];
 }
 
+function normalizeGeofenceZoneIds(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = [...new Set(value.map((entry) => String(entry || "").trim()).filter(Boolean))];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    const error = new Error("attendancePolicy.geofenceZones must contain campus location ids");
+    error.status = 400;
+    throw error;
+  }
+  if (ids.length > MAX_GEOFENCE_ZONES) {
+    const error = new Error(`attendancePolicy.geofenceZones allows at most ${MAX_GEOFENCE_ZONES} zones`);
+    error.status = 400;
+    throw error;
+  }
+  return ids;
+}
+
 function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallbackPolicy = null } = {}) {
   const source = rawPolicy && typeof rawPolicy === "object" ? rawPolicy : {};
   const fallback = fallbackPolicy && typeof fallbackPolicy === "object" ? fallbackPolicy : {};
@@ -138,6 +182,10 @@ function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallback
     source.singleDevicePerDay,
     normalizeBoolean(fallback.singleDevicePerDay, true)
   );
+  const requireRegisteredDevice = normalizeBoolean(
+    source.requireRegisteredDevice,
+    normalizeBoolean(fallback.requireRegisteredDevice, false)
+  );
   const requireSignature = normalizeBoolean(
     source.requireSignature,
     normalizeBoolean(fallback.requireSignature, true)
@@ -158,6 +206,36 @@ function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallback
     source.requireGeofence,
     normalizeBoolean(fallback.requireGeofence, false)
   );
+  const requireCheckOut = normalizeBoolean(
+    source.requireCheckOut,
+    normalizeBoolean(fallback.requireCheckOut, false)
+  );
+  const minimumPresenceRaw = source.minimumPresenceMinutes !== undefined
+    ? toNullableNumber(source.minimumPresenceMinutes)
+    : toNullableNumber(fallback.minimumPresenceMinutes);
+  const minimumPresenceMinutes = minimumPresenceRaw === null
+    ? DEFAULT_MINIMUM_PRESENCE_MINUTES
+    : Math.round(minimumPresenceRaw);
+  const lateGraceRaw = source.lateGraceMinutes !== undefined
+    ? toNullableNumber(source.lateGraceMinutes)
+    : toNullableNumber(fallback.lateGraceMinutes);
+  const lateGraceMinutes = lateGraceRaw === null ? DEFAULT_LATE_GRACE_MINUTES : Math.round(lateGraceRaw);
+  const enforceSchedule = normalizeBoolean(
+    source.enforceSchedule,
+    normalizeBoolean(fallback.enforceSchedule, false)
+  );
+  const leewayBeforeRaw = source.scheduleLeewayBeforeMinutes !== undefined
+    ? toNullableNumber(source.scheduleLeewayBeforeMinutes)
+    : toNullableNumber(fallback.scheduleLeewayBeforeMinutes);
+  const scheduleLeewayBeforeMinutes = leewayBeforeRaw === null
+    ? DEFAULT_SCHEDULE_LEEWAY_MINUTES
+    : Math.round(leewayBeforeRaw);
+  const leewayAfterRaw = source.scheduleLeewayAfterMinutes !== undefined
+    ? toNullableNumber(source.scheduleLeewayAfterMinutes)
+    : toNullableNumber(fallback.scheduleLeewayAfterMinutes);
+  const scheduleLeewayAfterMinutes = leewayAfterRaw === null
+    ? DEFAULT_SCHEDULE_LEEWAY_MINUTES
+    : Math.round(leewayAfterRaw);
   const geofenceSource = source.geofence && typeof source.geofence === "object"
     ? source.geofence
     : (fallback.geofence && typeof fallback.geofence === "object" ? fallback.geofence : {});
@@ -165,15 +243,26 @@ function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallback
   const geofenceLng = toNullableNumber(geofenceSource.lng);
   const geofenceRadiusRaw = toNullableNumber(geofenceSource.radiusMeters);
   const geofenceRadius = geofenceRadiusRaw === null ? 120 : geofenceRadiusRaw;
+  const geofenceZones = normalizeGeofenceZoneIds(
+    source.geofenceZones !== undefined ? source.geofenceZones : fallback.geofenceZones
+  );
+  const toleranceRaw = source.geofenceAccuracyToleranceMeters !== undefined
+    ? toNullableNumber(source.geofenceAccuracyToleranceMeters)
+    : toNullableNumber(fallback.geofenceAccuracyToleranceMeters);
+  const geofenceAccuracyToleranceMeters = toleranceRaw === null
+    ? DEFAULT_ACCURACY_TOLERANCE_METERS
+    : Math.round(toleranceRaw);
 
   if (requireIpAllowlist && !ipAllowlist.length) {
     const error = new Error("attendancePolicy.ipAllowlist is required when requireIpAllowlist=true");
     error.status = 400;
     throw error;
   }
-  if (requireGeofence) {
+  if (requireGeofence && !geofenceZones.length) {
     if (geofenceLat === null || geofenceLng === null) {
-      const error = new Error("attendancePolicy.geofence.lat/lng are required when requireGeofence=true");
+      const error = new Error(
+        "attendancePolicy.geofenceZones or geofence.lat/lng are required when requireGeofence=true"
+      );
       error.status = 400;
       throw error;
     }
@@ -183,10 +272,36 @@ function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallback
       throw error;
     }
   }
+  if (geofenceAccuracyToleranceMeters < 0 || geofenceAccuracyToleranceMeters > MAX_ACCURACY_TOLERANCE_METERS) {
+    const error = new Error(
+      `attendancePolicy.geofenceAccuracyToleranceMeters must be between 0 and ${MAX_ACCURACY_TOLERANCE_METERS}`
+    );
+    error.status = 400;
+    throw error;
+  }
+  if (minimumPresenceMinutes < 1 || minimumPresenceMinutes > 720) {
+    const error = new Error("attendancePolicy.minimumPresenceMinutes must be between 1 and 720");
+    error.status = 400;
+    throw error;
+  }
+  if (lateGraceMinutes < 0 || lateGraceMinutes > 240) {
+    const error = new Error("attendancePolicy.lateGraceMinutes must be between 0 and 240");
+    error.status = 400;
+    throw error;
+  }
+  if (
+    scheduleLeewayBeforeMinutes < 0 || scheduleLeewayBeforeMinutes > 240 ||
+    scheduleLeewayAfterMinutes < 0 || scheduleLeewayAfterMinutes > 240
+  ) {
+    const error = new Error("attendancePolicy schedule leeway must be between 0 and 240 minutes");
+    error.status = 400;
+    throw error;
+  }
 
   return {
     deliveryMode,
     singleDevicePerDay,
+    requireRegisteredDevice,
     requireSignature,
     requireEnrollment,
     requireIpAllowlist,
@@ -197,89 +312,195 @@ function buildAttendancePolicy(rawPolicy, { deliveryMode = "in_person", fallback
       lng: geofenceLng,
       radiusMeters: geofenceRadius,
     },
+    geofenceZones,
+    geofenceAccuracyToleranceMeters,
+    requireCheckOut,
+    minimumPresenceMinutes,
+    lateGraceMinutes,
+    enforceSchedule,
+    scheduleLeewayBeforeMinutes,
+    scheduleLeewayAfterMinutes,
   };
 }
 
-function mapAttendancePolicy(rawPolicy, deliveryMode) {
-  try {
-    return buildAttendancePolicy(rawPolicy, { deliveryMode });
-  } catch (_) {
-    return buildAttendancePolicy({}, { deliveryMode });
+function assertSchedulePolicy(attendancePolicy, schedule) {
+  if (attendancePolicy.enforceSchedule && !hasCourseSchedule(schedule)) {
+    const error = new Error("attendancePolicy.enforceSchedule requires at least one schedule block");
+    error.status = 400;
+    throw error;
   }
 }
 
-function toMinutes(timeValue) {
-  if (!timeValue || !TIME_PATTERN.test(timeValue)) return null;
-  const [hours, minutes] = timeValue.split(":").map(Number);
-  return hours * 60 + minutes;
+function createScheduleError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
 }
 
-function evaluateCourseSchedule(course, now = new Date()) {
-  const daysOfWeek = Array.isArray(course.daysOfWeek) ? course.daysOfWeek : [];
-  const startMinutes = toMinutes(course.startTime);
-  const endMinutes = toMinutes(course.endTime);
-  const hasSchedule =
-    daysOfWeek.length > 0 &&
-    startMinutes !== null &&
-    endMinutes !== null &&
-    endMinutes > startMinutes;
-  if (!hasSchedule) {
-    return {
-      hasSchedule: false,
-      scheduledToday: false,
-      inScheduleWindow: false,
-      upcomingToday: false,
-      rank: 0,
-    };
+// Blocks from the pre-block single-slot fields: one per day, same times.
+function readLegacySchedule(daysOfWeekInput, startTimeInput, endTimeInput) {
+  const daysOfWeek = normalizeDaysOfWeek(daysOfWeekInput);
+  const startTime = normalizeTime(startTimeInput);
+  const endTime = normalizeTime(endTimeInput);
+  if (startTime === null || endTime === null) {
+    throw createScheduleError("startTime and endTime must use HH:mm format");
+  }
+  const hasAnySchedule = Boolean(daysOfWeek.length || startTime || endTime);
+  if (!hasAnySchedule) return [];
+  if (!daysOfWeek.length || !startTime || !endTime) {
+    throw createScheduleError("daysOfWeek, startTime and endTime must be provided together");
+  }
+  if (startTime >= endTime) {
+    throw createScheduleError("startTime must be earlier than endTime");
   }
+  return getScheduleBlocks({
+    scheduleBlocks: daysOfWeek.map((dayOfWeek) => ({ dayOfWeek, startTime, endTime, locationId: null, deliveryMode: null })),
+  });
+}
 
-  const todayCode = WEEKDAY_BY_INDEX[now.getDay()];
-  const scheduledToday = daysOfWeek.includes(todayCode);
-  if (!scheduledToday) {
-    return {
-      hasSchedule: true,
-      scheduledToday: false,
-      inScheduleWindow: false,
-      upcomingToday: false,
-      rank: 0,
-    };
+async function readScheduleBlocks(institutionId, rawBlocks) {
+  if (!Array.isArray(rawBlocks)) {
+    throw createScheduleError("scheduleBlocks must be a list");
   }
+  if (rawBlocks.length > MAX_SCHEDULE_BLOCKS) {
+    throw createScheduleError(`A course can have at most ${MAX_SCHEDULE_BLOCKS} schedule blocks`);
+  }
+  const blocks = rawBlocks.map((entry, index) => {
+    const label = `Schedule block ${index + 1}`;
+    const dayOfWeek = String(entry?.dayOfWeek || "").trim().toUpperCase();
+    const startTime = String(entry?.startTime || "").trim();
+    const endTime = String(entry?.endTime || "").trim();
+    const locationId = String(entry?.locationId || "").trim() || null;
+    const deliveryMode = String(entry?.deliveryMode || "").trim().toLowerCase() || null;
+    if (!ALLOWED_DAY_CODES.has(dayOfWeek)) {
+      throw createScheduleError(`${label}: dayOfWeek must be one of: ${[...ALLOWED_DAY_CODES].join(", ")}`);
+    }
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) || startTime >= endTime) {
+      throw createScheduleError(`${label}: startTime and endTime must use HH:mm with startTime before endTime`);
+    }
+    if (locationId && !mongoose.Types.ObjectId.isValid(locationId)) {
+      throw createScheduleError(`${label}: locationId must be a campus location id`);
+    }
+    if (deliveryMode && !COURSE_DELIVERY_MODES.has(deliveryMode)) {
+      throw createScheduleError(`${label}: deliveryMode must be one of: in_person, online, hybrid`);
+    }
+    return { dayOfWeek, startTime, endTime, locationId, deliveryMode };
+  });
 
-  const nowMinutes = now.getHours() * 60 + now.getMinutes();
-  if (nowMinutes >= startMinutes && nowMinutes <= endMinutes) {
-    return {
-      hasSchedule: true,
-      scheduledToday: true,
-      inScheduleWindow: true,
-      upcomingToday: false,
-      rank: 300 + (endMinutes - nowMinutes),
-    };
+  const sorted = getScheduleBlocks({ scheduleBlocks: blocks });
+  sorted.forEach((block, index) => {
+    const previous = sorted[index - 1];
+    if (previous && previous.dayOfWeek === block.dayOfWeek && toMinutes(block.startTime) < toMinutes(previous.endTime)) {
+      throw createScheduleError(
+        `Schedule blocks overlap on ${block.dayOfWeek}: ${previous.startTime}-${previous.endTime} and ${block.startTime}-${block.endTime}`
+      );
+    }
+  });
+
+  const locationIds = [...new Set(sorted.map((block) => block.locationId).filter(Boolean))];
+  if (locationIds.length) {
+    const found = await CampusLocation.countDocuments({ _id: { $in: locationIds }, institutionId });
+    if (found !== locationIds.length) {
+      throw createScheduleError("scheduleBlocks references unknown campus locations");
+    }
   }
+  return sorted;
+}
+
+function summarizeScheduleBlocks(blocks) {
+  if (!blocks.length) {
+    return { daysOfWeek: [], startTime: "", endTime: "" };
+  }
+  return {
+    daysOfWeek: [...new Set(blocks.map((block) => block.dayOfWeek))],
+    startTime: blocks.reduce((earliest, block) => (block.startTime < earliest ? block.startTime : earliest), blocks[0].startTime),
+    endTime: blocks.reduce((latest, block) => (block.endTime > latest ? block.endTime : latest), blocks[0].endTime),
+  };
+}
 
-  if (nowMinutes < startMinutes) {
-    return {
-      hasSchedule: true,
-      scheduledToday: true,
-      inScheduleWindow: false,
-      upcomingToday: true,
-      rank: 200 - (startMinutes - nowMinutes),
-    };
+// The timetable to store for a create/update body: scheduleBlocks when sent,
+// otherwise the single-slot daysOfWeek/startTime/endTime fields older
+// clients send. Those fields are also written back as a summary of the
+// blocks. An update that repeats the stored summary keeps the blocks.
+async function resolveCourseSchedule(institutionId, body, existing = null) {
+  const existingBlocks = existing ? getScheduleBlocks(existing) : [];
+  let scheduleBlocks = existingBlocks;
+  if (body.scheduleBlocks !== undefined) {
+    scheduleBlocks = await readScheduleBlocks(institutionId, body.scheduleBlocks);
+  } else if (body.daysOfWeek !== undefined || body.startTime !== undefined || body.endTime !== undefined) {
+    const legacyBlocks = readLegacySchedule(
+      body.daysOfWeek ?? existing?.daysOfWeek,
+      body.startTime ?? existing?.startTime,
+      body.endTime ?? existing?.endTime
+    );
+    const existingSummary = summarizeScheduleBlocks(existingBlocks);
+    const legacySummary = summarizeScheduleBlocks(legacyBlocks);
+    const unchanged = existing &&
+      existingSummary.daysOfWeek.join(",") === legacySummary.daysOfWeek.join(",") &&
+      existingSummary.startTime === legacySummary.startTime &&
+      existingSummary.endTime === legacySummary.endTime;
+    if (!unchanged) {
+      scheduleBlocks = legacyBlocks;
+    }
   }
+  return { scheduleBlocks, ...summarizeScheduleBlocks(scheduleBlocks) };
+}
 
+
+async function assertGeofenceZones(institutionId, attendancePolicy) {
+  const zoneIds = attendancePolicy.geofenceZones || [];
+  if (!zoneIds.length) return;
+  const found = await CampusLocation.countDocuments({ _id: { $in: zoneIds }, institutionId });
+  if (found !== zoneIds.length) {
+    const error = new Error("attendancePolicy.geofenceZones references unknown campus locations");
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Returns the term id to store on a course: null clears it, anything else
+// must be a term of the same institution.
+async function resolveCourseTermId(institutionId, rawTermId) {
+  const termId = String(rawTermId ?? "").trim();
+  if (!termId) return null;
+  const term = mongoose.Types.ObjectId.isValid(termId)
+    ? await AcademicTerm.exists({ _id: termId, institutionId })
+    : null;
+  if (!term) {
+    const error = new Error("termId references an unknown academic term");
+    error.status = 400;
+    throw error;
+  }
+  return term._id;
+}
+
+function mapScheduleOverride(course, now = new Date()) {
+  const override = course.scheduleOverride;
+  if (!override?.endsAt || new Date(override.endsAt).getTime() < now.getTime()) return null;
   return {
-    hasSchedule: true,
-    scheduledToday: true,
-    inScheduleWindow: false,
-    upcomingToday: false,
-    rank: 100 - (nowMinutes - endMinutes),
+    startsAt: new Date(override.startsAt).getTime(),
+    endsAt: new Date(override.endsAt).getTime(),
+    reason: override.reason || "",
+    grantedBy: override.grantedBy ? String(override.grantedBy) : null,
+    grantedByName: override.grantedByName || null,
+    grantedAt: override.grantedAt ? new Date(override.grantedAt).getTime() : null,
+    active: isScheduleOverrideActive(course, now),
   };
 }
 
-function sortAndMapCourses(courses) {
+function mapAttendancePolicy(rawPolicy, deliveryMode) {
+  try {
+    return buildAttendancePolicy(rawPolicy, { deliveryMode });
+  } catch (_) {
+    return buildAttendancePolicy({}, { deliveryMode });
+  }
+}
+
+function sortAndMapCourses(courses, timeZone) {
   const now = new Date();
   const decorated = courses.map((course) => ({
     course,
-    scheduleMeta: evaluateCourseSchedule(course, now),
+    scheduleMeta: evaluateCourseSchedule(course, now, timeZone),
   }));
 
   decorated.sort((left, right) => {
@@ -294,7 +515,13 @@ function sortAndMapCourses(courses) {
   return decorated.map(({ course, scheduleMeta }) => mapCourse(course, scheduleMeta));
 }
 
-function mapCourse(course, scheduleMeta = evaluateCourseSchedule(course)) {
+// Course with its schedule flags evaluated in the institution's timezone.
+async function mapCourseForInstitution(course, institutionId) {
+  const timeZone = await getInstitutionTimeZone(institutionId);
+  return mapCourse(course, evaluateCourseSchedule(course, new Date(), timeZone));
+}
+
+function mapCourse(course, scheduleMeta) {
   let deliveryMode = "in_person";
   try {
     deliveryMode = normalizeDeliveryMode(course.deliveryMode);
@@ -305,12 +532,16 @@ function mapCourse(course, scheduleMeta = evaluateCourseSchedule(course)) {
   return {
     id: String(course._id),
     institutionId: course.institutionId ? String(course.institutionId) : null,
+    catalogCourseId: course.catalogCourseId ? String(course.catalogCourseId) : null,
     program: course.program || "General",
     programVersion: course.programVersion || "1",
+    programId: course.programId ? String(course.programId) : null,
+    programVersionId: course.programVersionId ? String(course.programVersionId) : null,
     code: course.code,
     name: course.name,
     section: course.section,
     academicYear: course.academicYear || "",
+    termId: course.termId ? String(course.termId) : null,
     daysOfWeek: Array.isArray(course.daysOfWeek) ? course.daysOfWeek : [],
     startTime: course.startTime || "",
     endTime: course.endTime || "",
@@ -319,9 +550,21 @@ function mapCourse(course, scheduleMeta = evaluateCourseSchedule(course)) {
       startTime: course.startTime || "",
       endTime: course.endTime || "",
     },
+    scheduleBlocks: getScheduleBlocks(course),
     scheduledToday: scheduleMeta.scheduledToday,
     inScheduleWindow: scheduleMeta.inScheduleWindow,
     upcomingToday: scheduleMeta.upcomingToday,
+    cancelledToday: Boolean(scheduleMeta.cancelledToday),
+    todayClass: scheduleMeta.occurrence
+      ? {
+          startTime: scheduleMeta.occurrence.startTime,
+          endTime: scheduleMeta.occurrence.endTime,
+          kind: scheduleMeta.occurrence.kind,
+          locationId: scheduleMeta.occurrence.locationId,
+          deliveryMode: scheduleMeta.occurrence.deliveryMode || deliveryMode,
+        }
+      : null,
+    scheduleOverride: mapScheduleOverride(course),
     deliveryMode,
     attendancePolicy,
     isActive: course.isActive,
@@ -363,6 +606,7 @@ function mapAssignment(assignment) {
     course: assignment.courseId
       ? {
           id: String(assignment.courseId._id),
+          catalogCourseId: assignment.courseId.catalogCourseId ? String(assignment.courseId.catalogCourseId) : null,
           program: assignment.courseId.program || "General",
           programVersion: assignment.courseId.programVersion || "1",
           code: assignment.courseId.code,
@@ -396,6 +640,48 @@ function mapEnrollment(enrollment) {
   };
 }
 
+function recordCourseAudit(req, action, course, { before = null, details = null } = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "course",
+    entityId: course._id,
+    entityLabel: `${course.code}-${course.section} ${course.name}`,
+    institutionId: course.institutionId,
+    before,
+    after: course,
+    details,
+  });
+}
+
+// Puts back the catalog fields a section had before its catalog course
+// could not be saved.
+function restoreSectionCatalog(course, before) {
+  const fields = ["catalogCourseId", "code", "name", "program", "programVersion", "programId", "programVersionId"];
+  return Course.updateOne(
+    { _id: course._id },
+    { $set: Object.fromEntries(fields.map((field) => [field, before[field] ?? null])) }
+  );
+}
+
+// Catalog courses created or renamed through the section endpoints.
+function recordCatalogChange(req, { catalogCourse, created, before }) {
+  if (created) return recordCatalogAudit(req, "catalog_course.create", catalogCourse);
+  if (before) return recordCatalogAudit(req, "catalog_course.update", catalogCourse, before);
+  return null;
+}
+
+function recordEnrollmentAudit(req, action, enrollment, before) {
+  return recordAudit(req, {
+    action,
+    entityType: "enrollment",
+    entityId: enrollment._id,
+    entityLabel: `${enrollment.email} (${enrollment.universityRollNo})`,
+    institutionId: enrollment.institutionId,
+    before,
+    after: enrollment,
+  });
+}
+
 async function ensureCourseAccess(authUser, courseId, institutionId) {
   if (
     authUser.role === "superadmin" ||
@@ -464,7 +750,7 @@ async function getCoursesForTeacher(teacherId, institutionId) {
     .populate({
       path: "courseId",
       match: { institutionId, isActive: true },
-      select: "program programVersion code name section academicYear isActive daysOfWeek startTime endTime deliveryMode attendancePolicy",
+      select: "catalogCourseId program programVersion code name section academicYear termId isActive scheduleBlocks daysOfWeek startTime endTime scheduleExceptions deliveryMode attendancePolicy",
     })
     .sort({ createdAt: -1 });
 
@@ -488,7 +774,7 @@ router.get("/my-courses", requireAuth, async (req, res) => {
 
     if (req.authUser.role === "teacher") {
       const teacherCourses = await getCoursesForTeacher(req.authUser._id, institutionId);
-      const rankedCourses = sortAndMapCourses(teacherCourses);
+      const rankedCourses = sortAndMapCourses(teacherCourses, await getInstitutionTimeZone(institutionId));
       let filteredCourses = applyTextFilter(
         rankedCourses,
         q,
@@ -566,7 +852,7 @@ router.get("/my-courses", requireAuth, async (req, res) => {
 
     return res.json({
       status: "success",
-      data: sortAndMapCourses(courses),
+      data: sortAndMapCourses(courses, await getInstitutionTimeZone(institutionId)),
       pagination: {
         page,
         limit,
@@ -602,6 +888,7 @@ router.get(
     const deliveryModeFilterRaw = String(req.query.deliveryMode || "").trim();
     const deliveryModeFilter = deliveryModeFilterRaw ? normalizeDeliveryMode(deliveryModeFilterRaw) : "";
     const activeParam = String(req.query.active || "").toLowerCase();
+    const catalogCourseFilter = String(req.query.catalogCourseId || "").trim();
     const hasPagingParams = req.query.page !== undefined || req.query.limit !== undefined;
     const paginate = hasPagingParams;
     const filter = {};
@@ -613,6 +900,15 @@ router.get(
 
     if (activeParam === "true") filter.isActive = true;
     if (activeParam === "false") filter.isActive = false;
+    if (catalogCourseFilter) {
+      if (!mongoose.Types.ObjectId.isValid(catalogCourseFilter)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid catalogCourseId",
+        });
+      }
+      filter.catalogCourseId = catalogCourseFilter;
+    }
     if (programFilter) filter.program = buildCaseInsensitiveExactRegex(programFilter);
     if (programVersionFilter) filter.programVersion = buildCaseInsensitiveExactRegex(programVersionFilter);
     if (deliveryModeFilter) filter.deliveryMode = deliveryModeFilter;
@@ -686,88 +982,6 @@ router.get(
   }
 );
 
-router.get(
-  "/programs",
-  requireAuth,
-  requireRoles("superadmin", "admin", "institution_admin", "institution_user"),
-  async (req, res) => {
-  try {
-    const useAllInstitutions = canUseAllInstitutionsScope(req);
-    const activeParam = String(req.query.active || "").toLowerCase();
-    const match = {};
-
-    if (!useAllInstitutions) {
-      const institutionId = resolveInstitutionIdForRequest(req);
-      match.institutionId = toInstitutionObjectId(institutionId);
-    }
-
-    if (activeParam === "true") match.isActive = true;
-    if (activeParam === "false") match.isActive = false;
-
-    const rows = await Course.aggregate([
-      { $match: match },
-      {
-        $group: {
-          _id: {
-            program: { $ifNull: ["$program", "General"] },
-            programVersion: { $ifNull: ["$programVersion", "1"] },
-          },
-          totalCourses: { $sum: 1 },
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          program: "$_id.program",
-          programVersion: "$_id.programVersion",
-          totalCourses: 1,
-        },
-      },
-      { $sort: { program: 1, programVersion: 1 } },
-    ]);
-
-    const byProgram = new Map();
-    rows.forEach((row) => {
-      const program = String(row.program || "General");
-      const version = String(row.programVersion || "1");
-      const totalCourses = Number(row.totalCourses || 0);
-      if (!byProgram.has(program)) {
-        byProgram.set(program, {
-          program,
-          totalCourses: 0,
-          versions: [],
-        });
-      }
-      const entry = byProgram.get(program);
-      entry.totalCourses += totalCourses;
-      entry.versions.push({
-        programVersion: version,
-        totalCourses,
-      });
-    });
-
-    return res.json({
-      status: "success",
-      data: Array.from(byProgram.values()),
-      scope: {
-        includeAllInstitutions: useAllInstitutions,
-      },
-    });
-  } catch (error) {
-    if (error.status) {
-      return res.status(error.status).json({
-        status: "error",
-        message: error.message,
-      });
-    }
-    return res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
-  }
-  }
-);
-
 router.post(
   "/courses",
   requireAuth,
@@ -775,68 +989,51 @@ router.post(
   async (req, res) => {
   try {
     const institutionId = resolveInstitutionIdForRequest(req);
-    const code = String(req.body.code || "").trim().toUpperCase();
-    const name = String(req.body.name || "").trim();
     const section = String(req.body.section || "").trim().toUpperCase();
-    const program = String(req.body.program || "").trim() || "General";
-    const programVersion = String(req.body.programVersion || "").trim() || "1";
     const academicYear = String(req.body.academicYear || "").trim();
-    const daysOfWeek = normalizeDaysOfWeek(req.body.daysOfWeek);
-    const startTime = normalizeTime(req.body.startTime);
-    const endTime = normalizeTime(req.body.endTime);
     const deliveryMode = normalizeDeliveryMode(req.body.deliveryMode);
     const attendancePolicy = buildAttendancePolicy(req.body.attendancePolicy, { deliveryMode });
 
-    if (!code || !name || !section) {
+    if (!section) {
       return res.status(400).json({
         status: "error",
         message: "Code, name and section are required",
       });
     }
-    if (startTime === null || endTime === null) {
-      return res.status(400).json({
-        status: "error",
-        message: "startTime and endTime must use HH:mm format",
-      });
-    }
 
-    const hasAnySchedule = Boolean(daysOfWeek.length || startTime || endTime);
-    if (hasAnySchedule) {
-      if (!daysOfWeek.length || !startTime || !endTime) {
-        return res.status(400).json({
-          status: "error",
-          message: "daysOfWeek, startTime and endTime must be provided together",
-        });
-      }
-      if (startTime >= endTime) {
-        return res.status(400).json({
-          status: "error",
-          message: "startTime must be earlier than endTime",
-        });
-      }
-    }
+    const schedule = await resolveCourseSchedule(institutionId, req.body);
+    assertSchedulePolicy(attendancePolicy, schedule);
+    await assertGeofenceZones(institutionId, attendancePolicy);
+    const termId = await resolveCourseTermId(institutionId, req.body.termId);
+    const catalogRef = await resolveSectionCatalog(institutionId, req.body, { authUserId: req.authUser._id });
 
+    // The section is saved first so a duplicate or invalid section leaves the
+    // catalog untouched.
     const course = await Course.create({
       institutionId,
-      program,
-      programVersion,
-      code,
-      name,
+      ...getCatalogFields(catalogRef.catalogCourse),
       section,
       academicYear,
-      daysOfWeek,
-      startTime: startTime || "",
-      endTime: endTime || "",
+      termId,
+      ...schedule,
       deliveryMode,
       attendancePolicy,
       createdBy: req.authUser._id,
       isActive: true,
     });
+    try {
+      await saveSectionCatalog(catalogRef);
+    } catch (error) {
+      await Course.deleteOne({ _id: course._id });
+      throw error;
+    }
+    await recordCatalogChange(req, catalogRef);
+    await recordCourseAudit(req, "course.create", course);
 
     return res.status(201).json({
       status: "success",
       message: "Course created",
-      data: mapCourse(course),
+      data: await mapCourseForInstitution(course, institutionId),
     });
   } catch (error) {
     if (error.status) {
@@ -848,7 +1045,7 @@ router.post(
     if (error.code === 11000) {
       return res.status(409).json({
         status: "error",
-        message: "Course code+section already exists",
+        message: "This section already exists for the course, academic year and term",
       });
     }
     return res.status(500).json({
@@ -888,7 +1085,79 @@ router.get(
 
       return res.json({
         status: "success",
-        data: mapCourse(course),
+        data: await mapCourseForInstitution(course, institutionId),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+      return res.status(500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Calendar of a course's term: the dates its schedule meets between from and
+// to (YYYY-MM-DD, default the whole term) after schedule exceptions, whether a
+// class meeting was opened on each, and the dates skipped for term breaks,
+// cancellations and reschedules.
+router.get(
+  "/courses/:courseId/scheduled-meetings",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin", "institution_user"),
+  async (req, res) => {
+    try {
+      const institutionId = resolveInstitutionIdForRequest(req);
+      const courseId = String(req.params.courseId || "").trim();
+      const from = String(req.query.from || "").trim();
+      const to = String(req.query.to || "").trim();
+      if ((from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) || (to && !/^\d{4}-\d{2}-\d{2}$/.test(to))) {
+        return res.status(400).json({
+          status: "error",
+          message: "from and to must use YYYY-MM-DD",
+        });
+      }
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(404).json({
+          status: "error",
+          message: "Course not found",
+        });
+      }
+
+      const course = await Course.findOne({ _id: courseId, institutionId }).lean();
+      if (!course) {
+        return res.status(404).json({
+          status: "error",
+          message: "Course not found",
+        });
+      }
+      const term = course.termId
+        ? await AcademicTerm.findOne({ _id: course.termId, institutionId }).lean()
+        : null;
+      const { meetings, skipped } = listScheduledMeetings(course, term, { from: from || null, to: to || null });
+
+      const heldDates = new Set(
+        meetings.length
+          ? await ClassMeeting.distinct("date", {
+            institutionId,
+            courseId: course._id,
+            date: { $gte: meetings[0].date, $lte: meetings[meetings.length - 1].date },
+          })
+          : []
+      );
+
+      return res.json({
+        status: "success",
+        data: {
+          term: term ? { id: String(term._id), name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+          meetings: meetings.map((meeting) => ({ ...meeting, held: heldDates.has(meeting.date) })),
+          skipped,
+        },
       });
     } catch (error) {
       if (error.status) {
@@ -928,70 +1197,61 @@ router.put(
         });
       }
 
-      const code = String(req.body.code ?? course.code ?? "").trim().toUpperCase();
-      const name = String(req.body.name ?? course.name ?? "").trim();
       const section = String(req.body.section ?? course.section ?? "").trim().toUpperCase();
-      const program = String(req.body.program ?? course.program ?? "").trim() || "General";
-      const programVersion = String(req.body.programVersion ?? course.programVersion ?? "").trim() || "1";
       const academicYear = String(req.body.academicYear ?? course.academicYear ?? "").trim();
-      const daysOfWeek = normalizeDaysOfWeek(req.body.daysOfWeek ?? course.daysOfWeek);
-      const startTime = normalizeTime(req.body.startTime ?? course.startTime);
-      const endTime = normalizeTime(req.body.endTime ?? course.endTime);
       const deliveryMode = normalizeDeliveryMode(req.body.deliveryMode ?? course.deliveryMode);
       const attendancePolicy = buildAttendancePolicy(
         req.body.attendancePolicy,
         { deliveryMode, fallbackPolicy: course.attendancePolicy }
       );
 
-      if (!code || !name || !section) {
+      if (!section) {
         return res.status(400).json({
           status: "error",
           message: "Code, name and section are required",
         });
       }
-      if (startTime === null || endTime === null) {
-        return res.status(400).json({
-          status: "error",
-          message: "startTime and endTime must use HH:mm format",
-        });
-      }
 
-      const hasAnySchedule = Boolean(daysOfWeek.length || startTime || endTime);
-      if (hasAnySchedule) {
-        if (!daysOfWeek.length || !startTime || !endTime) {
-          return res.status(400).json({
-            status: "error",
-            message: "daysOfWeek, startTime and endTime must be provided together",
-          });
-        }
-        if (startTime >= endTime) {
-          return res.status(400).json({
-            status: "error",
-            message: "startTime must be earlier than endTime",
-          });
-        }
-      }
+      const schedule = await resolveCourseSchedule(institutionId, req.body, course);
+      assertSchedulePolicy(attendancePolicy, schedule);
+      await assertGeofenceZones(institutionId, attendancePolicy);
+      const termId = req.body.termId !== undefined
+        ? await resolveCourseTermId(institutionId, req.body.termId)
+        : course.termId;
+      const catalogRef = await resolveSectionCatalog(institutionId, req.body, {
+        current: course,
+        authUserId: req.authUser._id,
+      });
 
-      course.code = code;
-      course.name = name;
+      const before = toAuditSnapshot(course);
+      course.set(getCatalogFields(catalogRef.catalogCourse));
       course.section = section;
-      course.program = program;
-      course.programVersion = programVersion;
       course.academicYear = academicYear;
-      course.daysOfWeek = daysOfWeek;
-      course.startTime = startTime || "";
-      course.endTime = endTime || "";
+      course.termId = termId || null;
+      course.scheduleBlocks = schedule.scheduleBlocks;
+      course.daysOfWeek = schedule.daysOfWeek;
+      course.startTime = schedule.startTime;
+      course.endTime = schedule.endTime;
       course.deliveryMode = deliveryMode;
       course.attendancePolicy = attendancePolicy;
       if (req.body.isActive !== undefined) {
         course.isActive = req.body.isActive !== false;
       }
+      // Section first, then the catalog course, as in POST /courses.
       await course.save();
+      try {
+        await saveSectionCatalog(catalogRef);
+      } catch (error) {
+        await restoreSectionCatalog(course, before);
+        throw error;
+      }
+      await recordCatalogChange(req, catalogRef);
+      await recordCourseAudit(req, "course.update", course, { before });
 
       return res.json({
         status: "success",
         message: "Course updated",
-        data: mapCourse(course),
+        data: await mapCourseForInstitution(course, institutionId),
       });
     } catch (error) {
       if (error.status) {
@@ -1003,7 +1263,7 @@ router.put(
       if (error.code === 11000) {
         return res.status(409).json({
           status: "error",
-          message: "Course code+section already exists",
+          message: "This section already exists for the course, academic year and term",
         });
       }
       return res.status(500).json({
@@ -1014,6 +1274,147 @@ router.put(
   }
 );
 
+// Make-up classes: lets the course's teacher generate QR codes and take
+// attendance outside the timetable between startsAt (default now) and
+// startsAt + durationMinutes.
+router.post(
+  "/courses/:courseId/schedule-override",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const institutionId = resolveInstitutionIdForRequest(req);
+      const courseId = String(req.params.courseId || "").trim();
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid courseId",
+        });
+      }
+
+      const reason = String(req.body.reason || "").trim();
+      const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+      const durationRaw = toNullableNumber(req.body.durationMinutes);
+      const durationMinutes = durationRaw === null ? DEFAULT_SCHEDULE_OVERRIDE_MINUTES : Math.round(durationRaw);
+      if (!reason || reason.length > 300) {
+        return res.status(400).json({
+          status: "error",
+          message: "reason is required (max 300 characters)",
+        });
+      }
+      if (Number.isNaN(startsAt.getTime())) {
+        return res.status(400).json({
+          status: "error",
+          message: "startsAt must be a valid date",
+        });
+      }
+      if (durationMinutes < 15 || durationMinutes > 720) {
+        return res.status(400).json({
+          status: "error",
+          message: "durationMinutes must be between 15 and 720",
+        });
+      }
+
+      const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+      if (endsAt.getTime() <= Date.now()) {
+        return res.status(400).json({
+          status: "error",
+          message: "The override window has already ended",
+        });
+      }
+
+      const previousCourse = await Course.findOne({ _id: courseId, institutionId });
+      const course = await Course.findOneAndUpdate(
+        { _id: courseId, institutionId },
+        {
+          $set: {
+            scheduleOverride: {
+              startsAt,
+              endsAt,
+              reason,
+              grantedBy: req.authUser._id,
+              grantedByName: req.authUser.name || null,
+              grantedAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!course) {
+        return res.status(404).json({
+          status: "error",
+          message: "Course not found",
+        });
+      }
+
+      await recordCourseAudit(req, "course.schedule_override_grant", course, {
+        before: toAuditSnapshot(previousCourse),
+      });
+      return res.json({
+        status: "success",
+        message: "Schedule override granted",
+        data: await mapCourseForInstitution(course, institutionId),
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+router.delete(
+  "/courses/:courseId/schedule-override",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const institutionId = resolveInstitutionIdForRequest(req);
+      const courseId = String(req.params.courseId || "").trim();
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid courseId",
+        });
+      }
+
+      const previousCourse = await Course.findOne({ _id: courseId, institutionId });
+      const course = await Course.findOneAndUpdate(
+        { _id: courseId, institutionId },
+        {
+          $set: {
+            "scheduleOverride.startsAt": null,
+            "scheduleOverride.endsAt": null,
+            "scheduleOverride.reason": "",
+          },
+        },
+        { new: true }
+      );
+      if (!course) {
+        return res.status(404).json({
+          status: "error",
+          message: "Course not found",
+        });
+      }
+
+      await recordCourseAudit(req, "course.schedule_override_clear", course, {
+        before: toAuditSnapshot(previousCourse),
+      });
+      return res.json({
+        status: "success",
+        message: "Schedule override cleared",
+        data: await mapCourseForInstitution(course, institutionId),
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
 router.get(
   "/teachers",
   requireAuth,
@@ -1268,6 +1669,11 @@ router.post(
         });
       }
 
+      const previousAssignment = await TeacherCourseAssignment.findOne({
+        institutionId,
+        teacherId: teacher._id,
+        courseId: course._id,
+      });
       const assignment = await TeacherCourseAssignment.findOneAndUpdate(
         { institutionId, teacherId: teacher._id, courseId: course._id },
         {
@@ -1288,6 +1694,16 @@ router.post(
         .populate("teacherId", "name email role isActive")
         .populate("courseId", "program programVersion code name section daysOfWeek startTime endTime deliveryMode attendancePolicy isActive");
 
+      await recordAudit(req, {
+        action: "assignment.assign",
+        entityType: "assignment",
+        entityId: assignment._id,
+        entityLabel: `${teacher.email} -> ${course.code}-${course.section}`,
+        institutionId,
+        before: toAuditSnapshot(previousAssignment),
+        after: assignment,
+      });
+
       return res.status(201).json({
         status: "success",
         message: "Teacher assigned to course",
@@ -1440,6 +1856,7 @@ router.post(
         ],
       };
 
+      const previousEnrollment = await CourseEnrollment.findOne(identifierCondition);
       const enrollment = await CourseEnrollment.findOneAndUpdate(
         identifierCondition,
         {
@@ -1463,6 +1880,8 @@ router.post(
         }
       );
 
+      await recordEnrollmentAudit(req, "enrollment.save", enrollment, toAuditSnapshot(previousEnrollment));
+
       return res.status(201).json({
         status: "success",
         message: "Enrollment saved",
@@ -1508,7 +1927,7 @@ router.post(
 
       const replace = req.body?.replace === true;
 
-      const course = await Course.findOne({ _id: courseId, institutionId, isActive: true }).select("_id");
+      const course = await Course.findOne({ _id: courseId, institutionId, isActive: true }).select("_id code section");
       if (!course) {
         return res.status(404).json({
           status: "error",
@@ -1575,8 +1994,9 @@ router.post(
         )
       );
 
+      let deactivatedCount = 0;
       if (replace) {
-        await CourseEnrollment.updateMany(
+        const deactivated = await CourseEnrollment.updateMany(
           {
             institutionId,
             courseId,
@@ -1589,11 +2009,28 @@ router.post(
             },
           }
         );
+        deactivatedCount = deactivated.modifiedCount || 0;
       }
 
       const total = await CourseEnrollment.countDocuments({ institutionId, courseId });
       const active = await CourseEnrollment.countDocuments({ institutionId, courseId, isActive: true });
 
+      // One entry for the import; per-row values are in the roster itself.
+      await recordAudit(req, {
+        action: "enrollment.bulk_import",
+        entityType: "course",
+        entityId: course._id,
+        entityLabel: `${course.code}-${course.section}`,
+        institutionId,
+        details: {
+          received: rows.length,
+          imported: dedupedRows.length,
+          replaceMode: replace,
+          deactivated: deactivatedCount,
+          emails: dedupedRows.slice(0, 500).map((row) => row.email),
+        },
+      });
+
       return res.status(201).json({
         status: "success",
         message: "Bulk enrollment completed",
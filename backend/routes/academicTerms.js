@@ -0,0 +1,220 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const AcademicTerm = require("../models/AcademicTerm");
+const Course = require("../models/Course");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { mapAcademicTerm } = require("../academic-calendar");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const TERM_READER_ROLES = ["superadmin", "admin", "institution_admin", "institution_user", "teacher"];
+const TERM_EDITOR_ROLES = ["superadmin", "admin", "institution_admin"];
+const TERM_BREAK_KINDS = ["holiday", "recess", "exam"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TERM_DAYS = 366;
+const MAX_TERM_BREAKS = 100;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00.000Z`) - Date.parse(`${startDate}T00:00:00.000Z`)) / 86400000);
+}
+
+function readTermBreaks(rawBreaks, startDate, endDate) {
+  if (!Array.isArray(rawBreaks)) {
+    throw createRouteError("breaks must be a list", 400);
+  }
+  if (rawBreaks.length > MAX_TERM_BREAKS) {
+    throw createRouteError(`A term can have at most ${MAX_TERM_BREAKS} breaks`, 400);
+  }
+  return rawBreaks
+    .map((entry, index) => {
+      const name = String(entry?.name || "").trim().replace(/\s+/g, " ");
+      const kind = String(entry?.kind || "holiday").trim().toLowerCase();
+      const breakStart = String(entry?.startDate || "").trim();
+      const breakEnd = String(entry?.endDate || breakStart).trim();
+      const label = `Break ${index + 1}`;
+      if (!name || name.length > 120) {
+        throw createRouteError(`${label}: name is required (max 120 characters)`, 400);
+      }
+      if (!TERM_BREAK_KINDS.includes(kind)) {
+        throw createRouteError(`${label}: kind must be one of: ${TERM_BREAK_KINDS.join(", ")}`, 400);
+      }
+      if (!isCalendarDate(breakStart) || !isCalendarDate(breakEnd) || breakEnd < breakStart) {
+        throw createRouteError(`${label}: startDate and endDate must be YYYY-MM-DD with endDate on or after startDate`, 400);
+      }
+      if (breakStart < startDate || breakEnd > endDate) {
+        throw createRouteError(`${label}: must fall inside the term`, 400);
+      }
+      return { name, kind, startDate: breakStart, endDate: breakEnd };
+    })
+    .sort((left, right) => left.startDate.localeCompare(right.startDate));
+}
+
+// Validates a create/update body; omitted fields keep the existing values.
+function readTermInput(body, existing = null) {
+  const source = body && typeof body === "object" ? body : {};
+  const name = String(source.name ?? existing?.name ?? "").trim().replace(/\s+/g, " ");
+  const academicYear = String(source.academicYear ?? existing?.academicYear ?? "").trim();
+  const startDate = String(source.startDate ?? existing?.startDate ?? "").trim();
+  const endDate = String(source.endDate ?? existing?.endDate ?? "").trim();
+
+  if (!name || name.length > 120) {
+    throw createRouteError("name is required (max 120 characters)", 400);
+  }
+  if (academicYear.length > 40) {
+    throw createRouteError("academicYear must be at most 40 characters", 400);
+  }
+  if (!isCalendarDate(startDate) || !isCalendarDate(endDate)) {
+    throw createRouteError("startDate and endDate must use YYYY-MM-DD", 400);
+  }
+  if (endDate < startDate) {
+    throw createRouteError("endDate must be on or after startDate", 400);
+  }
+  if (daysBetween(startDate, endDate) > MAX_TERM_DAYS) {
+    throw createRouteError(`A term can last at most ${MAX_TERM_DAYS} days`, 400);
+  }
+
+  const rawBreaks = source.breaks !== undefined ? source.breaks : existing?.breaks || [];
+  return {
+    name,
+    academicYear,
+    startDate,
+    endDate,
+    breaks: readTermBreaks(rawBreaks, startDate, endDate),
+  };
+}
+
+async function loadTerm(req, institutionId) {
+  const termId = String(req.params.termId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(termId)) {
+    throw createRouteError("Term not found", 404);
+  }
+  const term = await AcademicTerm.findOne({ _id: termId, institutionId });
+  if (!term) {
+    throw createRouteError("Term not found", 404);
+  }
+  return term;
+}
+
+function recordTermAudit(req, action, term, before = null) {
+  return recordAudit(req, {
+    action,
+    entityType: "term",
+    entityId: term._id,
+    entityLabel: term.name,
+    institutionId: term.institutionId,
+    before,
+    after: action === "term.delete" ? null : term,
+  });
+}
+
+function sendDuplicateNameError(res, error) {
+  if (error?.code === 11000) {
+    return res.status(409).json({
+      status: "error",
+      message: "A term with this name already exists",
+    });
+  }
+  return sendRouteError(res, error);
+}
+
+// Newest first.
+router.get("/", requireAuth, requireRoles(...TERM_READER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const terms = await AcademicTerm.find({ institutionId }).sort({ startDate: -1 }).lean();
+    return res.json({
+      status: "success",
+      data: terms.map(mapAcademicTerm),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/", requireAuth, requireRoles(...TERM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const input = readTermInput(req.body);
+    const term = await AcademicTerm.create({ institutionId, ...input, createdBy: req.authUser._id });
+    await recordTermAudit(req, "term.create", term);
+    return res.status(201).json({
+      status: "success",
+      message: "Term created",
+      data: mapAcademicTerm(term),
+    });
+  } catch (error) {
+    return sendDuplicateNameError(res, error);
+  }
+});
+
+router.put("/:termId", requireAuth, requireRoles(...TERM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const term = await loadTerm(req, institutionId);
+    const before = toAuditSnapshot(term);
+    const input = readTermInput(req.body, term.toObject());
+    term.set(input);
+    await term.save();
+    await recordTermAudit(req, "term.update", term, before);
+    return res.json({
+      status: "success",
+      message: "Term updated",
+      data: mapAcademicTerm(term),
+    });
+  } catch (error) {
+    return sendDuplicateNameError(res, error);
+  }
+});
+
+// Terms that courses still point at cannot be removed.
+router.delete("/:termId", requireAuth, requireRoles(...TERM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const term = await loadTerm(req, institutionId);
+    const usedBy = await Course.find({ institutionId, termId: term._id })
+      .select("code section")
+      .limit(5)
+      .lean();
+    if (usedBy.length) {
+      const codes = usedBy.map((course) => `${course.code}-${course.section}`).join(", ");
+      throw createRouteError(`Term is used by courses: ${codes}`, 409);
+    }
+
+    await AcademicTerm.deleteOne({ _id: term._id });
+    await recordTermAudit(req, "term.delete", term, toAuditSnapshot(term));
+    return res.json({
+      status: "success",
+      message: "Term deleted",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
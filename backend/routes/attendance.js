@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Attendance = require('../models/Attendance');
 const User = require('../models/User');
+const { requireStudentAuth } = require('../middleware/studentAuth');
+const { isOwnStudentIdentifier, resolveStudentInstitutionFilter } = require('../student-auth');
 
 function normalizeIdentifier(value) {
   return String(value || '').trim();
@@ -19,25 +21,24 @@ function buildIdentityOr(identifier) {
   ];
 }
 
-router.get('/', async (req, res) => {
+// The signed-in student's attendance. An email or rollNo in the query must be
+// the student's own.
+router.get('/', requireStudentAuth, async (req, res) => {
   try {
-    const identifier = normalizeIdentifier(req.query.email || req.query.rollNo);
-    const institutionId = String(req.query.institutionId || '').trim();
-
-    if (!identifier) {
-      return res.status(400).json({ message: 'rollNo or email is required' });
+    const requestedIdentifier = normalizeIdentifier(req.query.email || req.query.rollNo);
+    if (requestedIdentifier && !isOwnStudentIdentifier(req.studentAuth, requestedIdentifier)) {
+      return res.status(403).json({ message: 'You can only view your own records' });
     }
 
-    const studentFilter = { $or: buildIdentityOr(identifier) };
-    if (institutionId) studentFilter.institutionId = institutionId;
+    const identifier = req.studentAuth.email;
+    const institutionFilter = resolveStudentInstitutionFilter(req.studentAuth, req.query.institutionId);
 
-    const student = await User.findOne(studentFilter);
+    const student = await User.findOne({ $or: buildIdentityOr(identifier), institutionId: institutionFilter });
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    const attendanceFilter = { $or: buildIdentityOr(identifier) };
-    if (institutionId) attendanceFilter.institutionId = institutionId;
+    const attendanceFilter = { $or: buildIdentityOr(identifier), institutionId: institutionFilter };
 
     const attendance = await Attendance.find(attendanceFilter).sort({ date: -1, time: -1 });
 
@@ -50,7 +51,7 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Attendance fetch error:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.status || 500).json({ status: 'error', message: error.message });
   }
 });
 
@@ -0,0 +1,206 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const AttendanceFlag = require("../models/AttendanceFlag");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const {
+  mapAttendanceFlag,
+  rescanAttendance,
+  invalidateFlaggedAttendance,
+} = require("../fraud-detection");
+const { recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const FLAG_REVIEWER_ROLES = ["superadmin", "admin", "institution_admin"];
+const FLAG_RULES = ["shared_device", "shared_ip", "impossible_travel", "duplicate_signature"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REVIEW_NOTE_MAX_LENGTH = 500;
+const MAX_LIST_LIMIT = 200;
+
+// Accepting a flag can mark its scans absent, so reviews are audited.
+function recordFlagAudit(req, action, before, after, details = null) {
+  return recordAudit(req, {
+    action,
+    entityType: "attendance_flag",
+    entityId: after._id,
+    entityLabel: after.summary,
+    institutionId: after.institutionId,
+    before: { status: before.status, reviewNote: before.reviewNote || "", invalidatedCount: before.invalidatedCount || 0 },
+    after: { status: after.status, reviewNote: after.reviewNote || "", invalidatedCount: after.invalidatedCount || 0 },
+    details,
+  });
+}
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function buildActor(authUser) {
+  return {
+    userId: authUser._id,
+    name: authUser.name,
+    role: authUser.role,
+  };
+}
+
+function readReviewNote(body, { required = false } = {}) {
+  const note = String(body?.note || "").trim();
+  if (required && !note) {
+    throw createRouteError("A note explaining the decision is required", 400);
+  }
+  if (note.length > REVIEW_NOTE_MAX_LENGTH) {
+    throw createRouteError(`note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters`, 400);
+  }
+  return note;
+}
+
+async function loadFlag(req) {
+  const institutionId = resolveInstitutionIdForRequest(req);
+  const flagId = String(req.params.flagId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(flagId)) {
+    throw createRouteError("Flag not found", 404);
+  }
+  const flag = await AttendanceFlag.findOne({ _id: flagId, institutionId }).lean();
+  if (!flag) {
+    throw createRouteError("Flag not found", 404);
+  }
+  return flag;
+}
+
+// Conditional on the flag still being pending so two reviewers cannot both
+// decide it.
+async function reviewFlag(flag, status, note, actor, extra = {}) {
+  const reviewed = await AttendanceFlag.findOneAndUpdate(
+    { _id: flag._id, status: "pending" },
+    {
+      $set: {
+        status,
+        reviewedBy: actor.userId,
+        reviewedByName: actor.name || null,
+        reviewedByRole: actor.role || null,
+        reviewedAt: new Date(),
+        reviewNote: note,
+        ...extra,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!reviewed) {
+    throw createRouteError(`Flag is already ${flag.status}`, 409);
+  }
+  return reviewed;
+}
+
+// Review queue. `status` defaults to pending; `all` returns every status.
+router.get("/", requireAuth, requireRoles(...FLAG_REVIEWER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const status = String(req.query.status || "pending").trim().toLowerCase();
+    const rule = String(req.query.rule || "").trim().toLowerCase();
+    const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || 100));
+
+    if (rule && !FLAG_RULES.includes(rule)) {
+      throw createRouteError(`rule must be one of: ${FLAG_RULES.join(", ")}`, 400);
+    }
+
+    const filter = { institutionId };
+    if (status !== "all") filter.status = status;
+    if (rule) filter.rule = rule;
+
+    const flags = await AttendanceFlag.find(filter).sort({ updatedAt: -1 }).limit(limit).lean();
+    return res.json({
+      status: "success",
+      data: flags.map(mapAttendanceFlag),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Runs the detector over past scans: { from, to } as YYYY-MM-DD.
+router.post("/scan", requireAuth, requireRoles(...FLAG_REVIEWER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const from = String(req.body?.from || "").trim();
+    const to = String(req.body?.to || from).trim();
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      throw createRouteError("from and to must be in YYYY-MM-DD format", 400);
+    }
+
+    const result = await rescanAttendance({ institutionId, from, to });
+    return res.json({
+      status: "success",
+      message: `Checked ${result.scanned} scan(s); ${result.matches} rule match(es).`,
+      data: result,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Accept confirms the fraud. With `invalidateAttendance: true` the flagged
+// scans are also marked absent.
+router.post("/:flagId/accept", requireAuth, requireRoles(...FLAG_REVIEWER_ROLES), async (req, res) => {
+  try {
+    const flag = await loadFlag(req);
+    const note = readReviewNote(req.body);
+    const actor = buildActor(req.authUser);
+
+    let accepted = await reviewFlag(flag, "accepted", note, actor);
+    if (req.body?.invalidateAttendance === true) {
+      const invalidatedCount = await invalidateFlaggedAttendance(accepted, actor);
+      accepted = await AttendanceFlag.findByIdAndUpdate(
+        accepted._id,
+        { $set: { invalidatedCount } },
+        { new: true }
+      ).lean();
+    }
+    await recordFlagAudit(req, "attendance_flag.accept", flag, accepted, {
+      attendanceIds: (flag.attendanceIds || []).map(String),
+    });
+
+    return res.json({
+      status: "success",
+      message: accepted.invalidatedCount
+        ? `Flag accepted. ${accepted.invalidatedCount} attendance record(s) marked absent.`
+        : "Flag accepted",
+      data: mapAttendanceFlag(accepted),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Reject dismisses the flag as a false positive.
+router.post("/:flagId/reject", requireAuth, requireRoles(...FLAG_REVIEWER_ROLES), async (req, res) => {
+  try {
+    const flag = await loadFlag(req);
+    const note = readReviewNote(req.body, { required: true });
+    const rejected = await reviewFlag(flag, "rejected", note, buildActor(req.authUser));
+    await recordFlagAudit(req, "attendance_flag.reject", flag, rejected);
+    return res.json({
+      status: "success",
+      message: "Flag dismissed",
+      data: mapAttendanceFlag(rejected),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { mapAuditLog, buildAuditCsv } = require("../audit-log");
+
+const router = express.Router();
+const AUDIT_VIEWER_ROLES = ["superadmin", "admin", "institution_admin"];
+const AUDIT_ENTITY_TYPES = ["institution", "user", "course", "assignment", "enrollment", "attendance", "term", "program", "catalog_course", "campus_location", "excuse_request", "attendance_flag", "student_device", "class_session", "class_meeting"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIST_LIMIT = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function escapeRegExp(value) {
+  return String(value || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isTruthyFlag(value) {
+  const normalized = String(value ?? "").trim().toLowerCase();
+  return normalized === "true" || normalized === "1" || normalized === "yes";
+}
+
+// Filters: entityType, entityId, action (prefix, e.g. "course."), actor
+// (name or email), q (anything in the entry label, action or changed
+// fields), from/to (YYYY-MM-DD, UTC). Global admins may pass includeAll=true
+// to search every institution.
+function buildAuditFilter(req) {
+  const filter = {};
+  const includeAll = ["superadmin", "admin"].includes(req.authUser.role) && isTruthyFlag(req.query.includeAll);
+  if (!includeAll) {
+    filter.institutionId = resolveInstitutionIdForRequest(req);
+  }
+
+  const entityType = String(req.query.entityType || "").trim().toLowerCase();
+  if (entityType) {
+    if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+      throw createRouteError(`entityType must be one of: ${AUDIT_ENTITY_TYPES.join(", ")}`, 400);
+    }
+    filter.entityType = entityType;
+  }
+
+  const entityId = String(req.query.entityId || "").trim();
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      throw createRouteError("Invalid entityId", 400);
+    }
+    filter.entityId = entityId;
+  }
+
+  const action = String(req.query.action || "").trim();
+  if (action) {
+    filter.action = new RegExp(`^${escapeRegExp(action)}`, "i");
+  }
+
+  const conditions = [];
+  const actor = String(req.query.actor || "").trim();
+  if (actor) {
+    const regex = new RegExp(escapeRegExp(actor), "i");
+    conditions.push({ $or: [{ actorName: regex }, { actorEmail: regex }] });
+  }
+  const q = String(req.query.q || "").trim();
+  if (q) {
+    const regex = new RegExp(escapeRegExp(q), "i");
+    conditions.push({ $or: [{ entityLabel: regex }, { action: regex }, { "changes.field": regex }] });
+  }
+  if (conditions.length) filter.$and = conditions;
+
+  const from = String(req.query.from || "").trim();
+  const to = String(req.query.to || "").trim();
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw createRouteError("from and to must use YYYY-MM-DD", 400);
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.createdAt.$lt = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000);
+  }
+  return filter;
+}
+
+router.get("/", requireAuth, requireRoles(...AUDIT_VIEWER_ROLES), async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req);
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || 50));
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return res.json({
+      status: "success",
+      data: entries.map(mapAuditLog),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasNext: page * limit < total,
+      },
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Same filters as the list; newest first, capped at MAX_EXPORT_ROWS entries.
+router.get("/export", requireAuth, requireRoles(...AUDIT_VIEWER_ROLES), async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req);
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean();
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-log-${stamp}.csv"`);
+    return res.send(buildAuditCsv(entries));
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
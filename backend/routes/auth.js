@@ -1,24 +1,72 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
+const rateLimit = require("express-rate-limit");
 const mongoose = require("mongoose");
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const AuthUser = require("../models/AuthUser");
 const Institution = require("../models/Institution");
-const { createAuthToken, requireAuth, requireRoles } = require("../middleware/auth");
+const {
+  TWO_FACTOR_SETUP_SCOPE,
+  createAuthToken,
+  requireAuth,
+  requireAuthOrTwoFactorSetup,
+  requireRoles,
+} = require("../middleware/auth");
 const {
   normalizeInstitutionId,
   getAuthInstitutionId,
   resolveInstitutionIdForRequest,
   mapInstitution,
 } = require("../middleware/institution");
+const { isValidTimeZone, forgetInstitutionTimeZone } = require("../institution-time");
+const {
+  DEFAULT_PASSWORD_POLICY,
+  buildPasswordPolicy,
+  getPasswordPolicyForInstitution,
+  applyNewPassword,
+} = require("../password-policy");
+const {
+  getClientIp,
+  isAccountLocked,
+  assertIpAllowed,
+  assertAccountCanAttempt,
+  recordIpFailure,
+  recordAccountFailure,
+  clearLoginFailures,
+} = require("../login-security");
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../two-factor");
+const {
+  mapSession,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeSessionByRefreshToken,
+  listActiveSessions,
+} = require("../auth-sessions");
+const {
+  INVITE_SCOPE,
+  loadUserFromAccountToken,
+  setPlaceholderPassword,
+  sendInvite,
+  sendPasswordReset,
+} = require("../account-tokens");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
 
 const router = express.Router();
 
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const MIN_PASSWORD_LENGTH = 8;
-const PASSWORD_HASH_ROUNDS = 12;
+const USER_SELECT_FIELDS =
+  "name email role institutionId isActive lastLoginAt passwordChangedAt invitePending invitedAt failedLoginCount lockedUntil twoFactorEnabled twoFactorEnabledAt createdAt updatedAt";
 const MAX_LOGO_BYTES = 2 * 1024 * 1024;
 const INSTITUTION_LOGO_DIR =
   process.env.INSTITUTION_LOGO_DIR || path.join(__dirname, "../../frontend/public/institution-logos");
@@ -43,6 +91,8 @@ const INSTITUTION_SELECT_FIELDS = [
   "termSystem",
   "academicYearLabel",
   "gradingScale",
+  "passwordPolicy",
+  "requireTwoFactor",
   "isActive",
   "createdAt",
   "updatedAt",
@@ -93,12 +143,19 @@ function sanitizeUser(userDoc) {
     institution,
     isActive: userDoc.isActive,
     lastLoginAt: userDoc.lastLoginAt,
+    passwordChangedAt: userDoc.passwordChangedAt || null,
+    invitePending: userDoc.invitePending === true,
+    invitedAt: userDoc.invitedAt || null,
+    failedLoginCount: userDoc.failedLoginCount || 0,
+    lockedUntil: isAccountLocked(userDoc) ? userDoc.lockedUntil : null,
+    twoFactorEnabled: userDoc.twoFactorEnabled === true,
+    twoFactorEnabledAt: userDoc.twoFactorEnabledAt || null,
     createdAt: userDoc.createdAt,
     updatedAt: userDoc.updatedAt,
   };
 }
 
-function validateCredentials({ name, email, password, requireName = false }) {
+function validateCredentials({ name, email, password, requireName = false, requirePassword = true }) {
   const normalizedEmail = normalizeEmail(email);
 
   if (requireName && !String(name || "").trim()) {
@@ -107,7 +164,7 @@ function validateCredentials({ name, email, password, requireName = false }) {
   if (!normalizedEmail || !EMAIL_PATTERN.test(normalizedEmail)) {
     return "A valid email is required";
   }
-  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+  if (requirePassword && (!password || String(password).length < MIN_PASSWORD_LENGTH)) {
     return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
   }
   return null;
@@ -221,7 +278,20 @@ function toTermSystem(value) {
   return "other";
 }
 
-function buildInstitutionPayload(body, { includeDefaults = false } = {}) {
+// Attendance dates and schedules are evaluated in this timezone, so it must be
+// a valid IANA name (e.g. America/Lima).
+function toTimeZone(value) {
+  const normalized = toOptionalText(value, { max: 80 });
+  if (!normalized) return "UTC";
+  if (!isValidTimeZone(normalized)) {
+    const error = new Error(`Unknown timezone: ${normalized}. Use an IANA name such as America/Lima.`);
+    error.status = 400;
+    throw error;
+  }
+  return normalized;
+}
+
+function buildInstitutionPayload(body, { includeDefaults = false, fallbackPasswordPolicy = null } = {}) {
   const payload = {};
 
   if (includeDefaults || body.shortName !== undefined) {
@@ -261,7 +331,7 @@ function buildInstitutionPayload(body, { includeDefaults = false } = {}) {
     payload.postalCode = toOptionalText(body.postalCode, { max: 40, uppercase: true });
   }
   if (includeDefaults || body.timezone !== undefined) {
-    payload.timezone = toOptionalText(body.timezone, { max: 80 }) || "UTC";
+    payload.timezone = toTimeZone(body.timezone);
   }
   if (includeDefaults || body.termSystem !== undefined) {
     payload.termSystem = toTermSystem(body.termSystem);
@@ -275,10 +345,28 @@ function buildInstitutionPayload(body, { includeDefaults = false } = {}) {
   if (includeDefaults || body.isActive !== undefined) {
     payload.isActive = body.isActive !== false;
   }
+  if (body.passwordPolicy !== undefined) {
+    payload.passwordPolicy = buildPasswordPolicy(body.passwordPolicy, fallbackPasswordPolicy);
+  } else if (includeDefaults) {
+    payload.passwordPolicy = { ...DEFAULT_PASSWORD_POLICY };
+  }
+  if (includeDefaults || body.requireTwoFactor !== undefined) {
+    payload.requireTwoFactor = body.requireTwoFactor === true;
+  }
 
   return payload;
 }
 
+// Opens a session for the device and returns its first access token along
+// with the refresh token.
+async function startSession(user, req) {
+  const { session, refreshToken } = await createSession(user, req);
+  return {
+    token: createAuthToken(user, { sessionId: session._id }),
+    refreshToken,
+  };
+}
+
 router.get("/bootstrap-status", async (req, res) => {
   try {
     const [userCount, institutionCount] = await Promise.all([
@@ -298,6 +386,35 @@ router.get("/bootstrap-status", async (req, res) => {
   }
 });
 
+// Audit entry for a change to a staff account. `actor` is set for changes
+// made without a staff sign-in (bootstrap, password links).
+function recordUserAudit(req, action, user, { before = null, after = user, details = null, actor = null } = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "user",
+    entityId: user._id,
+    entityLabel: user.email,
+    institutionId: user.institutionId?._id || user.institutionId || null,
+    before,
+    after,
+    details,
+    actor,
+  });
+}
+
+function recordInstitutionAudit(req, action, institution, { before = null, details = null } = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "institution",
+    entityId: institution._id,
+    entityLabel: `${institution.code} ${institution.name}`,
+    institutionId: institution._id,
+    before,
+    after: institution,
+    details,
+  });
+}
+
 router.post("/bootstrap-superadmin", async (req, res) => {
   try {
     const validationError = validateCredentials({
@@ -334,23 +451,28 @@ router.post("/bootstrap-superadmin", async (req, res) => {
     }
 
     const email = normalizeEmail(req.body.email);
-    const passwordHash = await bcrypt.hash(String(req.body.password), PASSWORD_HASH_ROUNDS);
-
-    const user = await AuthUser.create({
+    const user = new AuthUser({
       name: String(req.body.name).trim(),
       email,
-      passwordHash,
       role: "superadmin",
       institutionId: institution._id,
       isActive: true,
       lastLoginAt: new Date(),
     });
+    await applyNewPassword(
+      user,
+      String(req.body.password),
+      await getPasswordPolicyForInstitution(institution._id)
+    );
+    await user.save();
+    await recordUserAudit(req, "user.bootstrap_superadmin", user, { actor: user });
 
-    const token = createAuthToken(user);
+    const { token, refreshToken } = await startSession(user, req);
     return res.status(201).json({
       status: "success",
       message: "Superadmin created",
       token,
+      refreshToken,
       user: sanitizeUser(user),
     });
   } catch (error) {
@@ -360,14 +482,29 @@ router.post("/bootstrap-superadmin", async (req, res) => {
         message: "Email or institution already exists",
       });
     }
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       status: "error",
       message: error.message,
     });
   }
 });
 
-router.post("/login", async (req, res) => {
+// Burst limit per IP; failed attempts are also tracked per account and per
+// IP in login-security.js.
+const loginLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_MINUTE || 20),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many sign-in attempts. Please wait a minute.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.post("/login", loginLimiter, async (req, res) => {
   try {
     const validationError = validateCredentials({
       email: req.body.email,
@@ -378,37 +515,82 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ status: "error", message: validationError });
     }
 
+    const ipAddress = getClientIp(req);
+    await assertIpAllowed(ipAddress);
+
     const email = normalizeEmail(req.body.email);
     const user = await AuthUser.findOne({ email })
-      .select("+passwordHash")
+      .select("+passwordHash +twoFactorSecret")
       .populate("institutionId", INSTITUTION_SELECT_FIELDS);
 
     if (!user || !user.isActive) {
+      await recordIpFailure(ipAddress);
       return res.status(401).json({
         status: "error",
         message: "Invalid credentials",
       });
     }
 
+    assertAccountCanAttempt(user);
+
     const isValidPassword = await bcrypt.compare(String(req.body.password), user.passwordHash);
     if (!isValidPassword) {
+      await Promise.all([recordIpFailure(ipAddress), recordAccountFailure(user, ipAddress)]);
       return res.status(401).json({
         status: "error",
         message: "Invalid credentials",
       });
     }
 
+    // Second step: a TOTP code or a recovery code once the password is right.
+    if (user.twoFactorEnabled) {
+      const totpCode = String(req.body.totpCode || "").trim();
+      const recoveryCode = String(req.body.recoveryCode || "").trim();
+      if (!totpCode && !recoveryCode) {
+        return res.status(401).json({
+          status: "error",
+          twoFactorRequired: true,
+          message: "Enter the code from your authenticator app",
+        });
+      }
+      const verified = await verifySecondFactor(user, { code: totpCode, recoveryCode });
+      if (!verified) {
+        await Promise.all([recordIpFailure(ipAddress), recordAccountFailure(user, ipAddress)]);
+        return res.status(401).json({
+          status: "error",
+          twoFactorRequired: true,
+          message: "Invalid two-factor code",
+        });
+      }
+    }
+
+    clearLoginFailures(user);
     user.lastLoginAt = new Date();
     await user.save();
 
-    const token = createAuthToken(user);
+    // The institution requires two-factor but the user has not enrolled: hand
+    // out a token that can only be used to finish enrollment.
+    if (!user.twoFactorEnabled && user.institutionId?.requireTwoFactor === true) {
+      return res.json({
+        status: "success",
+        twoFactorSetupRequired: true,
+        token: createAuthToken(user, { scope: TWO_FACTOR_SETUP_SCOPE }),
+        user: sanitizeUser(user),
+      });
+    }
+
+    const { token, refreshToken } = await startSession(user, req);
     return res.json({
       status: "success",
       token,
+      refreshToken,
       user: sanitizeUser(user),
     });
   } catch (error) {
-    return res.status(500).json({
+    if (error.retryAfterSeconds) {
+      res.set("Retry-After", String(error.retryAfterSeconds));
+    }
+    return res.status(error.status || 500).json({
       status: "error",
       message: error.message,
     });
@@ -432,6 +614,393 @@ router.get("/me", requireAuth, (req, res) => {
     );
 });
 
+const refreshLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.AUTH_REFRESH_RATE_LIMIT_PER_MINUTE || 60),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many requests. Please wait a minute.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Exchanges a refresh token for a new access token. `refreshToken` is only
+// returned when it was rotated; otherwise keep the one already stored.
+router.post("/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const { session, refreshToken } = await rotateSession(req.body?.refreshToken, req);
+    const user = await AuthUser.findById(session.userId).select("role email institutionId isActive");
+    if (!user || !user.isActive) {
+      await revokeSession(session.userId, session._id, "deactivated");
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or inactive user",
+      });
+    }
+
+    const response = {
+      status: "success",
+      token: createAuthToken(user, { sessionId: session._id }),
+    };
+    if (refreshToken) {
+      response.refreshToken = refreshToken;
+    }
+    return res.json(response);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Signs out this device. Works with just the refresh token, so an expired
+// access token does not get in the way.
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSessionByRefreshToken(req.body?.refreshToken);
+    return res.json({
+      status: "success",
+      message: "Signed out",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT || 10),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many requests. Please try again later.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Always answers the same way so the form does not reveal which emails have
+// accounts.
+router.post("/password/forgot", passwordResetLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ status: "error", message: "A valid email is required" });
+    }
+
+    const user = await AuthUser.findOne({ email, isActive: true }).select("name email +passwordHash");
+    if (user) {
+      sendPasswordReset(user).catch((error) => console.error("Password reset email error:", error));
+    }
+    return res.json({
+      status: "success",
+      message: "If an account exists for that email, a reset link is on its way.",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Lets the set-password page greet the user and show the password rules
+// before submitting.
+router.post("/password/token-info", passwordResetLimiter, async (req, res) => {
+  try {
+    const { user, scope } = await loadUserFromAccountToken(req.body?.token);
+    return res.json({
+      status: "success",
+      data: {
+        purpose: scope,
+        name: user.name,
+        email: user.email,
+        passwordPolicy: await getPasswordPolicyForInstitution(user.institutionId),
+      },
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Sets the password from an invite or reset link. Other sessions are ended
+// and any sign-in lock is cleared.
+router.post("/password/reset", passwordResetLimiter, async (req, res) => {
+  try {
+    const { user, scope } = await loadUserFromAccountToken(req.body?.token);
+    const before = toAuditSnapshot(user);
+    await applyNewPassword(
+      user,
+      String(req.body?.password || ""),
+      await getPasswordPolicyForInstitution(user.institutionId)
+    );
+    user.invitePending = false;
+    clearLoginFailures(user);
+    await user.save();
+    await revokeUserSessions(user._id, "password_changed");
+    await recordUserAudit(req, scope === INVITE_SCOPE ? "user.invite_accept" : "user.password_reset", user, {
+      before,
+      actor: user,
+    });
+
+    return res.json({
+      status: "success",
+      message: scope === INVITE_SCOPE
+        ? "Password set. You can sign in now."
+        : "Password changed. Sign in with your new password.",
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+router.post("/logout-all", requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.authUser._id, "signed_out_everywhere");
+    await recordUserAudit(req, "user.sessions_revoke", req.authUser, { after: null, details: { revoked } });
+    return res.json({
+      status: "success",
+      message: `Signed out of ${revoked} session(s)`,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.authUser._id);
+    return res.json({
+      status: "success",
+      data: sessions.map((session) => mapSession(session, req.authSession?._id)),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+router.delete("/sessions/:sessionId", requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.authUser._id, req.params.sessionId, "signed_out");
+    if (!revoked) {
+      return res.status(404).json({
+        status: "error",
+        message: "Session not found",
+      });
+    }
+    await recordUserAudit(req, "user.session_revoke", req.authUser, {
+      after: null,
+      details: { sessionId: String(req.params.sessionId) },
+    });
+    return res.json({
+      status: "success",
+      message: "Session signed out",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Code guesses on the two-factor endpoints are limited per IP.
+const twoFactorLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.TWO_FACTOR_RATE_LIMIT_PER_MINUTE || 10),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many attempts. Please wait a minute.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function sendTwoFactorError(res, error) {
+  return res.status(error.status || 500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+async function isTwoFactorRequiredFor(authUser) {
+  const institutionId = normalizeInstitutionId(getAuthInstitutionId(authUser));
+  if (!institutionId) return false;
+  const institution = await Institution.findById(institutionId).select("requireTwoFactor").lean();
+  return institution?.requireTwoFactor === true;
+}
+
+router.get("/2fa", requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    const [user, required] = await Promise.all([
+      AuthUser.findById(req.authUser._id).select("twoFactorEnabled twoFactorEnabledAt +twoFactorRecoveryCodes").lean(),
+      isTwoFactorRequiredFor(req.authUser),
+    ]);
+    return res.json({
+      status: "success",
+      data: {
+        enabled: user?.twoFactorEnabled === true,
+        enabledAt: user?.twoFactorEnabledAt || null,
+        required,
+        recoveryCodesRemaining: user?.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+      },
+    });
+  } catch (error) {
+    return sendTwoFactorError(res, error);
+  }
+});
+
+// Starts enrollment and returns the otpauth URL as a QR image plus the secret
+// for manual entry. Nothing changes until /2fa/enable confirms a code.
+router.post("/2fa/setup", requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.authUser.twoFactorEnabled) {
+      return res.status(409).json({
+        status: "error",
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+    const enrollment = await beginEnrollment(req.authUser);
+    return res.json({
+      status: "success",
+      data: enrollment,
+    });
+  } catch (error) {
+    return sendTwoFactorError(res, error);
+  }
+});
+
+// Confirms enrollment with a code from the app. Returns the recovery codes,
+// which are not shown again; a setup-only token is exchanged for a full one.
+router.post("/2fa/enable", twoFactorLimiter, requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.authUser.twoFactorEnabled) {
+      return res.status(409).json({
+        status: "error",
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+    const recoveryCodes = await confirmEnrollment(req.authUser._id, req.body.code);
+    const freshUser = await AuthUser.findById(req.authUser._id)
+      .select(USER_SELECT_FIELDS)
+      .populate("institutionId", INSTITUTION_SELECT_FIELDS);
+    await recordUserAudit(req, "user.2fa_enable", freshUser, {
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true },
+    });
+
+    const response = {
+      status: "success",
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+      user: sanitizeUser(freshUser),
+    };
+    if (req.authTokenPayload.scope === TWO_FACTOR_SETUP_SCOPE) {
+      Object.assign(response, await startSession(freshUser, req));
+    }
+    return res.json(response);
+  } catch (error) {
+    return sendTwoFactorError(res, error);
+  }
+});
+
+// Needs the password and a current code (or a recovery code). Not allowed
+// while the institution requires two-factor.
+router.post("/2fa/disable", twoFactorLimiter, requireAuth, async (req, res) => {
+  try {
+    if (await isTwoFactorRequiredFor(req.authUser)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Your institution requires two-factor authentication",
+      });
+    }
+
+    const user = await AuthUser.findById(req.authUser._id).select("+passwordHash +twoFactorSecret");
+    if (!user?.twoFactorEnabled) {
+      return res.status(400).json({
+        status: "error",
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+    const isValidPassword = await bcrypt.compare(String(req.body.password || ""), user.passwordHash);
+    const verified =
+      isValidPassword &&
+      (await verifySecondFactor(user, {
+        code: String(req.body.code || "").trim(),
+        recoveryCode: String(req.body.recoveryCode || "").trim(),
+      }));
+    if (!verified) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    await disableTwoFactor(user._id);
+    await recordUserAudit(req, "user.2fa_disable", user, {
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+    return res.json({
+      status: "success",
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    return sendTwoFactorError(res, error);
+  }
+});
+
+// Replaces all recovery codes; needs a current code from the app.
+router.post("/2fa/recovery-codes", twoFactorLimiter, requireAuth, async (req, res) => {
+  try {
+    const user = await AuthUser.findById(req.authUser._id).select("+twoFactorSecret");
+    if (!user?.twoFactorEnabled) {
+      return res.status(400).json({
+        status: "error",
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+    if (!(await verifySecondFactor(user, { code: String(req.body.code || "").trim() }))) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user._id);
+    await recordUserAudit(req, "user.2fa_recovery_codes", user, { after: null });
+    return res.json({
+      status: "success",
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    return sendTwoFactorError(res, error);
+  }
+});
+
 router.get(
   "/institutions",
   requireAuth,
@@ -493,6 +1062,7 @@ router.post(
         ...payload,
         createdBy: req.authUser._id,
       });
+      await recordInstitutionAudit(req, "institution.create", institution);
 
       return res.status(201).json({
         status: "success",
@@ -506,7 +1076,7 @@ router.post(
           message: "Institution name or code already exists",
         });
       }
-      return res.status(500).json({
+      return res.status(error.status || 500).json({
         status: "error",
         message: error.message,
       });
@@ -535,7 +1105,14 @@ router.patch(
         });
       }
 
-      const currentInstitution = await Institution.findById(institutionId).select("name code");
+      if (req.body.requireTwoFactor !== undefined && !isGlobalInstitutionRole(req.authUser.role)) {
+        return res.status(403).json({
+          status: "error",
+          message: "Only superadmin or admin can change the two-factor requirement",
+        });
+      }
+
+      const currentInstitution = await Institution.findById(institutionId).select(INSTITUTION_SELECT_FIELDS);
       if (!currentInstitution) {
         return res.status(404).json({
           status: "error",
@@ -543,7 +1120,10 @@ router.patch(
         });
       }
 
-      const updates = buildInstitutionPayload(req.body, { includeDefaults: false });
+      const updates = buildInstitutionPayload(req.body, {
+        includeDefaults: false,
+        fallbackPasswordPolicy: currentInstitution.passwordPolicy,
+      });
       if (req.body.name !== undefined) {
         const nextName = toOptionalText(req.body.name, { max: 180 });
         if (!nextName) {
@@ -585,6 +1165,10 @@ router.patch(
         });
       }
 
+      forgetInstitutionTimeZone(institutionId);
+      await recordInstitutionAudit(req, "institution.update", institution, {
+        before: toAuditSnapshot(currentInstitution),
+      });
       return res.json({
         status: "success",
         message: "Institution updated",
@@ -597,7 +1181,7 @@ router.patch(
           message: "Institution name or code already exists",
         });
       }
-      return res.status(500).json({
+      return res.status(error.status || 500).json({
         status: "error",
         message: error.message,
       });
@@ -662,6 +1246,9 @@ router.post(
       await institution.save();
 
       const updated = await Institution.findById(institutionId).select(INSTITUTION_SELECT_FIELDS);
+      await recordInstitutionAudit(req, "institution.logo_upload", updated, {
+        before: { ...toAuditSnapshot(updated), logoUrl: previousLogo },
+      });
       return res.status(201).json({
         status: "success",
         message: "Institution logo uploaded",
@@ -698,6 +1285,7 @@ router.get(
 
     if (activeParam === "true") query.isActive = true;
     if (activeParam === "false") query.isActive = false;
+    if (isTruthyFlag(req.query.locked)) query.lockedUntil = { $gt: new Date() };
 
     if (q) {
       const regex = new RegExp(escapeRegExp(q), "i");
@@ -712,7 +1300,7 @@ router.get(
       if (!paginate) {
         users = await AuthUser.find(query)
           .sort({ role: 1, name: 1 })
-          .select("name email role institutionId isActive lastLoginAt createdAt updatedAt")
+          .select(USER_SELECT_FIELDS)
           .populate("institutionId", INSTITUTION_SELECT_FIELDS);
       total = users.length;
       limit = total || 1;
@@ -728,7 +1316,7 @@ router.get(
           .sort({ role: 1, name: 1 })
           .skip(skip)
           .limit(limit)
-          .select("name email role institutionId isActive lastLoginAt createdAt updatedAt")
+          .select(USER_SELECT_FIELDS)
           .populate("institutionId", INSTITUTION_SELECT_FIELDS),
       ]);
     }
@@ -789,11 +1377,14 @@ router.post(
       });
     }
 
+    // With sendInvite the user chooses their own password through an emailed link.
+    const inviteByEmail = req.body.sendInvite === true;
     const validationError = validateCredentials({
       name: req.body.name,
       email: req.body.email,
       password: req.body.password,
       requireName: true,
+      requirePassword: !inviteByEmail,
     });
     if (validationError) {
       return res.status(400).json({ status: "error", message: validationError });
@@ -820,7 +1411,7 @@ router.post(
       });
     }
 
-    const institution = await Institution.findById(institutionId).select("_id isActive");
+    const institution = await Institution.findById(institutionId).select("_id name isActive");
     if (!institution || !institution.isActive) {
       return res.status(400).json({
         status: "error",
@@ -829,15 +1420,37 @@ router.post(
     }
 
     const email = normalizeEmail(req.body.email);
-    const passwordHash = await bcrypt.hash(String(req.body.password), PASSWORD_HASH_ROUNDS);
-    const createdUser = await AuthUser.create({
+    const createdUser = new AuthUser({
       name: String(req.body.name).trim(),
       email,
-      passwordHash,
       role: targetRole,
       institutionId,
       isActive: req.body.isActive !== false,
     });
+    if (inviteByEmail) {
+      await setPlaceholderPassword(createdUser);
+    } else {
+      await applyNewPassword(
+        createdUser,
+        String(req.body.password),
+        await getPasswordPolicyForInstitution(institutionId)
+      );
+    }
+    await createdUser.save();
+    await recordUserAudit(req, "user.create", createdUser, { details: { invited: inviteByEmail } });
+
+    // The account exists either way; a failed invite can be resent.
+    let message = "User created";
+    if (inviteByEmail) {
+      try {
+        await sendInvite(createdUser, { institutionName: institution.name, invitedByName: req.authUser.name });
+        message = `User created and invited by email to ${email}`;
+      } catch (mailError) {
+        console.error("Invite email error:", mailError);
+        message = "User created, but the invitation email could not be sent. Try resending it.";
+      }
+    }
+
     const user = await AuthUser.findById(createdUser._id).populate(
       "institutionId",
       INSTITUTION_SELECT_FIELDS
@@ -845,7 +1458,7 @@ router.post(
 
     return res.status(201).json({
       status: "success",
-      message: "User created",
+      message,
       user: sanitizeUser(user),
     });
   } catch (error) {
@@ -894,7 +1507,7 @@ router.get(
       }
 
       const user = await AuthUser.findOne(query)
-        .select("name email role institutionId isActive lastLoginAt createdAt updatedAt")
+        .select(USER_SELECT_FIELDS)
         .populate("institutionId", INSTITUTION_SELECT_FIELDS);
 
       if (!user) {
@@ -939,7 +1552,7 @@ router.patch(
 
       const useAllInstitutions = canUseAllInstitutionsScope(req);
       const scopedInstitutionId = useAllInstitutions ? "" : resolveInstitutionIdForRequest(req);
-      const targetUser = await AuthUser.findById(id);
+      const targetUser = await AuthUser.findById(id).select("+passwordHash +passwordHistory");
       if (!targetUser) {
         return res.status(404).json({
           status: "error",
@@ -954,6 +1567,7 @@ router.patch(
         });
       }
 
+      const before = toAuditSnapshot(targetUser);
       const isSelfUpdate = String(targetUser._id) === String(req.authUser._id);
       const currentRole = String(targetUser.role || "").trim().toLowerCase();
       const requestedRole =
@@ -1074,23 +1688,33 @@ router.patch(
         targetUser.isActive = req.body.isActive !== false;
       }
 
+      let passwordChanged = false;
       if (req.body.password !== undefined) {
         const rawPassword = String(req.body.password || "");
         if (rawPassword.trim()) {
-          if (rawPassword.length < MIN_PASSWORD_LENGTH) {
-            return res.status(400).json({
-              status: "error",
-              message: "Password must be at least " + MIN_PASSWORD_LENGTH + " characters",
-            });
-          }
-          targetUser.passwordHash = await bcrypt.hash(rawPassword, PASSWORD_HASH_ROUNDS);
+          await applyNewPassword(
+            targetUser,
+            rawPassword,
+            await getPasswordPolicyForInstitution(nextInstitutionId)
+          );
+          passwordChanged = true;
         }
       }
 
       await targetUser.save();
 
+      if (!targetUser.isActive) {
+        await revokeUserSessions(targetUser._id, "deactivated");
+      } else if (passwordChanged) {
+        await revokeUserSessions(targetUser._id, "password_changed", {
+          exceptSessionId: isSelfUpdate ? req.authSession?._id : null,
+        });
+      }
+
+      await recordUserAudit(req, "user.update", targetUser, { before });
+
       const updatedUser = await AuthUser.findById(targetUser._id)
-        .select("name email role institutionId isActive lastLoginAt createdAt updatedAt")
+        .select(USER_SELECT_FIELDS)
         .populate("institutionId", INSTITUTION_SELECT_FIELDS);
 
       return res.json({
@@ -1169,8 +1793,13 @@ router.patch(
         });
       }
 
+      const before = toAuditSnapshot(targetUser);
       targetUser.isActive = isActive;
       await targetUser.save();
+      if (!isActive) {
+        await revokeUserSessions(targetUser._id, "deactivated");
+      }
+      await recordUserAudit(req, "user.status", targetUser, { before });
 
       return res.json({
         status: "success",
@@ -1192,4 +1821,202 @@ router.patch(
   }
 );
 
+// Loads the user in `req.params.id` that the caller may administer: same
+// institution unless `includeAll` is used by a global admin, and only
+// superadmin can touch a superadmin, etc.
+async function findManageableUser(req) {
+  const { id } = req.params;
+  const useAllInstitutions = canUseAllInstitutionsScope(req);
+  const institutionId = useAllInstitutions ? "" : resolveInstitutionIdForRequest(req);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error("Invalid user id");
+    error.status = 400;
+    throw error;
+  }
+
+  const targetUser = await AuthUser.findById(id).select(USER_SELECT_FIELDS);
+  if (!targetUser || (institutionId && String(targetUser.institutionId || "") !== String(institutionId || ""))) {
+    const error = new Error("User not found");
+    error.status = 404;
+    throw error;
+  }
+
+  let forbiddenMessage = "";
+  if (targetUser.role === "superadmin" && req.authUser.role !== "superadmin") {
+    forbiddenMessage = "Only superadmin can modify a superadmin";
+  } else if (req.authUser.role === "admin" && targetUser.role === "admin") {
+    forbiddenMessage = "Admin cannot modify superadmin or admin users";
+  } else if (
+    req.authUser.role === "institution_admin" &&
+    ["admin", "institution_admin"].includes(String(targetUser.role || ""))
+  ) {
+    forbiddenMessage = "Institution admin cannot change another admin";
+  }
+  if (forbiddenMessage) {
+    const error = new Error(forbiddenMessage);
+    error.status = 403;
+    throw error;
+  }
+  return targetUser;
+}
+
+// Clears the failed sign-in counter and any lockout or wait on the account.
+router.post(
+  "/users/:id/unlock",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const targetUser = await findManageableUser(req);
+      const before = toAuditSnapshot(targetUser);
+      clearLoginFailures(targetUser);
+      await targetUser.save();
+      await recordUserAudit(req, "user.unlock", targetUser, { before });
+
+      return res.json({
+        status: "success",
+        message: "Account unlocked",
+        user: sanitizeUser(targetUser),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+      return res.status(500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Removes the user's authenticator and recovery codes, e.g. after a lost
+// phone. They enroll again on their next sign-in if the institution requires
+// it.
+router.post(
+  "/users/:id/2fa/reset",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const targetUser = await findManageableUser(req);
+      const before = toAuditSnapshot(targetUser);
+      await disableTwoFactor(targetUser._id);
+      targetUser.twoFactorEnabled = false;
+      targetUser.twoFactorEnabledAt = null;
+      await recordUserAudit(req, "user.2fa_reset", targetUser, { before });
+
+      return res.json({
+        status: "success",
+        message: "Two-factor authentication reset",
+        user: sanitizeUser(targetUser),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+      return res.status(500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Sends the invitation email again to a user who has not set a password yet.
+router.post(
+  "/users/:id/invite",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const targetUser = await findManageableUser(req);
+      if (!targetUser.invitePending) {
+        return res.status(409).json({
+          status: "error",
+          message: "This user has already set a password",
+        });
+      }
+
+      const [userWithHash, institution] = await Promise.all([
+        AuthUser.findById(targetUser._id).select("name email +passwordHash"),
+        Institution.findById(targetUser.institutionId).select("name").lean(),
+      ]);
+      await sendInvite(userWithHash, { institutionName: institution?.name, invitedByName: req.authUser.name });
+      await recordUserAudit(req, "user.invite_resend", targetUser, { after: null });
+      return res.json({
+        status: "success",
+        message: `Invitation sent to ${targetUser.email}`,
+        user: sanitizeUser(targetUser),
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        status: "error",
+        message: error.status ? error.message : `Could not send the invitation: ${error.message}`,
+      });
+    }
+  }
+);
+
+router.get(
+  "/users/:id/sessions",
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const targetUser = await findManageableUser(req);
+      const sessions = await listActiveSessions(targetUser._id);
+      return res.json({
+        status: "success",
+        data: sessions.map((session) => mapSession(session, req.authSession?._id)),
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Without a session id, revokes all of the user's sessions.
+router.delete(
+  ["/users/:id/sessions", "/users/:id/sessions/:sessionId"],
+  requireAuth,
+  requireRoles("superadmin", "admin", "institution_admin"),
+  async (req, res) => {
+    try {
+      const targetUser = await findManageableUser(req);
+      const revoked = req.params.sessionId
+        ? await revokeSession(targetUser._id, req.params.sessionId, "revoked_by_admin")
+        : await revokeUserSessions(targetUser._id, "revoked_by_admin");
+      if (req.params.sessionId && !revoked) {
+        return res.status(404).json({
+          status: "error",
+          message: "Session not found",
+        });
+      }
+      await recordUserAudit(req, "user.sessions_revoke", targetUser, {
+        after: null,
+        details: { revoked, sessionId: req.params.sessionId || null },
+      });
+      return res.json({
+        status: "success",
+        message: `Revoked ${revoked} session(s)`,
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
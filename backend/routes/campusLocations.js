@@ -0,0 +1,225 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CampusLocation = require("../models/CampusLocation");
+const Course = require("../models/Course");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { isValidPoint, isValidPolygon } = require("../geo");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const LOCATION_READER_ROLES = ["superadmin", "admin", "institution_admin", "institution_user", "teacher"];
+const LOCATION_EDITOR_ROLES = ["superadmin", "admin", "institution_admin"];
+const LOCATION_TYPES = ["classroom", "hostel", "library", "lab", "cafeteria", "sports complex", "admin block", "other"];
+const MAX_BOUNDARY_POINTS = 100;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toPoint(value) {
+  if (!value || typeof value !== "object") return null;
+  const point = { lat: Number(value.lat), lng: Number(value.lng) };
+  if (!isValidPoint(point) || Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) return null;
+  return point;
+}
+
+function mapCampusLocation(location) {
+  return {
+    id: String(location._id),
+    name: location.name,
+    description: location.description || "",
+    type: location.type,
+    location: { lat: location.location.lat, lng: location.location.lng },
+    radiusMeters: location.radiusMeters || 50,
+    boundary: (location.boundary || []).map((vertex) => ({ lat: vertex.lat, lng: vertex.lng })),
+    shape: isValidPolygon(location.boundary) ? "polygon" : "circle",
+    updatedAt: location.updatedAt ? new Date(location.updatedAt).getTime() : null,
+  };
+}
+
+// Validates a create/update body. The center defaults to the polygon's
+// vertex average so a drawn boundary is enough on its own.
+function readCampusLocationInput(body, existing = null) {
+  const source = body && typeof body === "object" ? body : {};
+  const name = String(source.name ?? existing?.name ?? "").trim().replace(/\s+/g, " ");
+  const description = String(source.description ?? existing?.description ?? "").trim();
+  const type = String(source.type ?? existing?.type ?? "other").trim().toLowerCase();
+  const radiusMeters = Number(source.radiusMeters ?? existing?.radiusMeters ?? 50);
+
+  if (!name || name.length > 120) {
+    throw createRouteError("name is required (max 120 characters)", 400);
+  }
+  if (description.length > 500) {
+    throw createRouteError("description must be at most 500 characters", 400);
+  }
+  if (!LOCATION_TYPES.includes(type)) {
+    throw createRouteError(`type must be one of: ${LOCATION_TYPES.join(", ")}`, 400);
+  }
+  if (!Number.isFinite(radiusMeters) || radiusMeters < 10 || radiusMeters > 100000) {
+    throw createRouteError("radiusMeters must be between 10 and 100000", 400);
+  }
+
+  const rawBoundary = source.boundary !== undefined ? source.boundary : existing?.boundary || [];
+  if (!Array.isArray(rawBoundary)) {
+    throw createRouteError("boundary must be a list of { lat, lng } points", 400);
+  }
+  const boundary = rawBoundary.map(toPoint);
+  if (boundary.some((point) => !point)) {
+    throw createRouteError("boundary points need a valid lat and lng", 400);
+  }
+  if (boundary.length && (boundary.length < 3 || boundary.length > MAX_BOUNDARY_POINTS)) {
+    throw createRouteError(`boundary needs between 3 and ${MAX_BOUNDARY_POINTS} points`, 400);
+  }
+
+  let location = toPoint(source.location !== undefined ? source.location : existing?.location);
+  if (!location && boundary.length) {
+    location = {
+      lat: boundary.reduce((sum, point) => sum + point.lat, 0) / boundary.length,
+      lng: boundary.reduce((sum, point) => sum + point.lng, 0) / boundary.length,
+    };
+  }
+  if (!location) {
+    throw createRouteError("location { lat, lng } or a boundary is required", 400);
+  }
+
+  return { name, description, type, location, radiusMeters: Math.round(radiusMeters), boundary };
+}
+
+async function loadCampusLocation(req, institutionId) {
+  const locationId = String(req.params.locationId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(locationId)) {
+    throw createRouteError("Campus location not found", 404);
+  }
+  const location = await CampusLocation.findOne({ _id: locationId, institutionId });
+  if (!location) {
+    throw createRouteError("Campus location not found", 404);
+  }
+  return location;
+}
+
+// Zones and rooms are course geofences, so their boundary and radius changes
+// are audited like course policy changes.
+function recordCampusLocationAudit(req, action, location, { before = null, after = location } = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "campus_location",
+    entityId: location._id,
+    entityLabel: location.name,
+    institutionId: location.institutionId,
+    before,
+    after,
+  });
+}
+
+function sendDuplicateNameError(res, error) {
+  if (error?.code === 11000) {
+    return res.status(409).json({
+      status: "error",
+      message: "A campus location with this name already exists",
+    });
+  }
+  return sendRouteError(res, error);
+}
+
+router.get("/", requireAuth, requireRoles(...LOCATION_READER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const locations = await CampusLocation.find({ institutionId }).sort({ name: 1 }).lean();
+    return res.json({
+      status: "success",
+      data: locations.map(mapCampusLocation),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/", requireAuth, requireRoles(...LOCATION_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const input = readCampusLocationInput(req.body);
+    const location = await CampusLocation.create({ institutionId, ...input });
+    await recordCampusLocationAudit(req, "campus_location.create", location);
+    return res.status(201).json({
+      status: "success",
+      message: "Campus location created",
+      data: mapCampusLocation(location),
+    });
+  } catch (error) {
+    return sendDuplicateNameError(res, error);
+  }
+});
+
+router.put("/:locationId", requireAuth, requireRoles(...LOCATION_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const location = await loadCampusLocation(req, institutionId);
+    const input = readCampusLocationInput(req.body, location.toObject());
+    const before = toAuditSnapshot(location);
+    location.set({ ...input, updatedAt: new Date() });
+    await location.save();
+    await recordCampusLocationAudit(req, "campus_location.update", location, { before });
+    return res.json({
+      status: "success",
+      message: "Campus location updated",
+      data: mapCampusLocation(location),
+    });
+  } catch (error) {
+    return sendDuplicateNameError(res, error);
+  }
+});
+
+// Zones still used by a course geofence, as the room of a schedule block or
+// of a moved or make-up class, cannot be removed: the class would then have
+// no geofence.
+router.delete("/:locationId", requireAuth, requireRoles(...LOCATION_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const location = await loadCampusLocation(req, institutionId);
+    const usedBy = await Course.find({
+      institutionId,
+      $or: [
+        { "attendancePolicy.geofenceZones": location._id },
+        { "scheduleBlocks.locationId": location._id },
+        { "scheduleExceptions.locationId": location._id },
+      ],
+    })
+      .select("code section")
+      .limit(5)
+      .lean();
+    if (usedBy.length) {
+      const codes = usedBy.map((course) => `${course.code}-${course.section}`).join(", ");
+      throw createRouteError(`Campus location is used by course geofences or rooms: ${codes}`, 409);
+    }
+
+    await CampusLocation.deleteOne({ _id: location._id });
+    await recordCampusLocationAudit(req, "campus_location.delete", location, {
+      before: toAuditSnapshot(location),
+      after: null,
+    });
+    return res.json({
+      status: "success",
+      message: "Campus location deleted",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CatalogCourse = require("../models/CatalogCourse");
+const Course = require("../models/Course");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { resolveCourseProgram } = require("../program-catalog");
+const {
+  readCatalogCode,
+  syncCatalogSections,
+  mapCatalogCourse,
+  recordCatalogAudit,
+  buildCatalogRollups,
+} = require("../course-catalog");
+const { toAuditSnapshot } = require("../audit-log");
+
+const router = express.Router();
+const CATALOG_READER_ROLES = ["superadmin", "admin", "institution_admin", "institution_user"];
+const CATALOG_EDITOR_ROLES = ["superadmin", "admin", "institution_admin"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  if (error?.code === 11000) {
+    return res.status(409).json({
+      status: "error",
+      message: "A catalog course with this code already exists",
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function escapeRegExp(value) {
+  return String(value || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Report window for the rollups: from/to as YYYY-MM-DD, both optional.
+function readReportRange(query) {
+  const from = String(query.from || "").trim() || null;
+  const to = String(query.to || "").trim() || null;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw createRouteError("from and to must use YYYY-MM-DD", 400);
+  }
+  if (from && to && to < from) {
+    throw createRouteError("to must be on or after from", 400);
+  }
+  return { from, to };
+}
+
+// Validates a create/update body; omitted fields keep the existing values.
+function readCatalogInput(body, existing = null) {
+  const source = body && typeof body === "object" ? body : {};
+  const name = String(source.name ?? existing?.name ?? "").trim().replace(/\s+/g, " ");
+  const description = String(source.description ?? existing?.description ?? "").trim();
+  if (!name || name.length > 200) {
+    throw createRouteError("name is required (max 200 characters)", 400);
+  }
+  if (description.length > 2000) {
+    throw createRouteError("description must be at most 2000 characters", 400);
+  }
+  return {
+    code: readCatalogCode(source.code ?? existing?.code),
+    name,
+    description,
+    isActive: source.isActive !== undefined ? source.isActive !== false : existing?.isActive !== false,
+  };
+}
+
+async function loadCatalogCourse(req, institutionId) {
+  const catalogCourseId = String(req.params.catalogCourseId || "").trim();
+  const catalogCourse = mongoose.Types.ObjectId.isValid(catalogCourseId)
+    ? await CatalogCourse.findOne({ _id: catalogCourseId, institutionId })
+    : null;
+  if (!catalogCourse) {
+    throw createRouteError("Catalog course not found", 404);
+  }
+  return catalogCourse;
+}
+
+function mapSection(section, rollup) {
+  return {
+    id: String(section._id),
+    section: section.section,
+    academicYear: section.academicYear || "",
+    termId: section.termId ? String(section.termId) : null,
+    deliveryMode: section.deliveryMode || "in_person",
+    isActive: section.isActive !== false,
+    rollup,
+  };
+}
+
+// Catalog courses with their sections rolled up: section count, distinct
+// enrolled students, meetings held and attendance between from and to.
+// Filters: q (code or name), program (code), active.
+router.get("/", requireAuth, requireRoles(...CATALOG_READER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const range = readReportRange(req.query);
+    const q = String(req.query.q || "").trim();
+    const programFilter = String(req.query.program || "").trim();
+    const activeParam = String(req.query.active || "").toLowerCase();
+    const filter = { institutionId };
+    if (activeParam === "true") filter.isActive = true;
+    if (activeParam === "false") filter.isActive = false;
+    if (programFilter) filter.program = new RegExp(`^${escapeRegExp(programFilter)}$`, "i");
+    if (q) {
+      const regex = new RegExp(escapeRegExp(q), "i");
+      filter.$or = [{ code: regex }, { name: regex }];
+    }
+
+    const catalogCourses = await CatalogCourse.find(filter).sort({ program: 1, code: 1 }).lean();
+    const rollups = await buildCatalogRollups(
+      institutionId,
+      catalogCourses.map((catalogCourse) => catalogCourse._id),
+      range
+    );
+
+    return res.json({
+      status: "success",
+      data: catalogCourses.map((catalogCourse) =>
+        mapCatalogCourse(catalogCourse, rollups.catalog.get(String(catalogCourse._id)))
+      ),
+      range,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// One catalog course with the rollup of each of its sections.
+router.get("/:catalogCourseId", requireAuth, requireRoles(...CATALOG_READER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const range = readReportRange(req.query);
+    const catalogCourse = await loadCatalogCourse(req, institutionId);
+    const [sections, rollups] = await Promise.all([
+      Course.find({ institutionId, catalogCourseId: catalogCourse._id })
+        .select("section academicYear termId deliveryMode isActive")
+        .sort({ academicYear: -1, section: 1 })
+        .lean(),
+      buildCatalogRollups(institutionId, [catalogCourse._id], range),
+    ]);
+
+    return res.json({
+      status: "success",
+      data: {
+        ...mapCatalogCourse(catalogCourse, rollups.catalog.get(String(catalogCourse._id))),
+        sections: sections.map((section) => mapSection(section, rollups.sections.get(String(section._id)))),
+      },
+      range,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/", requireAuth, requireRoles(...CATALOG_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const input = readCatalogInput(req.body);
+    const programRef = await resolveCourseProgram(institutionId, req.body);
+    const catalogCourse = await CatalogCourse.create({
+      institutionId,
+      ...input,
+      ...programRef,
+      createdBy: req.authUser._id,
+    });
+    await recordCatalogAudit(req, "catalog_course.create", catalogCourse);
+    return res.status(201).json({
+      status: "success",
+      message: "Catalog course created",
+      data: mapCatalogCourse(catalogCourse),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Code, name and program changes are copied to every section of the course.
+router.put("/:catalogCourseId", requireAuth, requireRoles(...CATALOG_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const catalogCourse = await loadCatalogCourse(req, institutionId);
+    const before = toAuditSnapshot(catalogCourse);
+    catalogCourse.set(readCatalogInput(req.body, catalogCourse.toObject()));
+    const changesProgram = ["program", "programVersion", "programVersionId"].some((field) => req.body[field] !== undefined);
+    if (changesProgram) {
+      catalogCourse.set(await resolveCourseProgram(institutionId, req.body, catalogCourse.programVersionId));
+    }
+    await catalogCourse.save();
+    const updatedSections = await syncCatalogSections(catalogCourse);
+    await recordCatalogAudit(req, "catalog_course.update", catalogCourse, before);
+    const rollups = await buildCatalogRollups(institutionId, [catalogCourse._id]);
+
+    return res.json({
+      status: "success",
+      message: updatedSections ? `Catalog course updated (${updatedSections} section(s))` : "Catalog course updated",
+      data: mapCatalogCourse(catalogCourse, rollups.catalog.get(String(catalogCourse._id))),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Catalog courses with sections cannot be removed; deactivate them instead.
+router.delete("/:catalogCourseId", requireAuth, requireRoles(...CATALOG_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const catalogCourse = await loadCatalogCourse(req, institutionId);
+    const sections = await Course.countDocuments({ institutionId, catalogCourseId: catalogCourse._id });
+    if (sections) {
+      throw createRouteError(`Catalog course has ${sections} section(s); deactivate it instead`, 409);
+    }
+
+    await CatalogCourse.deleteOne({ _id: catalogCourse._id });
+    await recordCatalogAudit(req, "catalog_course.delete", catalogCourse, toAuditSnapshot(catalogCourse));
+    return res.json({
+      status: "success",
+      message: "Catalog course deleted",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
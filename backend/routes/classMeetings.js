@@ -0,0 +1,329 @@
+const express = require("express");
+const Attendance = require("../models/Attendance");
+const CourseEnrollment = require("../models/CourseEnrollment");
+const QRLog = require("../models/QRLog");
+const TeacherCourseAssignment = require("../models/TeacherCourseAssignment");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { transitionSession } = require("../qr-generator");
+const {
+  mapClassMeeting,
+  findClassMeeting,
+  closeClassMeeting,
+} = require("../class-meetings");
+const { OVERRIDE_STATUSES } = require("../attendance-status");
+const { recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const MEETING_MANAGER_ROLES = ["teacher", "superadmin", "admin", "institution_admin"];
+const OVERRIDE_REASON_MIN_LENGTH = 3;
+const OVERRIDE_REASON_MAX_LENGTH = 500;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+async function loadAccessibleMeeting(req) {
+  const institutionId = resolveInstitutionIdForRequest(req);
+  const meeting = await findClassMeeting(req.params.meetingId, { institutionId });
+  if (!meeting) {
+    const error = new Error("Class meeting not found");
+    error.status = 404;
+    throw error;
+  }
+
+  if (req.authUser.role === "teacher") {
+    const assignment = await TeacherCourseAssignment.findOne({
+      institutionId,
+      teacherId: req.authUser._id,
+      courseId: meeting.courseId,
+      isActive: true,
+    }).select("_id");
+    if (!assignment) {
+      const error = new Error("Course not assigned to this teacher");
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  return meeting;
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function buildActor(authUser) {
+  return {
+    userId: authUser._id,
+    name: authUser.name,
+    role: authUser.role,
+  };
+}
+
+function mapOverride(entry) {
+  return {
+    previousStatus: entry.previousStatus || null,
+    status: entry.status,
+    reason: entry.reason,
+    by: entry.by ? String(entry.by) : null,
+    byName: entry.byName || null,
+    byRole: entry.byRole || null,
+    at: entry.at ? new Date(entry.at).getTime() : null,
+  };
+}
+
+function mapRosterRow(enrollment, row) {
+  return {
+    attendanceId: row ? String(row._id) : null,
+    enrolled: Boolean(enrollment),
+    studentEmail: enrollment?.email || row?.studentEmail || null,
+    universityRollNo: enrollment?.universityRollNo || row?.universityRollNo || null,
+    name: enrollment?.fullName || row?.name || null,
+    section: enrollment?.section || row?.section || null,
+    classRollNo: enrollment?.classRollNo || row?.classRollNo || null,
+    status: row?.status || null,
+    source: row?.source || null,
+    time: row?.time || null,
+    lateMinutes: typeof row?.lateMinutes === "number" ? row.lateMinutes : null,
+    presenceMinutes: typeof row?.presenceMinutes === "number" ? row.presenceMinutes : null,
+    manualOverride: Boolean(row?.manualOverride),
+    overrides: Array.isArray(row?.overrides) ? row.overrides.map(mapOverride) : [],
+  };
+}
+
+async function countMeetingStatuses(meetingId) {
+  const rows = await Attendance.aggregate([
+    { $match: { meetingId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  return rows.reduce((counts, row) => {
+    counts[row._id || "present"] = row.count;
+    return counts;
+  }, {});
+}
+
+router.get("/:meetingId", requireAuth, requireRoles(...MEETING_MANAGER_ROLES), async (req, res) => {
+  try {
+    const meeting = await loadAccessibleMeeting(req);
+    return res.json({
+      status: "success",
+      data: {
+        ...mapClassMeeting(meeting),
+        statusCounts: await countMeetingStatuses(meeting._id),
+      },
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Active enrollments merged with the meeting's attendance rows, so staff can
+// correct students who never scanned as well as recorded ones.
+router.get("/:meetingId/roster", requireAuth, requireRoles(...MEETING_MANAGER_ROLES), async (req, res) => {
+  try {
+    const meeting = await loadAccessibleMeeting(req);
+    const [enrollments, rows] = await Promise.all([
+      CourseEnrollment.find({
+        institutionId: meeting.institutionId,
+        courseId: meeting.courseId,
+        isActive: true,
+      })
+        .select("universityRollNo email fullName section classRollNo")
+        .sort({ section: 1, classRollNo: 1 })
+        .lean(),
+      Attendance.find({ meetingId: meeting._id }).sort({ universityRollNo: 1 }).lean(),
+    ]);
+
+    const unmatchedRows = new Set(rows);
+    const roster = enrollments.map((enrollment) => {
+      const keys = [normalizeEmail(enrollment.email), normalizeEmail(enrollment.universityRollNo)];
+      const row = rows.find((candidate) =>
+        keys.includes(normalizeEmail(candidate.studentEmail)) ||
+        keys.includes(normalizeEmail(candidate.universityRollNo))
+      );
+      if (row) unmatchedRows.delete(row);
+      return mapRosterRow(enrollment, row);
+    });
+    unmatchedRows.forEach((row) => roster.push(mapRosterRow(null, row)));
+
+    return res.json({
+      status: "success",
+      meeting: mapClassMeeting(meeting),
+      data: roster,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Manual override of one student's status in the meeting. The previous status,
+// reason, author and time are appended to the row's `overrides`; students
+// without a row get a `source: "manual"` row.
+router.post("/:meetingId/overrides", requireAuth, requireRoles(...MEETING_MANAGER_ROLES), async (req, res) => {
+  try {
+    const meeting = await loadAccessibleMeeting(req);
+    const studentEmail = normalizeEmail(req.body?.studentEmail);
+    const status = String(req.body?.status || "").trim().toLowerCase();
+    const reason = String(req.body?.reason || "").trim();
+
+    if (!studentEmail) {
+      throw createRouteError("studentEmail is required", 400);
+    }
+    if (!OVERRIDE_STATUSES.includes(status)) {
+      throw createRouteError(`status must be one of: ${OVERRIDE_STATUSES.join(", ")}`, 400);
+    }
+    if (reason.length < OVERRIDE_REASON_MIN_LENGTH || reason.length > OVERRIDE_REASON_MAX_LENGTH) {
+      throw createRouteError(
+        `reason must be between ${OVERRIDE_REASON_MIN_LENGTH} and ${OVERRIDE_REASON_MAX_LENGTH} characters`,
+        400
+      );
+    }
+
+    const actor = buildActor(req.authUser);
+    const existing = await Attendance.findOne({
+      meetingId: meeting._id,
+      $or: [{ studentEmail }, { universityRollNo: studentEmail }],
+    });
+    const overrideEntry = {
+      previousStatus: existing ? existing.status : null,
+      status,
+      reason,
+      by: actor.userId,
+      byName: actor.name || null,
+      byRole: actor.role || null,
+      at: new Date(),
+    };
+
+    let updated = null;
+    if (existing) {
+      if (existing.status === status) {
+        throw createRouteError(`Attendance is already ${status}`, 400);
+      }
+      // Conditional on the status that was read so two editors cannot
+      // silently overwrite each other.
+      updated = await Attendance.findOneAndUpdate(
+        { _id: existing._id, status: existing.status },
+        {
+          $set: { status, manualOverride: true },
+          $push: { overrides: overrideEntry },
+        },
+        { new: true }
+      ).lean();
+      if (!updated) {
+        throw createRouteError("Attendance changed while updating. Please reload and retry.", 409);
+      }
+    } else {
+      const enrollment = await CourseEnrollment.findOne({
+        institutionId: meeting.institutionId,
+        courseId: meeting.courseId,
+        email: studentEmail,
+        isActive: true,
+      }).lean();
+      if (!enrollment) {
+        throw createRouteError("Student is not enrolled in this course", 404);
+      }
+
+      const created = await Attendance.create({
+        institutionId: meeting.institutionId,
+        meetingId: meeting._id,
+        courseId: meeting.courseId,
+        courseCode: meeting.courseCode,
+        courseName: meeting.courseName,
+        name: enrollment.fullName,
+        studentEmail: enrollment.email,
+        universityRollNo: enrollment.email,
+        section: enrollment.section,
+        classRollNo: enrollment.classRollNo,
+        date: meeting.date,
+        time: null,
+        status,
+        source: "manual",
+        manualOverride: true,
+        overrides: [overrideEntry],
+      });
+      updated = created.toObject();
+    }
+
+    await recordAudit(req, {
+      action: "attendance.override",
+      entityType: "attendance",
+      entityId: updated._id,
+      entityLabel: `${updated.studentEmail} ${meeting.courseCode} ${meeting.date}`,
+      institutionId: meeting.institutionId,
+      before: existing ? { status: existing.status } : {},
+      after: { status },
+      details: { meetingId: String(meeting._id), reason },
+    });
+
+    return res.json({
+      status: "success",
+      message: `Attendance set to ${status}`,
+      data: mapRosterRow(null, updated),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Ends the meeting: closes its remaining QR sessions, marks students who never
+// checked out and enrolled students who never scanned as absent.
+router.post("/:meetingId/close", requireAuth, requireRoles(...MEETING_MANAGER_ROLES), async (req, res) => {
+  try {
+    const meeting = await loadAccessibleMeeting(req);
+    const actor = buildActor(req.authUser);
+
+    const liveSessions = await QRLog.find({
+      meetingId: meeting._id,
+      status: { $in: ["open", "paused"] },
+    }).select("sessionId").lean();
+    for (const session of liveSessions) {
+      try {
+        await transitionSession(session.sessionId, "close", actor);
+      } catch (error) {
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    const result = await closeClassMeeting(meeting._id, actor);
+    await recordAudit(req, {
+      action: "class_meeting.close",
+      entityType: "class_meeting",
+      entityId: meeting._id,
+      entityLabel: `${meeting.courseCode}-${meeting.section} ${meeting.date}`,
+      institutionId: meeting.institutionId,
+      before: { status: meeting.status },
+      after: { status: result.meeting.status },
+      details: { absentCount: result.absentCount, missedCheckOutCount: result.missedCheckOutCount },
+    });
+    return res.json({
+      status: "success",
+      message: `Class meeting closed. ${result.absentCount} absence(s) recorded.`,
+      data: {
+        ...mapClassMeeting(result.meeting),
+        statusCounts: await countMeetingStatuses(meeting._id),
+      },
+      absentCount: result.absentCount,
+      missedCheckOutCount: result.missedCheckOutCount,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
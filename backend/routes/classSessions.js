@@ -0,0 +1,181 @@
+const express = require("express");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { finalizeMeetingCheckOuts, reopenClassMeeting } = require("../class-meetings");
+const {
+  getSessionDetails,
+  transitionSession,
+  buildRotatingQRPayload,
+} = require("../qr-generator");
+const { recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const SESSION_MANAGER_ROLES = ["teacher", "superadmin", "admin", "institution_admin"];
+
+function getRequestBaseUrl(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function mapClassSession(session) {
+  return {
+    sessionId: session.sessionId,
+    status: session.status,
+    acceptsAttendance: session.acceptsAttendance,
+    availabilityMessage: session.availabilityMessage,
+    institutionId: session.institutionId,
+    courseId: session.courseId,
+    courseCode: session.courseCode,
+    courseName: session.courseName,
+    section: session.section,
+    meetingId: session.meetingId,
+    mode: session.mode,
+    generatedBy: session.generatedBy,
+    generatedByName: session.generatedByName,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    expiresInMs: Math.max(0, session.expiresAt - Date.now()),
+    rotationSeconds: session.rotationSeconds,
+    transitions: session.transitions,
+  };
+}
+
+async function loadOwnedSession(req) {
+  const institutionId = resolveInstitutionIdForRequest(req);
+  const sessionId = String(req.params.sessionId || "").trim();
+  const session = await getSessionDetails(sessionId);
+
+  if (!session || String(session.institutionId || "") !== String(institutionId)) {
+    const error = new Error("Class session not found");
+    error.status = 404;
+    throw error;
+  }
+
+  if (req.authUser.role === "teacher" && session.generatedBy !== String(req.authUser._id)) {
+    const error = new Error("This class session belongs to another teacher");
+    error.status = 403;
+    throw error;
+  }
+
+  return session;
+}
+
+function buildActor(authUser) {
+  return {
+    userId: authUser._id,
+    name: authUser.name,
+    role: authUser.role,
+  };
+}
+
+// Sessions are keyed by their string sessionId, which goes in the label and
+// details; entityId is the class meeting.
+function recordSessionAudit(req, action, before, after, details = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "class_session",
+    entityId: after.meetingId || null,
+    entityLabel: `${after.courseCode || ""}-${after.section || ""} ${after.sessionId}`,
+    institutionId: after.institutionId,
+    before: { status: before.status, expiresAt: new Date(before.expiresAt).toISOString() },
+    after: { status: after.status, expiresAt: new Date(after.expiresAt).toISOString() },
+    details: { sessionId: after.sessionId, ...details },
+  });
+}
+
+router.get("/:sessionId", requireAuth, requireRoles(...SESSION_MANAGER_ROLES), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req);
+    return res.json({
+      status: "success",
+      data: mapClassSession(session),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Current rotating QR payload. The teacher page polls this once per step and
+// draws the code locally, so nothing is written to the QR code directory.
+router.get("/:sessionId/qr", requireAuth, requireRoles("teacher"), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req);
+    if (!session.rotationSeconds) {
+      return res.status(400).json({
+        status: "error",
+        message: "Session does not use rotating QR codes",
+      });
+    }
+    if (!session.acceptsAttendance) {
+      return res.status(409).json({
+        status: "error",
+        message: session.availabilityMessage,
+        data: mapClassSession(session),
+      });
+    }
+
+    return res.json({
+      status: "success",
+      sessionId: session.sessionId,
+      rotation: buildRotatingQRPayload(session, getRequestBaseUrl(req)),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Lifecycle: pause (open -> paused), resume (paused/closed -> open, used to
+// reopen for latecomers), extend (push expiresAt by `minutes`) and close.
+["pause", "resume", "extend", "close"].forEach((action) => {
+  router.post(
+    `/:sessionId/${action}`,
+    requireAuth,
+    requireRoles(...SESSION_MANAGER_ROLES),
+    async (req, res) => {
+      try {
+        const session = await loadOwnedSession(req);
+        const updated = await transitionSession(session.sessionId, action, buildActor(req.authUser), {
+          minutes: req.body?.minutes,
+        });
+
+        // Closing the check-out QR ends the meeting for anyone still only
+        // checked in.
+        let absentCount;
+        if (action === "close" && updated.mode === "check_out" && updated.meetingId) {
+          absentCount = await finalizeMeetingCheckOuts(updated.meetingId);
+        }
+        // Reopening for latecomers also reopens a meeting that was already
+        // closed; their scans replace the generated absent rows.
+        if (action === "resume" && updated.meetingId) {
+          await reopenClassMeeting(updated.meetingId);
+        }
+        await recordSessionAudit(req, `class_session.${action}`, session, updated, {
+          ...(absentCount !== undefined ? { absentCount } : {}),
+        });
+
+        return res.json({
+          status: "success",
+          message: `Class session ${updated.status}`,
+          data: mapClassSession(updated),
+          absentCount,
+        });
+      } catch (error) {
+        return sendRouteError(res, error);
+      }
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,389 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const rateLimit = require("express-rate-limit");
+const ExcuseRequest = require("../models/ExcuseRequest");
+const ClassMeeting = require("../models/ClassMeeting");
+const Course = require("../models/Course");
+const CourseEnrollment = require("../models/CourseEnrollment");
+const TeacherCourseAssignment = require("../models/TeacherCourseAssignment");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { requireStudentAuth } = require("../middleware/studentAuth");
+const { resolveStudentInstitutionFilter } = require("../student-auth");
+const {
+  storeExcuseAttachment,
+  removeExcuseAttachment,
+  resolveExcuseAttachmentPath,
+  mapExcuseRequest,
+  applyApprovedExcuse,
+} = require("../excuse-requests");
+const { recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const EXCUSE_REVIEWER_ROLES = ["teacher", "superadmin", "admin", "institution_admin"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REASON_MIN_LENGTH = 10;
+const REASON_MAX_LENGTH = 1000;
+const REVIEW_NOTE_MAX_LENGTH = 500;
+const MAX_LIST_LIMIT = 200;
+
+// Reviews change the student's attendance, so both outcomes are audited.
+function recordExcuseAudit(req, action, before, after, details = null) {
+  return recordAudit(req, {
+    action,
+    entityType: "excuse_request",
+    entityId: after._id,
+    entityLabel: `${after.studentEmail} ${after.courseCode || ""} ${after.date}`.replace(/\s+/g, " "),
+    institutionId: after.institutionId,
+    before: { status: before.status, reviewNote: before.reviewNote || "" },
+    after: { status: after.status, reviewNote: after.reviewNote || "", excusedCount: after.excusedCount || 0 },
+    details,
+  });
+}
+
+// Submissions carry a file, so they are throttled per IP.
+const excuseSubmitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many excuse requests. Please try again later.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function buildActor(authUser) {
+  return {
+    userId: authUser._id,
+    name: authUser.name,
+    role: authUser.role,
+  };
+}
+
+async function getTeacherCourseIds(teacherId, institutionId) {
+  const assignments = await TeacherCourseAssignment.find({
+    institutionId,
+    teacherId,
+    isActive: true,
+  }).select("courseId").lean();
+  return assignments.map((assignment) => String(assignment.courseId));
+}
+
+async function loadReviewableRequest(req) {
+  const institutionId = resolveInstitutionIdForRequest(req);
+  const requestId = String(req.params.requestId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw createRouteError("Excuse request not found", 404);
+  }
+
+  const request = await ExcuseRequest.findOne({ _id: requestId, institutionId }).lean();
+  if (!request) {
+    throw createRouteError("Excuse request not found", 404);
+  }
+
+  if (req.authUser.role === "teacher") {
+    const courseIds = await getTeacherCourseIds(req.authUser._id, institutionId);
+    if (!courseIds.includes(String(request.courseId))) {
+      throw createRouteError("Course not assigned to this teacher", 403);
+    }
+  }
+
+  return request;
+}
+
+function readReviewNote(body, { required = false } = {}) {
+  const note = String(body?.note || "").trim();
+  if (required && !note) {
+    throw createRouteError("A note explaining the decision is required", 400);
+  }
+  if (note.length > REVIEW_NOTE_MAX_LENGTH) {
+    throw createRouteError(`note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters`, 400);
+  }
+  return note;
+}
+
+// Student submission: { courseId, date, meetingId?, reason,
+// attachment: { dataUrl, fileName } }. The signed-in student must be enrolled
+// in the course under their email.
+router.post("/", requireStudentAuth, excuseSubmitLimiter, async (req, res) => {
+  let attachment = null;
+  try {
+    const body = req.body || {};
+    const courseId = String(body.courseId || "").trim();
+    const date = String(body.date || "").trim();
+    const meetingId = String(body.meetingId || "").trim();
+    const studentEmail = req.studentAuth.email;
+    const reason = String(body.reason || "").trim();
+
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      throw createRouteError("A valid courseId is required", 400);
+    }
+    if (!DATE_PATTERN.test(date)) {
+      throw createRouteError("date must be in YYYY-MM-DD format", 400);
+    }
+    if (meetingId && !mongoose.Types.ObjectId.isValid(meetingId)) {
+      throw createRouteError("Invalid meetingId", 400);
+    }
+    if (reason.length < REASON_MIN_LENGTH || reason.length > REASON_MAX_LENGTH) {
+      throw createRouteError(
+        `reason must be between ${REASON_MIN_LENGTH} and ${REASON_MAX_LENGTH} characters`,
+        400
+      );
+    }
+    if (!body.attachment?.dataUrl) {
+      throw createRouteError("An attachment (e.g. a medical certificate) is required", 400);
+    }
+
+    const course = await Course.findOne({ _id: courseId, isActive: true })
+      .select("institutionId code name section")
+      .lean();
+    if (!course) {
+      throw createRouteError("Course not found", 404);
+    }
+    if (body.institutionId && String(body.institutionId) !== String(course.institutionId)) {
+      throw createRouteError("Course not found", 404);
+    }
+
+    const enrollment = await CourseEnrollment.findOne({
+      institutionId: course.institutionId,
+      courseId: course._id,
+      email: studentEmail,
+      isActive: true,
+    }).lean();
+    if (!enrollment) {
+      throw createRouteError("You are not enrolled in this course", 403);
+    }
+
+    if (meetingId) {
+      const meeting = await ClassMeeting.exists({ _id: meetingId, courseId: course._id, date });
+      if (!meeting) {
+        throw createRouteError("Class meeting not found for this course and date", 404);
+      }
+    }
+
+    const duplicate = await ExcuseRequest.exists({
+      institutionId: course.institutionId,
+      courseId: course._id,
+      studentEmail,
+      date,
+      status: { $in: ["pending", "approved"] },
+      ...(meetingId ? { meetingId: { $in: [null, meetingId] } } : {}),
+    });
+    if (duplicate) {
+      throw createRouteError("An excuse request for this course and date is already pending or approved", 409);
+    }
+
+    attachment = storeExcuseAttachment(String(course.institutionId), body.attachment);
+    const request = await ExcuseRequest.create({
+      institutionId: course.institutionId,
+      courseId: course._id,
+      courseCode: course.code || null,
+      courseName: course.name || null,
+      section: enrollment.section || course.section || null,
+      meetingId: meetingId || null,
+      date,
+      studentEmail,
+      studentName: enrollment.fullName,
+      universityRollNo: enrollment.universityRollNo,
+      reason,
+      attachment,
+    });
+
+    return res.status(201).json({
+      status: "success",
+      message: "Excuse request submitted",
+      data: mapExcuseRequest(request),
+    });
+  } catch (error) {
+    removeExcuseAttachment(attachment);
+    return sendRouteError(res, error);
+  }
+});
+
+// The signed-in student's own requests, newest first.
+router.get("/mine", requireStudentAuth, async (req, res) => {
+  try {
+    const filter = {
+      studentEmail: req.studentAuth.email,
+      institutionId: resolveStudentInstitutionFilter(req.studentAuth, req.query.institutionId),
+    };
+    const requests = await ExcuseRequest.find(filter).sort({ createdAt: -1 }).limit(50).lean();
+
+    return res.json({
+      status: "success",
+      data: requests.map(mapExcuseRequest),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Review queue. Teachers see requests for their assigned courses only.
+// `status` defaults to pending; `all` returns every status.
+router.get("/", requireAuth, requireRoles(...EXCUSE_REVIEWER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const status = String(req.query.status || "pending").trim().toLowerCase();
+    const courseId = String(req.query.courseId || "").trim();
+    const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || 100));
+
+    if (courseId && !mongoose.Types.ObjectId.isValid(courseId)) {
+      throw createRouteError("Invalid courseId", 400);
+    }
+
+    const filter = { institutionId };
+    if (status !== "all") filter.status = status;
+    if (req.authUser.role === "teacher") {
+      const courseIds = await getTeacherCourseIds(req.authUser._id, institutionId);
+      if (courseId && !courseIds.includes(courseId)) {
+        throw createRouteError("Course not assigned to this teacher", 403);
+      }
+      filter.courseId = courseId || { $in: courseIds };
+    } else if (courseId) {
+      filter.courseId = courseId;
+    }
+
+    const requests = await ExcuseRequest.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({
+      status: "success",
+      data: requests.map(mapExcuseRequest),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.get(
+  "/:requestId/attachment",
+  requireAuth,
+  requireRoles(...EXCUSE_REVIEWER_ROLES),
+  async (req, res) => {
+    try {
+      const request = await loadReviewableRequest(req);
+      const filePath = resolveExcuseAttachmentPath(request.attachment);
+      if (!filePath) {
+        throw createRouteError("Attachment not found", 404);
+      }
+
+      res.set("Cache-Control", "private, no-store");
+      res.type(request.attachment.mimeType);
+      res.set("Content-Disposition", `inline; filename="${request.attachment.fileName}"`);
+      return res.sendFile(filePath);
+    } catch (error) {
+      return sendRouteError(res, error);
+    }
+  }
+);
+
+// Approval excuses the student's matching attendance rows; rejection needs a
+// note so the student knows why.
+router.post(
+  "/:requestId/approve",
+  requireAuth,
+  requireRoles(...EXCUSE_REVIEWER_ROLES),
+  async (req, res) => {
+    try {
+      const request = await loadReviewableRequest(req);
+      const note = readReviewNote(req.body);
+      const actor = buildActor(req.authUser);
+
+      const approved = await ExcuseRequest.findOneAndUpdate(
+        { _id: request._id, status: "pending" },
+        {
+          $set: {
+            status: "approved",
+            reviewedBy: actor.userId,
+            reviewedByName: actor.name || null,
+            reviewedByRole: actor.role || null,
+            reviewedAt: new Date(),
+            reviewNote: note,
+          },
+        },
+        { new: true }
+      ).lean();
+      if (!approved) {
+        throw createRouteError(`Excuse request is already ${request.status}`, 409);
+      }
+
+      const excusedCount = await applyApprovedExcuse(approved, actor);
+      const updated = await ExcuseRequest.findByIdAndUpdate(
+        approved._id,
+        { $set: { excusedCount } },
+        { new: true }
+      ).lean();
+      await recordExcuseAudit(req, "excuse_request.approve", request, updated, { excusedCount });
+
+      return res.json({
+        status: "success",
+        message: `Excuse approved. ${excusedCount} attendance record(s) excused.`,
+        data: mapExcuseRequest(updated),
+      });
+    } catch (error) {
+      return sendRouteError(res, error);
+    }
+  }
+);
+
+router.post(
+  "/:requestId/reject",
+  requireAuth,
+  requireRoles(...EXCUSE_REVIEWER_ROLES),
+  async (req, res) => {
+    try {
+      const request = await loadReviewableRequest(req);
+      const note = readReviewNote(req.body, { required: true });
+      const actor = buildActor(req.authUser);
+
+      const rejected = await ExcuseRequest.findOneAndUpdate(
+        { _id: request._id, status: "pending" },
+        {
+          $set: {
+            status: "rejected",
+            reviewedBy: actor.userId,
+            reviewedByName: actor.name || null,
+            reviewedByRole: actor.role || null,
+            reviewedAt: new Date(),
+            reviewNote: note,
+          },
+        },
+        { new: true }
+      ).lean();
+      if (!rejected) {
+        throw createRouteError(`Excuse request is already ${request.status}`, 409);
+      }
+      await recordExcuseAudit(req, "excuse_request.reject", request, rejected);
+
+      return res.json({
+        status: "success",
+        message: "Excuse request rejected",
+        data: mapExcuseRequest(rejected),
+      });
+    } catch (error) {
+      return sendRouteError(res, error);
+    }
+  }
+);
+
+module.exports = router;
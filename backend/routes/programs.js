@@ -0,0 +1,382 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Program = require("../models/Program");
+const ProgramVersion = require("../models/ProgramVersion");
+const Course = require("../models/Course");
+const CatalogCourse = require("../models/CatalogCourse");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const {
+  resolveInstitutionIdForRequest,
+  toInstitutionObjectId,
+} = require("../middleware/institution");
+const {
+  PROGRAM_CODE_PATTERN,
+  normalizeProgramCode,
+  mapProgram,
+  mapProgramVersion,
+} = require("../program-catalog");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const PROGRAM_READER_ROLES = ["superadmin", "admin", "institution_admin", "institution_user"];
+const PROGRAM_EDITOR_ROLES = ["superadmin", "admin", "institution_admin"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CURRICULUM_COURSES = 300;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  if (error?.code === 11000) {
+    return res.status(409).json({
+      status: "error",
+      message: "A program or version with this code already exists",
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isTruthyFlag(value) {
+  const normalized = String(value ?? "").trim().toLowerCase();
+  return normalized === "true" || normalized === "1" || normalized === "yes";
+}
+
+function canUseAllInstitutionsScope(req) {
+  const role = req?.authUser?.role;
+  if (role !== "superadmin" && role !== "admin") return false;
+  return isTruthyFlag(req?.query?.includeAll);
+}
+
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function readCode(value, label) {
+  const code = normalizeProgramCode(value);
+  if (!PROGRAM_CODE_PATTERN.test(code)) {
+    throw createRouteError(`${label} must be 1-40 letters, digits, '.', '_' or '-'`, 400);
+  }
+  return code;
+}
+
+// Validates a create/update body; omitted fields keep the existing values.
+function readProgramInput(body, existing = null) {
+  const source = body && typeof body === "object" ? body : {};
+  const name = String(source.name ?? existing?.name ?? "").trim().replace(/\s+/g, " ");
+  const description = String(source.description ?? existing?.description ?? "").trim();
+  if (!name || name.length > 160) {
+    throw createRouteError("name is required (max 160 characters)", 400);
+  }
+  if (description.length > 1000) {
+    throw createRouteError("description must be at most 1000 characters", 400);
+  }
+  return {
+    code: readCode(source.code ?? existing?.code, "code"),
+    name,
+    description,
+    isActive: source.isActive !== undefined ? source.isActive !== false : existing?.isActive !== false,
+  };
+}
+
+// Curriculum accepts a list or a comma/whitespace separated string of course
+// codes.
+function readCurriculum(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(/[\s,;]+/);
+  const codes = [...new Set(entries.map((entry) => String(entry || "").trim().toUpperCase()).filter(Boolean))];
+  if (codes.length > MAX_CURRICULUM_COURSES) {
+    throw createRouteError(`A curriculum can list at most ${MAX_CURRICULUM_COURSES} courses`, 400);
+  }
+  const invalid = codes.find((code) => code.length > 40);
+  if (invalid) {
+    throw createRouteError(`Curriculum course code is too long: ${invalid.slice(0, 40)}...`, 400);
+  }
+  return codes;
+}
+
+function readVersionInput(body, existing = null) {
+  const source = body && typeof body === "object" ? body : {};
+  const name = String(source.name ?? existing?.name ?? "").trim().replace(/\s+/g, " ");
+  const effectiveFrom = String(source.effectiveFrom ?? existing?.effectiveFrom ?? "").trim() || null;
+  const effectiveTo = String(source.effectiveTo ?? existing?.effectiveTo ?? "").trim() || null;
+  if (name.length > 160) {
+    throw createRouteError("name must be at most 160 characters", 400);
+  }
+  if ((effectiveFrom && !isCalendarDate(effectiveFrom)) || (effectiveTo && !isCalendarDate(effectiveTo))) {
+    throw createRouteError("effectiveFrom and effectiveTo must use YYYY-MM-DD", 400);
+  }
+  if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+    throw createRouteError("effectiveTo must be on or after effectiveFrom", 400);
+  }
+  return {
+    code: readCode(source.code ?? existing?.code, "Version code"),
+    name,
+    effectiveFrom,
+    effectiveTo,
+    curriculum: readCurriculum(source.curriculum !== undefined ? source.curriculum : existing?.curriculum || []),
+    isActive: source.isActive !== undefined ? source.isActive !== false : existing?.isActive !== false,
+  };
+}
+
+async function loadProgram(req, institutionId) {
+  const programId = String(req.params.programId || "").trim();
+  const program = mongoose.Types.ObjectId.isValid(programId)
+    ? await Program.findOne({ _id: programId, institutionId })
+    : null;
+  if (!program) {
+    throw createRouteError("Program not found", 404);
+  }
+  return program;
+}
+
+async function loadVersion(req, program) {
+  const versionId = String(req.params.versionId || "").trim();
+  const version = mongoose.Types.ObjectId.isValid(versionId)
+    ? await ProgramVersion.findOne({ _id: versionId, programId: program._id })
+    : null;
+  if (!version) {
+    throw createRouteError("Program version not found", 404);
+  }
+  return version;
+}
+
+// Course count and offered course codes per version.
+async function loadCourseRollups(match) {
+  const rows = await Course.aggregate([
+    { $match: { ...match, programVersionId: { $ne: null } } },
+    {
+      $group: {
+        _id: "$programVersionId",
+        totalCourses: { $sum: 1 },
+        courseCodes: { $addToSet: "$code" },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row]));
+}
+
+async function mapProgramWithVersions(program) {
+  const versions = await ProgramVersion.find({ programId: program._id }).sort({ code: 1 }).lean();
+  const rollups = await loadCourseRollups({ institutionId: program.institutionId, programId: program._id });
+  return mapProgram(program, versions.map((version) => mapProgramVersion(version, rollups.get(String(version._id)))));
+}
+
+function recordProgramAudit(req, action, program, { before = null, after = null, label = null } = {}) {
+  return recordAudit(req, {
+    action,
+    entityType: "program",
+    entityId: program._id,
+    entityLabel: label || `${program.code} ${program.name}`,
+    institutionId: program.institutionId,
+    before,
+    after,
+  });
+}
+
+// Programs with their versions and how many courses use each. `active=true`
+// lists only active programs and versions and counts only active courses.
+router.get("/", requireAuth, requireRoles(...PROGRAM_READER_ROLES), async (req, res) => {
+  try {
+    const useAllInstitutions = canUseAllInstitutionsScope(req);
+    const activeParam = String(req.query.active || "").toLowerCase();
+    const match = {};
+    if (!useAllInstitutions) {
+      match.institutionId = toInstitutionObjectId(resolveInstitutionIdForRequest(req));
+    }
+    const courseMatch = { ...match };
+    if (activeParam === "true") {
+      match.isActive = true;
+      courseMatch.isActive = true;
+    }
+    if (activeParam === "false") match.isActive = false;
+
+    const programs = await Program.find(match).sort({ code: 1 }).lean();
+    const versions = await ProgramVersion.find({
+      programId: { $in: programs.map((program) => program._id) },
+      ...(activeParam === "true" ? { isActive: true } : {}),
+    })
+      .sort({ code: 1 })
+      .lean();
+    const rollups = await loadCourseRollups(courseMatch);
+
+    const versionsByProgram = new Map();
+    versions.forEach((version) => {
+      const key = String(version.programId);
+      if (!versionsByProgram.has(key)) versionsByProgram.set(key, []);
+      versionsByProgram.get(key).push(mapProgramVersion(version, rollups.get(String(version._id))));
+    });
+
+    return res.json({
+      status: "success",
+      data: programs.map((program) => mapProgram(program, versionsByProgram.get(String(program._id)) || [])),
+      scope: {
+        includeAllInstitutions: useAllInstitutions,
+      },
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const input = readProgramInput(req.body);
+    const program = await Program.create({ institutionId, ...input, createdBy: req.authUser._id });
+    await recordProgramAudit(req, "program.create", program, { after: program });
+    return res.status(201).json({
+      status: "success",
+      message: "Program created",
+      data: mapProgram(program),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// A new code is copied to the catalog courses and sections of the program.
+router.put("/:programId", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const program = await loadProgram(req, institutionId);
+    const before = toAuditSnapshot(program);
+    const previousCode = program.code;
+    program.set(readProgramInput(req.body, program.toObject()));
+    await program.save();
+    if (program.code !== previousCode) {
+      await Promise.all([
+        CatalogCourse.updateMany({ institutionId, programId: program._id }, { $set: { program: program.code } }),
+        Course.updateMany({ institutionId, programId: program._id }, { $set: { program: program.code } }),
+      ]);
+    }
+    await recordProgramAudit(req, "program.update", program, { before, after: program });
+    return res.json({
+      status: "success",
+      message: "Program updated",
+      data: await mapProgramWithVersions(program),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Programs that courses still point at cannot be removed; deleting one
+// removes its versions.
+router.delete("/:programId", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const program = await loadProgram(req, institutionId);
+    const usedBy = await CatalogCourse.countDocuments({ institutionId, programId: program._id })
+      || await Course.countDocuments({ institutionId, programId: program._id });
+    if (usedBy) {
+      throw createRouteError(`Program is used by ${usedBy} course(s); deactivate it instead`, 409);
+    }
+
+    await ProgramVersion.deleteMany({ programId: program._id });
+    await Program.deleteOne({ _id: program._id });
+    await recordProgramAudit(req, "program.delete", program, { before: toAuditSnapshot(program) });
+    return res.json({
+      status: "success",
+      message: "Program deleted",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/:programId/versions", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const program = await loadProgram(req, institutionId);
+    const input = readVersionInput(req.body);
+    const version = await ProgramVersion.create({
+      institutionId,
+      programId: program._id,
+      ...input,
+      createdBy: req.authUser._id,
+    });
+    await recordProgramAudit(req, "program.version_create", program, {
+      after: version,
+      label: `${program.code} ${version.code}`,
+    });
+    return res.status(201).json({
+      status: "success",
+      message: "Program version created",
+      data: mapProgramVersion(version),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// A new code is copied to the catalog courses and sections of the version.
+router.put("/:programId/versions/:versionId", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const program = await loadProgram(req, institutionId);
+    const version = await loadVersion(req, program);
+    const before = toAuditSnapshot(version);
+    const previousCode = version.code;
+    version.set(readVersionInput(req.body, version.toObject()));
+    await version.save();
+    if (version.code !== previousCode) {
+      await Promise.all([
+        CatalogCourse.updateMany({ institutionId, programVersionId: version._id }, { $set: { programVersion: version.code } }),
+        Course.updateMany({ institutionId, programVersionId: version._id }, { $set: { programVersion: version.code } }),
+      ]);
+    }
+    await recordProgramAudit(req, "program.version_update", program, {
+      before,
+      after: version,
+      label: `${program.code} ${version.code}`,
+    });
+    const rollups = await loadCourseRollups({ institutionId: program.institutionId, programVersionId: version._id });
+    return res.json({
+      status: "success",
+      message: "Program version updated",
+      data: mapProgramVersion(version, rollups.get(String(version._id))),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.delete("/:programId/versions/:versionId", requireAuth, requireRoles(...PROGRAM_EDITOR_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const program = await loadProgram(req, institutionId);
+    const version = await loadVersion(req, program);
+    const usedBy = await CatalogCourse.countDocuments({ institutionId, programVersionId: version._id })
+      || await Course.countDocuments({ institutionId, programVersionId: version._id });
+    if (usedBy) {
+      throw createRouteError(`Version is used by ${usedBy} course(s); deactivate it instead`, 409);
+    }
+
+    await ProgramVersion.deleteOne({ _id: version._id });
+    await recordProgramAudit(req, "program.version_delete", program, {
+      before: toAuditSnapshot(version),
+      label: `${program.code} ${version.code}`,
+    });
+    return res.json({
+      status: "success",
+      message: "Program version deleted",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const CourseEnrollment = require("../models/CourseEnrollment");
+const CampusLocation = require("../models/CampusLocation");
+const TeacherCourseAssignment = require("../models/TeacherCourseAssignment");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { requireStudentAuth } = require("../middleware/studentAuth");
+const { resolveStudentInstitutionFilter } = require("../student-auth");
+const {
+  TIME_PATTERN,
+  toMinutes,
+  getBlocksOnDate,
+  findCancelledOccurrence,
+  getCourseOccurrences,
+} = require("../course-schedule");
+const { getZonedParts, getInstitutionTimeZone } = require("../institution-time");
+const { addDays } = require("../academic-calendar");
+const { recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const EXCEPTION_MANAGER_ROLES = ["teacher", "superadmin", "admin", "institution_admin"];
+const EXCEPTION_KINDS = ["cancel", "reschedule", "makeup"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REASON_MAX_LENGTH = 300;
+const MAX_COURSE_EXCEPTIONS = 400;
+const DEFAULT_STUDENT_DAYS = 14;
+const MAX_STUDENT_DAYS = 90;
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// The date the exception changes: the dropped class for a cancellation, the
+// new class otherwise.
+function getEffectiveDate(exception) {
+  return exception.kind === "cancel" ? exception.originalDate : exception.date;
+}
+
+// The weekly block a cancel/reschedule took off originalDate. Exceptions
+// saved before originalStartTime existed refer to the day's first block.
+function findOriginalBlock(course, exception) {
+  if (!exception.originalDate) return null;
+  const blocks = getBlocksOnDate(course, exception.originalDate);
+  return blocks.find((block) => block.startTime === exception.originalStartTime) || blocks[0] || null;
+}
+
+function mapScheduleException(course, exception, locationsById = new Map()) {
+  const location = exception.locationId ? locationsById.get(String(exception.locationId)) : null;
+  const originalBlock = findOriginalBlock(course, exception);
+  return {
+    id: String(exception._id),
+    courseId: String(course._id),
+    courseCode: course.code,
+    courseName: course.name,
+    section: course.section,
+    kind: exception.kind,
+    originalDate: exception.originalDate || null,
+    originalStartTime: exception.originalStartTime || originalBlock?.startTime || null,
+    originalEndTime: originalBlock?.endTime || null,
+    date: exception.date || null,
+    startTime: exception.startTime || null,
+    endTime: exception.endTime || null,
+    locationId: exception.locationId ? String(exception.locationId) : null,
+    locationName: location?.name || null,
+    reason: exception.reason || "",
+    createdByName: exception.createdByName || null,
+    createdAt: exception.createdAt ? new Date(exception.createdAt).getTime() : null,
+  };
+}
+
+async function loadLocationsById(exceptions) {
+  const ids = [...new Set(exceptions.filter((entry) => entry.locationId).map((entry) => String(entry.locationId)))];
+  if (!ids.length) return new Map();
+  const locations = await CampusLocation.find({ _id: { $in: ids } }).select("name").lean();
+  return new Map(locations.map((location) => [String(location._id), location]));
+}
+
+// The course, checked against the teacher's assignments for teachers.
+async function loadManagedCourse(req, courseId) {
+  const institutionId = resolveInstitutionIdForRequest(req);
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw createRouteError("A valid courseId is required", 400);
+  }
+  const course = await Course.findOne({ _id: courseId, institutionId });
+  if (!course) {
+    throw createRouteError("Course not found", 404);
+  }
+
+  if (req.authUser.role === "teacher") {
+    const assignment = await TeacherCourseAssignment.findOne({
+      institutionId,
+      teacherId: req.authUser._id,
+      courseId: course._id,
+      isActive: true,
+    }).select("_id");
+    if (!assignment) {
+      throw createRouteError("Course not assigned to this teacher", 403);
+    }
+  }
+  return course;
+}
+
+// Validates a new exception against the course's timetable and existing
+// exceptions. Only today's or later classes can be changed.
+async function readExceptionInput(body, course, today) {
+  const source = body && typeof body === "object" ? body : {};
+  const kind = String(source.kind || "").trim().toLowerCase();
+  const reason = String(source.reason || "").trim();
+  if (!EXCEPTION_KINDS.includes(kind)) {
+    throw createRouteError(`kind must be one of: ${EXCEPTION_KINDS.join(", ")}`, 400);
+  }
+  if (!reason || reason.length > REASON_MAX_LENGTH) {
+    throw createRouteError(`reason is required (max ${REASON_MAX_LENGTH} characters)`, 400);
+  }
+
+  const exception = {
+    kind,
+    reason,
+    originalDate: null,
+    originalStartTime: null,
+    date: null,
+    startTime: null,
+    endTime: null,
+    locationId: null,
+  };
+  if (kind !== "makeup") {
+    const originalDate = String(source.originalDate || "").trim();
+    const originalStartTime = String(source.originalStartTime || "").trim();
+    if (!isCalendarDate(originalDate)) {
+      throw createRouteError("originalDate must use YYYY-MM-DD", 400);
+    }
+    if (originalDate < today) {
+      throw createRouteError("Past classes cannot be changed", 400);
+    }
+    const blocks = getBlocksOnDate(course, originalDate);
+    if (!blocks.length) {
+      throw createRouteError(`${course.code} has no scheduled class on ${originalDate}`, 400);
+    }
+    // Days with several blocks need originalStartTime to pick one.
+    const block = originalStartTime
+      ? blocks.find((entry) => entry.startTime === originalStartTime)
+      : blocks.length === 1 ? blocks[0] : null;
+    if (!block) {
+      const times = blocks.map((entry) => entry.startTime).join(", ");
+      throw createRouteError(`originalStartTime must be one of the ${originalDate} classes: ${times}`, 400);
+    }
+    if (findCancelledOccurrence(course, originalDate, block.startTime)) {
+      throw createRouteError(`The ${originalDate} ${block.startTime} class was already cancelled or moved`, 409);
+    }
+    exception.originalDate = originalDate;
+    exception.originalStartTime = block.startTime;
+  }
+
+  if (kind !== "cancel") {
+    const date = String(source.date || "").trim();
+    const startTime = String(source.startTime || "").trim();
+    const endTime = String(source.endTime || "").trim();
+    if (!isCalendarDate(date)) {
+      throw createRouteError("date must use YYYY-MM-DD", 400);
+    }
+    if (date < today) {
+      throw createRouteError("Classes cannot be moved to or added on a past date", 400);
+    }
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) || startTime >= endTime) {
+      throw createRouteError("startTime and endTime must use HH:mm with startTime before endTime", 400);
+    }
+
+    const locationId = String(source.locationId || "").trim();
+    if (locationId) {
+      const location = mongoose.Types.ObjectId.isValid(locationId)
+        ? await CampusLocation.exists({ _id: locationId, institutionId: course.institutionId })
+        : null;
+      if (!location) {
+        throw createRouteError("locationId references an unknown campus location", 400);
+      }
+      exception.locationId = location._id;
+    }
+    Object.assign(exception, { date, startTime, endTime });
+
+    const withException = {
+      scheduleBlocks: course.scheduleBlocks,
+      daysOfWeek: course.daysOfWeek,
+      startTime: course.startTime,
+      endTime: course.endTime,
+      scheduleExceptions: [...course.scheduleExceptions, exception],
+    };
+    const occurrences = getCourseOccurrences(withException, date);
+    const overlaps = occurrences.some((entry, index) =>
+      index > 0 && toMinutes(entry.startTime) < toMinutes(occurrences[index - 1].endTime)
+    );
+    if (overlaps) {
+      throw createRouteError(`${course.code} already has a class at that time on ${date}`, 409);
+    }
+  }
+  return exception;
+}
+
+function recordExceptionAudit(req, action, course, exception) {
+  return recordAudit(req, {
+    action,
+    entityType: "course",
+    entityId: course._id,
+    entityLabel: `${course.code}-${course.section} ${course.name}`,
+    institutionId: course.institutionId,
+    details: {
+      kind: exception.kind,
+      originalDate: exception.originalDate || null,
+      originalStartTime: exception.originalStartTime || null,
+      date: exception.date || null,
+      startTime: exception.startTime || null,
+      endTime: exception.endTime || null,
+      reason: exception.reason || "",
+    },
+  });
+}
+
+// The signed-in student's upcoming timetable changes: exceptions of their
+// enrolled courses from today to `days` ahead (default 14), soonest first.
+router.get("/mine", requireStudentAuth, async (req, res) => {
+  try {
+    const days = Math.min(MAX_STUDENT_DAYS, Math.max(1, Number.parseInt(req.query.days, 10) || DEFAULT_STUDENT_DAYS));
+    const enrollments = await CourseEnrollment.find({
+      email: req.studentAuth.email,
+      institutionId: resolveStudentInstitutionFilter(req.studentAuth, req.query.institutionId),
+      isActive: true,
+    }).select("courseId").lean();
+    const courses = await Course.find({
+      _id: { $in: enrollments.map((enrollment) => enrollment.courseId) },
+      isActive: true,
+      "scheduleExceptions.0": { $exists: true },
+    }).select("institutionId code name section scheduleBlocks daysOfWeek startTime endTime scheduleExceptions").lean();
+
+    const todayByInstitution = new Map();
+    const rows = [];
+    for (const course of courses) {
+      const institutionKey = String(course.institutionId);
+      if (!todayByInstitution.has(institutionKey)) {
+        const timeZone = await getInstitutionTimeZone(course.institutionId);
+        todayByInstitution.set(institutionKey, getZonedParts(new Date(), timeZone).date);
+      }
+      const today = todayByInstitution.get(institutionKey);
+      const until = addDays(today, days);
+      course.scheduleExceptions.forEach((exception) => {
+        const dates = [exception.originalDate, exception.date].filter(Boolean);
+        if (dates.some((date) => date >= today && date <= until)) {
+          rows.push({ course, exception });
+        }
+      });
+    }
+
+    const locationsById = await loadLocationsById(rows.map((row) => row.exception));
+    const data = rows
+      .map(({ course, exception }) => mapScheduleException(course, exception, locationsById))
+      .sort((left, right) => (left.originalDate || left.date).localeCompare(right.originalDate || right.date));
+    return res.json({
+      status: "success",
+      data,
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// A course's exceptions by the date they change. `upcoming=true` hides the
+// ones before today.
+router.get("/", requireAuth, requireRoles(...EXCEPTION_MANAGER_ROLES), async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, String(req.query.courseId || "").trim());
+    let exceptions = course.scheduleExceptions;
+    if (String(req.query.upcoming || "").trim().toLowerCase() === "true") {
+      const today = getZonedParts(new Date(), await getInstitutionTimeZone(course.institutionId)).date;
+      exceptions = exceptions.filter((exception) => getEffectiveDate(exception) >= today);
+    }
+
+    const locationsById = await loadLocationsById(exceptions);
+    return res.json({
+      status: "success",
+      data: exceptions
+        .map((exception) => mapScheduleException(course, exception, locationsById))
+        .sort((left, right) => getEffectiveDate(left).localeCompare(getEffectiveDate(right))),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// { courseId, kind, reason } plus originalDate (and originalStartTime when
+// the course meets more than once that day) for cancel/reschedule and
+// date, startTime, endTime and optional locationId (room) for
+// reschedule/makeup.
+router.post("/", requireAuth, requireRoles(...EXCEPTION_MANAGER_ROLES), async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, String(req.body?.courseId || "").trim());
+    if (course.scheduleExceptions.length >= MAX_COURSE_EXCEPTIONS) {
+      throw createRouteError(`A course can have at most ${MAX_COURSE_EXCEPTIONS} schedule exceptions`, 400);
+    }
+    const today = getZonedParts(new Date(), await getInstitutionTimeZone(course.institutionId)).date;
+    const input = await readExceptionInput(req.body, course, today);
+
+    course.scheduleExceptions.push({
+      ...input,
+      createdBy: req.authUser._id,
+      createdByName: req.authUser.name || null,
+      createdAt: new Date(),
+    });
+    await course.save();
+    const exception = course.scheduleExceptions[course.scheduleExceptions.length - 1];
+    await recordExceptionAudit(req, `course.schedule_exception_${exception.kind}`, course, exception);
+
+    const locationsById = await loadLocationsById([exception]);
+    return res.status(201).json({
+      status: "success",
+      message: "Schedule updated",
+      data: mapScheduleException(course, exception, locationsById),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Undo an exception; the class it changed goes back to the weekly timetable.
+router.delete("/:exceptionId", requireAuth, requireRoles(...EXCEPTION_MANAGER_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const exceptionId = String(req.params.exceptionId || "").trim();
+    if (!mongoose.Types.ObjectId.isValid(exceptionId)) {
+      throw createRouteError("Schedule exception not found", 404);
+    }
+    const owner = await Course.findOne({ institutionId, "scheduleExceptions._id": exceptionId }).select("_id").lean();
+    if (!owner) {
+      throw createRouteError("Schedule exception not found", 404);
+    }
+
+    const course = await loadManagedCourse(req, String(owner._id));
+    const exception = course.scheduleExceptions.id(exceptionId);
+    const today = getZonedParts(new Date(), await getInstitutionTimeZone(course.institutionId)).date;
+    if (getEffectiveDate(exception) < today) {
+      throw createRouteError("Past schedule exceptions cannot be removed", 400);
+    }
+
+    exception.deleteOne();
+    await course.save();
+    await recordExceptionAudit(req, "course.schedule_exception_remove", course, exception);
+    return res.json({
+      status: "success",
+      message: "Schedule exception removed",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { requireStudentAuth } = require("../middleware/studentAuth");
+const { requestLoginCode, signInWithLoginCode, signInWithLoginLink } = require("../student-auth");
+
+const router = express.Router();
+
+// Codes are mailed, so requests are throttled harder than verifications.
+const studentCodeRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.STUDENT_CODE_REQUEST_LIMIT || 10),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many sign-in requests. Please try again later.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const studentVerifyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.STUDENT_VERIFY_RATE_LIMIT_PER_MINUTE || 20),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many sign-in attempts. Please wait a minute.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+// The response is the same whether or not the email is on a roster.
+router.post("/request-code", studentCodeRequestLimiter, async (req, res) => {
+  try {
+    await requestLoginCode(req.body?.email, req);
+    return res.json({
+      status: "success",
+      message: "If this email is enrolled in a course, a sign-in code is on its way.",
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/verify-code", studentVerifyLimiter, async (req, res) => {
+  try {
+    const result = await signInWithLoginCode(req.body?.email, req.body?.code);
+    return res.json({ status: "success", ...result });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/verify-link", studentVerifyLimiter, async (req, res) => {
+  try {
+    const result = await signInWithLoginLink(req.body?.token);
+    return res.json({ status: "success", ...result });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.get("/me", requireStudentAuth, (req, res) => {
+  const { email, name, institutionIds } = req.studentAuth;
+  return res.json({
+    status: "success",
+    data: { email, name, institutionIds },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const rateLimit = require("express-rate-limit");
+const StudentDevice = require("../models/StudentDevice");
+const { requireAuth, requireRoles } = require("../middleware/auth");
+const { resolveInstitutionIdForRequest } = require("../middleware/institution");
+const { requireStudentAuth } = require("../middleware/studentAuth");
+const { resolveStudentInstitutionFilter } = require("../student-auth");
+const {
+  STUDENT_MAX_DEVICES,
+  mapStudentDevice,
+  registerStudentDevice,
+  approveStudentDevice,
+  revokeStudentDevice,
+  resetStudentDevices,
+} = require("../student-devices");
+const { toAuditSnapshot, recordAudit } = require("../audit-log");
+
+const router = express.Router();
+const DEVICE_ADMIN_ROLES = ["superadmin", "admin", "institution_admin"];
+const DEVICE_STATUSES = ["active", "pending", "revoked"];
+const NOTE_MAX_LENGTH = 500;
+const MAX_LIST_LIMIT = 200;
+
+// Device decisions change who can scan, so they are audited.
+function recordDeviceAudit(req, action, device, before) {
+  return recordAudit(req, {
+    action,
+    entityType: "student_device",
+    entityId: device._id,
+    entityLabel: `${device.email} ${device.label || ""}`.trim(),
+    institutionId: device.institutionId,
+    before,
+    after: device,
+  });
+}
+
+async function loadDeviceSnapshot(deviceId, institutionId) {
+  const device = await StudentDevice.findOne({ _id: deviceId, institutionId }).lean();
+  return device ? toAuditSnapshot(device) : null;
+}
+
+const deviceRegisterLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many device registrations. Please try again later.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function sendRouteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+function createRouteError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function buildActor(authUser) {
+  return {
+    userId: authUser._id,
+    name: authUser.name,
+    role: authUser.role,
+  };
+}
+
+function readNote(body) {
+  const note = String(body?.note || "").trim();
+  if (note.length > NOTE_MAX_LENGTH) {
+    throw createRouteError(`note must be at most ${NOTE_MAX_LENGTH} characters`, 400);
+  }
+  return note;
+}
+
+function readDeviceId(req) {
+  const deviceId = String(req.params.deviceId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+    throw createRouteError("Device not found", 404);
+  }
+  return deviceId;
+}
+
+// Student: registers this browser ({ institutionId, label? }) and returns its
+// credential, which the browser keeps and sends with every scan. Active
+// unless the student already has the maximum number of devices.
+router.post("/register", requireStudentAuth, deviceRegisterLimiter, async (req, res) => {
+  try {
+    const { device, credential } = await registerStudentDevice(
+      req.studentAuth,
+      req.body?.institutionId,
+      req,
+      { label: req.body?.label }
+    );
+    return res.status(201).json({
+      status: "success",
+      message: device.status === "active"
+        ? "This device is now registered"
+        : `You already have ${STUDENT_MAX_DEVICES} registered device(s). This one will work once an administrator approves it.`,
+      credential,
+      data: mapStudentDevice(device),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Student: their own devices.
+router.get("/mine", requireStudentAuth, async (req, res) => {
+  try {
+    const devices = await StudentDevice.find({
+      email: req.studentAuth.email,
+      institutionId: resolveStudentInstitutionFilter(req.studentAuth, req.query.institutionId),
+    })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+    return res.json({
+      status: "success",
+      data: devices.map(mapStudentDevice),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Admin list. `status` defaults to all; `email` narrows to one student.
+router.get("/", requireAuth, requireRoles(...DEVICE_ADMIN_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const status = String(req.query.status || "all").trim().toLowerCase();
+    const email = String(req.query.email || "").trim().toLowerCase();
+    const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || 100));
+
+    if (status !== "all" && !DEVICE_STATUSES.includes(status)) {
+      throw createRouteError(`status must be all or one of: ${DEVICE_STATUSES.join(", ")}`, 400);
+    }
+
+    const filter = { institutionId };
+    if (status !== "all") filter.status = status;
+    if (email) filter.email = email;
+
+    const devices = await StudentDevice.find(filter).sort({ updatedAt: -1 }).limit(limit).lean();
+    return res.json({
+      status: "success",
+      data: devices.map(mapStudentDevice),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/:deviceId/approve", requireAuth, requireRoles(...DEVICE_ADMIN_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const deviceId = readDeviceId(req);
+    const before = await loadDeviceSnapshot(deviceId, institutionId);
+    const device = await approveStudentDevice(deviceId, institutionId, buildActor(req.authUser));
+    await recordDeviceAudit(req, "student_device.approve", device, before);
+    return res.json({
+      status: "success",
+      message: "Device approved",
+      data: mapStudentDevice(device),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+router.post("/:deviceId/revoke", requireAuth, requireRoles(...DEVICE_ADMIN_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const deviceId = readDeviceId(req);
+    const before = await loadDeviceSnapshot(deviceId, institutionId);
+    const device = await revokeStudentDevice(
+      deviceId,
+      institutionId,
+      buildActor(req.authUser),
+      readNote(req.body)
+    );
+    await recordDeviceAudit(req, "student_device.revoke", device, before);
+    return res.json({
+      status: "success",
+      message: "Device revoked",
+      data: mapStudentDevice(device),
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+// Revokes all of a student's devices ({ email, note? }); their next device
+// registers without approval.
+router.post("/reset", requireAuth, requireRoles(...DEVICE_ADMIN_ROLES), async (req, res) => {
+  try {
+    const institutionId = resolveInstitutionIdForRequest(req);
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    if (!email) {
+      throw createRouteError("email is required", 400);
+    }
+    const devices = await StudentDevice.find({ institutionId, email, status: { $ne: "revoked" } }).lean();
+    const revokedCount = await resetStudentDevices(email, institutionId, buildActor(req.authUser), readNote(req.body));
+    const revoked = await StudentDevice.find({ _id: { $in: devices.map((device) => device._id) } }).lean();
+    const beforeById = new Map(devices.map((device) => [String(device._id), toAuditSnapshot(device)]));
+    for (const device of revoked) {
+      await recordDeviceAudit(req, "student_device.reset", device, beforeById.get(String(device._id)));
+    }
+    return res.json({
+      status: "success",
+      message: `${revokedCount} device(s) revoked for ${email}`,
+      data: { revokedCount },
+    });
+  } catch (error) {
+    return sendRouteError(res, error);
+  }
+});
+
+module.exports = router;
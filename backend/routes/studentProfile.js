@@ -2,71 +2,58 @@ const express = require('express');
 const router = express.Router();
 const StudentProfile = require('../models/StudentProfile');
 const User = require('../models/User');
-
-function normalizeEmail(value) {
-  return String(value || '').trim().toLowerCase();
-}
+const { requireStudentAuth } = require('../middleware/studentAuth');
+const { resolveStudentInstitutionFilter } = require('../student-auth');
 
 function escapeRegex(value) {
   return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-router.get('/profile', async (req, res) => {
+// The signed-in student's own profile; rollNo/email query parameters are
+// ignored in favour of the token's identity.
+router.get('/profile', requireStudentAuth, async (req, res) => {
   try {
-    const rollNo = String(req.query.rollNo || '').trim();
-    const email = normalizeEmail(req.query.email);
-    const institutionId = String(req.query.institutionId || '').trim();
-
-    if (!rollNo && !email) {
-      return res.status(400).json({ error: 'rollNo or email is required' });
-    }
-
-    const studentFilter = {};
-    if (institutionId) studentFilter.institutionId = institutionId;
+    const { email, universityRollNos } = req.studentAuth;
+    const institutionFilter = resolveStudentInstitutionFilter(req.studentAuth, req.query.institutionId);
 
-    if (email) {
-      studentFilter.$or = [
+    const studentFilter = {
+      institutionId: institutionFilter,
+      $or: [
         { universityRollNo: email },
         { universityRollNo: email.toUpperCase() },
+        { universityRollNo: { $in: universityRollNos } },
         { 'personalInfo.email': new RegExp(`^${escapeRegex(email)}$`, 'i') },
-      ];
-    } else {
-      studentFilter.universityRollNo = rollNo;
-    }
+      ],
+    };
 
     const student = await StudentProfile.findOne(studentFilter);
     if (student) {
       return res.json({ data: student });
     }
 
-    const userFilter = {};
-    if (institutionId) userFilter.institutionId = institutionId;
-
-    if (email) {
-      userFilter.$or = [
+    const userFilter = {
+      institutionId: institutionFilter,
+      $or: [
         { email },
         { universityRollNo: email },
-        { universityRollNo: email.toUpperCase() },
-      ];
-    } else {
-      userFilter.universityRollNo = rollNo;
-    }
+        { universityRollNo: { $in: universityRollNos } },
+      ],
+    };
 
-    const user = await User.findOne(userFilter);
-    if (!user) {
-      return res.status(404).json({ error: 'Student not found' });
-    }
+    // Enrolled students without a profile or scan yet still get a minimal one.
+    const user = (await User.findOne(userFilter)) || {};
+    const universityRollNo = user.universityRollNo || universityRollNos[0] || '';
 
     return res.json({
       data: {
-        institutionId: user.institutionId,
-        universityRollNo: user.universityRollNo,
+        institutionId: user.institutionId || req.studentAuth.institutionIds[0],
+        universityRollNo,
         personalInfo: {
-          fullName: user.name || '',
-          email: user.email || email || user.universityRollNo || '',
+          fullName: user.name || req.studentAuth.name || '',
+          email,
         },
         academicInfo: {
-          universityRollNo: user.universityRollNo || '',
+          universityRollNo,
           section: user.section || 'N/A',
           classRollNo: user.classRollNo || 'N/A',
           attendancePercentage: 0,
@@ -76,7 +63,7 @@ router.get('/profile', async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
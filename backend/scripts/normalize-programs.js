@@ -0,0 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const Institution = require("../models/Institution");
+const Course = require("../models/Course");
+const CatalogCourse = require("../models/CatalogCourse");
+const Program = require("../models/Program");
+const ProgramVersion = require("../models/ProgramVersion");
+
+// Courses used to name their program and version in free text, so spelling
+// and case variants ("Computer Science", "computer  science") showed up as
+// separate programs. This folds the variants together, creates a Program and
+// ProgramVersion for each remaining pair (curriculum = the course codes
+// found) and links every course to them, rewriting Course.program and
+// Course.programVersion to the codes.
+//
+// Variants that differ by more than case and spacing can be mapped with
+// MIGRATION_PROGRAM_ALIASES, a JSON file of { "Compter Science": "Computer
+// Science" }. Dry run by default; set MIGRATION_APPLY=true to write.
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+function cleanText(value) {
+  return String(value || "").trim().replace(/\s+/g, " ");
+}
+
+function loadAliases(filePath) {
+  if (!filePath) return new Map();
+  const raw = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+  return new Map(Object.entries(raw).map(([variant, canonical]) => [cleanText(variant).toLowerCase(), cleanText(canonical)]));
+}
+
+function buildConfig() {
+  return {
+    apply: envBool("MIGRATION_APPLY", false),
+    institutionId: String(process.env.MIGRATION_INSTITUTION_ID || "").trim(),
+    aliases: loadAliases(String(process.env.MIGRATION_PROGRAM_ALIASES || "").trim()),
+  };
+}
+
+// "Computer Science" -> "COMPUTER-SCIENCE"; short strings that already look
+// like codes ("CS") are kept.
+function deriveProgramCode(name, takenCodes) {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 36) || "PROGRAM";
+  let code = base;
+  for (let suffix = 2; takenCodes.has(code); suffix += 1) {
+    code = `${base}-${suffix}`;
+  }
+  takenCodes.add(code);
+  return code;
+}
+
+function deriveVersionCode(value) {
+  return cleanText(value).toUpperCase().replace(/[^A-Z0-9._-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "1";
+}
+
+// Groups the institution's courses by normalised program and version. The
+// most common spelling of a program becomes its name.
+function groupCourses(courses, aliases) {
+  const programs = new Map();
+  courses.forEach((course) => {
+    const rawName = cleanText(course.program) || "General";
+    const name = aliases.get(rawName.toLowerCase()) || rawName;
+    const key = name.toLowerCase();
+    if (!programs.has(key)) {
+      programs.set(key, { spellings: new Map(), versions: new Map() });
+    }
+    const entry = programs.get(key);
+    entry.spellings.set(name, (entry.spellings.get(name) || 0) + 1);
+
+    const versionCode = deriveVersionCode(course.programVersion);
+    if (!entry.versions.has(versionCode)) entry.versions.set(versionCode, []);
+    entry.versions.get(versionCode).push(course);
+  });
+
+  programs.forEach((entry) => {
+    entry.name = [...entry.spellings.entries()].sort((left, right) => right[1] - left[1])[0][0];
+  });
+  return programs;
+}
+
+async function findOrCreateProgram(institution, entry, takenCodes, config, summary) {
+  const existing = await Program.findOne({
+    institutionId: institution._id,
+    $or: [
+      { code: entry.name.toUpperCase() },
+      { name: new RegExp(`^${entry.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i") },
+    ],
+  }).lean();
+  if (existing) return existing;
+
+  const program = {
+    _id: new mongoose.Types.ObjectId(),
+    institutionId: institution._id,
+    code: deriveProgramCode(entry.name, takenCodes),
+    name: entry.name,
+  };
+  summary.programs += 1;
+  if (config.apply) {
+    await Program.create(program);
+  }
+  return program;
+}
+
+async function findOrCreateVersion(institution, program, versionCode, courses, config, summary) {
+  const curriculum = [...new Set(courses.map((course) => course.code))].sort();
+  const existing = await ProgramVersion.findOne({
+    institutionId: institution._id,
+    programId: program._id,
+    code: versionCode,
+  }).lean();
+  if (existing) {
+    const missing = curriculum.filter((code) => !(existing.curriculum || []).includes(code));
+    if (missing.length && config.apply) {
+      await ProgramVersion.updateOne({ _id: existing._id }, { $addToSet: { curriculum: { $each: missing } } });
+    }
+    return existing;
+  }
+
+  const version = {
+    _id: new mongoose.Types.ObjectId(),
+    institutionId: institution._id,
+    programId: program._id,
+    code: versionCode,
+    curriculum,
+  };
+  summary.versions += 1;
+  if (config.apply) {
+    await ProgramVersion.create(version);
+  }
+  return version;
+}
+
+async function normalizeInstitution(institution, config, summary) {
+  const courses = await Course.find({ institutionId: institution._id })
+    .select("catalogCourseId code program programVersion programId programVersionId")
+    .lean();
+  const existingPrograms = await Program.find({ institutionId: institution._id }).select("code").lean();
+  const takenCodes = new Set(existingPrograms.map((program) => program.code));
+
+  for (const entry of groupCourses(courses, config.aliases).values()) {
+    const program = await findOrCreateProgram(institution, entry, takenCodes, config, summary);
+    for (const [versionCode, versionCourses] of entry.versions) {
+      const version = await findOrCreateVersion(institution, program, versionCode, versionCourses, config, summary);
+      const stale = versionCourses.filter((course) =>
+        course.program !== program.code ||
+        course.programVersion !== version.code ||
+        String(course.programId) !== String(program._id) ||
+        String(course.programVersionId) !== String(version._id)
+      );
+      summary.courses += stale.length;
+      if (!stale.length || !config.apply) continue;
+
+      const programFields = {
+        program: program.code,
+        programVersion: version.code,
+        programId: program._id,
+        programVersionId: version._id,
+      };
+      await Course.updateMany({ _id: { $in: stale.map((course) => course._id) } }, { $set: programFields });
+      // Program is catalog data; a catalog course whose sections span several
+      // versions ends up with the last one.
+      await CatalogCourse.updateMany(
+        { _id: { $in: stale.map((course) => course.catalogCourseId).filter(Boolean) } },
+        { $set: programFields }
+      );
+    }
+  }
+}
+
+async function run() {
+  const config = buildConfig();
+  const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/attendance";
+
+  console.log(`Mode: ${config.apply ? "apply" : "dry run (set MIGRATION_APPLY=true to write)"}`);
+  console.log(`Connecting to MongoDB: ${mongoUri}`);
+  await mongoose.connect(mongoUri);
+  console.log("MongoDB connected");
+
+  const institutionFilter = config.institutionId ? { _id: config.institutionId } : {};
+  const institutions = await Institution.find(institutionFilter).select("code name").lean();
+
+  const summaries = [];
+  for (const institution of institutions) {
+    const summary = {
+      institution: institution.code || institution.name,
+      programs: 0,
+      versions: 0,
+      courses: 0,
+    };
+    await normalizeInstitution(institution, config, summary);
+    summaries.push(summary);
+    console.log(
+      `[${summary.institution}] programs=${summary.programs}, versions=${summary.versions}, courses=${summary.courses}`
+    );
+  }
+
+  console.log(config.apply ? "\nProgram normalisation completed" : "\nDry run completed (nothing written)");
+  console.table(summaries);
+
+  await mongoose.disconnect();
+  console.log("MongoDB disconnected");
+}
+
+run().catch(async (error) => {
+  console.error("Program normalisation failed:", error);
+  try {
+    await mongoose.disconnect();
+  } catch (disconnectError) {
+    console.error("Disconnect after failure failed:", disconnectError);
+  }
+  process.exit(1);
+});
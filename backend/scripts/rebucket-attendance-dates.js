@@ -0,0 +1,160 @@
+const path = require("path");
+const mongoose = require("mongoose");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const Institution = require("../models/Institution");
+const ClassMeeting = require("../models/ClassMeeting");
+const Attendance = require("../models/Attendance");
+const ExcuseRequest = require("../models/ExcuseRequest");
+const { normalizeTimeZone, getLocalDate } = require("../institution-time");
+
+// Attendance used to be filed under the UTC date of the scan, so evening
+// classes west of UTC landed on the next day. This moves every class meeting
+// (with its attendance rows and meeting-specific excuse requests) and every
+// legacy row without a meeting to the institution's calendar date.
+//
+// Dry run by default; set MIGRATION_APPLY=true to write.
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+function buildConfig() {
+  return {
+    apply: envBool("MIGRATION_APPLY", false),
+    institutionId: String(process.env.MIGRATION_INSTITUTION_ID || "").trim(),
+  };
+}
+
+// Backfilled meetings have a synthetic midnight startedAt, so their real time
+// is the first scan recorded in them.
+async function getMeetingInstant(meeting) {
+  if (meeting.source !== "backfill") return meeting.startedAt;
+  const firstScan = await Attendance.findOne({ meetingId: meeting._id, source: "scan" })
+    .sort({ createdAt: 1 })
+    .select("checkInAt createdAt")
+    .lean();
+  return firstScan ? firstScan.checkInAt || firstScan.createdAt : null;
+}
+
+async function findFreeSequence(meeting, date) {
+  const taken = await ClassMeeting.exists({
+    institutionId: meeting.institutionId,
+    courseId: meeting.courseId,
+    date,
+    sequence: meeting.sequence,
+  });
+  if (!taken) return meeting.sequence;
+
+  const last = await ClassMeeting.findOne({
+    institutionId: meeting.institutionId,
+    courseId: meeting.courseId,
+    date,
+  })
+    .sort({ sequence: -1 })
+    .select("sequence")
+    .lean();
+  return (last?.sequence || 0) + 1;
+}
+
+async function rebucketMeetings(institution, timeZone, config, summary) {
+  const cursor = ClassMeeting.find({ institutionId: institution._id })
+    .sort({ startedAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const meeting of cursor) {
+    const instant = await getMeetingInstant(meeting);
+    if (!instant) continue;
+    const date = getLocalDate(instant, timeZone);
+    if (date === meeting.date) continue;
+
+    summary.meetings += 1;
+    summary.attendances += await Attendance.countDocuments({ meetingId: meeting._id, date: { $ne: date } });
+    if (!config.apply) continue;
+
+    const sequence = await findFreeSequence(meeting, date);
+    if (sequence !== meeting.sequence) summary.resequenced += 1;
+    await ClassMeeting.updateOne({ _id: meeting._id }, { $set: { date, sequence } });
+    await Attendance.updateMany({ meetingId: meeting._id }, { $set: { date } });
+    const excuses = await ExcuseRequest.updateMany({ meetingId: meeting._id }, { $set: { date } });
+    summary.excuseRequests += excuses.modifiedCount || 0;
+  }
+}
+
+async function rebucketLegacyRows(institution, timeZone, config, summary) {
+  const cursor = Attendance.find({
+    institutionId: institution._id,
+    $or: [{ meetingId: { $exists: false } }, { meetingId: null }],
+  })
+    .select("date checkInAt createdAt")
+    .lean()
+    .cursor();
+
+  for await (const row of cursor) {
+    const instant = row.checkInAt || row.createdAt;
+    if (!instant) continue;
+    const date = getLocalDate(instant, timeZone);
+    if (date === row.date) continue;
+
+    summary.attendances += 1;
+    if (config.apply) {
+      await Attendance.updateOne({ _id: row._id }, { $set: { date } });
+    }
+  }
+}
+
+async function run() {
+  const config = buildConfig();
+  const mongoUri = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/attendance";
+
+  console.log(`Mode: ${config.apply ? "apply" : "dry run (set MIGRATION_APPLY=true to write)"}`);
+  console.log(`Connecting to MongoDB: ${mongoUri}`);
+  await mongoose.connect(mongoUri);
+  console.log("MongoDB connected");
+
+  const institutionFilter = config.institutionId ? { _id: config.institutionId } : {};
+  const institutions = await Institution.find(institutionFilter).select("code name timezone").lean();
+
+  const summaries = [];
+  for (const institution of institutions) {
+    const timeZone = normalizeTimeZone(institution.timezone);
+    const summary = {
+      institution: institution.code || institution.name,
+      timeZone,
+      meetings: 0,
+      resequenced: 0,
+      attendances: 0,
+      excuseRequests: 0,
+    };
+    if (timeZone !== institution.timezone) {
+      console.warn(`[${summary.institution}] timezone "${institution.timezone}" is not valid; using ${timeZone}`);
+    }
+
+    await rebucketMeetings(institution, timeZone, config, summary);
+    await rebucketLegacyRows(institution, timeZone, config, summary);
+    summaries.push(summary);
+    console.log(
+      `[${summary.institution}] ${timeZone} -> meetings=${summary.meetings}, attendances=${summary.attendances}`
+    );
+  }
+
+  console.log(config.apply ? "\nRe-bucketing completed" : "\nDry run completed (nothing written)");
+  console.table(summaries);
+
+  await mongoose.disconnect();
+  console.log("MongoDB disconnected");
+}
+
+run().catch(async (error) => {
+  console.error("Re-bucketing failed:", error);
+  try {
+    await mongoose.disconnect();
+  } catch (disconnectError) {
+    console.error("Disconnect after failure failed:", disconnectError);
+  }
+  process.exit(1);
+});
@@ -9,8 +9,6 @@ const fs = require('fs');
 const crypto = require('crypto');
 const net = require("net");
 const helmet = require("helmet");
-//const sha256 = require('./sha256');
-const { execSync } = require('child_process');
 
 // Import models and routes
 const User = require("./models/User");
@@ -18,19 +16,81 @@ const Attendance = require("./models/Attendance");
 const StudentProfile = require("./models/StudentProfile");
 const AuthUser = require("./models/AuthUser");
 const Institution = require("./models/Institution");
+const QRLog = require("./models/QRLog");
+const ClassMeeting = require("./models/ClassMeeting");
 const Course = require("./models/Course");
 const CourseEnrollment = require("./models/CourseEnrollment");
 const TeacherCourseAssignment = require("./models/TeacherCourseAssignment");
+const AttendanceFlag = require("./models/AttendanceFlag");
+const CampusLocation = require("./models/CampusLocation");
+const LoginThrottle = require("./models/LoginThrottle");
+const AdminSession = require("./models/AdminSession");
+const StudentLoginCode = require("./models/StudentLoginCode");
+const StudentDevice = require("./models/StudentDevice");
+const AuditLog = require("./models/AuditLog");
+const AcademicTerm = require("./models/AcademicTerm");
+const Program = require("./models/Program");
+const ProgramVersion = require("./models/ProgramVersion");
+const CatalogCourse = require("./models/CatalogCourse");
 const studentProfileRoutes = require("./routes/studentProfile");
 const attendanceRoutes = require("./routes/attendance");
 const authRoutes = require("./routes/auth");
+const studentAuthRoutes = require("./routes/studentAuth");
+const studentDeviceRoutes = require("./routes/studentDevices");
 const academicRoutes = require("./routes/academic");
+const classSessionRoutes = require("./routes/classSessions");
+const classMeetingRoutes = require("./routes/classMeetings");
+const excuseRequestRoutes = require("./routes/excuseRequests");
+const attendanceFlagRoutes = require("./routes/attendanceFlags");
+const campusLocationRoutes = require("./routes/campusLocations");
+const auditLogRoutes = require("./routes/auditLogs");
+const academicTermRoutes = require("./routes/academicTerms");
+const programRoutes = require("./routes/programs");
+const catalogCourseRoutes = require("./routes/catalogCourses");
+const scheduleExceptionRoutes = require("./routes/scheduleExceptions");
 const { requireAuth, requireRoles } = require("./middleware/auth");
+const { requireStudentAuth, requireOwnStudentParam } = require("./middleware/studentAuth");
+const { resolveStudentInstitutionFilter } = require("./student-auth");
+const { resolveDeviceCredential, touchStudentDevice } = require("./student-devices");
+const { CURRENT_FINGERPRINT_VERSION, computeFingerprint } = require("./fingerprint");
 const {
   resolveInstitutionIdForRequest,
   toInstitutionObjectId,
 } = require("./middleware/institution");
-const { generateQRCode, validateSession, getSessionDetails } = require('./qr-generator');
+const {
+  generateQRCode,
+  findOpenSessionForContext,
+  validateSession,
+  getSessionDetails,
+  verifyRotatingToken,
+} = require('./qr-generator');
+const {
+  getMeetingDate,
+  mapClassMeeting,
+  findClassMeeting,
+  createClassMeeting,
+  findLatestClassMeeting,
+  reopenClassMeeting,
+  closeIdleClassMeetings,
+  backfillAttendanceMeetings,
+} = require("./class-meetings");
+const { backfillCourseCatalog } = require("./course-catalog");
+const {
+  ATTENDED_STATUSES,
+  getAttendancePercentage,
+  getLateMinutes,
+  resolveArrivalStatus,
+} = require("./attendance-status");
+const { checkScheduleWindow, evaluateCourseSchedule } = require("./course-schedule");
+const { getZonedParts, getLocalDate, getInstitutionTimeZone } = require("./institution-time");
+const { countClassesHeldByEmail } = require("./academic-calendar");
+const { detectAttendanceAnomalies } = require("./fraud-detection");
+const {
+  DEFAULT_ACCURACY_TOLERANCE_METERS,
+  MAX_ACCURACY_TOLERANCE_METERS,
+  loadGeofenceZones,
+  evaluateGeofence,
+} = require("./geofence");
 
 // --- NEW: Import algorithm modules ---
 // Assuming these files exist in an 'algorithms' directory at the same level as server.js
@@ -67,6 +127,7 @@ const ATTENDANCE_REQUIRE_ENROLLMENT = process.env.ATTENDANCE_REQUIRE_ENROLLMENT
 const COURSE_DELIVERY_MODES = new Set(["in_person", "online", "hybrid"]);
 const DEFAULT_ATTENDANCE_POLICY = {
   singleDevicePerDay: true,
+  requireRegisteredDevice: false,
   requireSignature: true,
   requireEnrollment: ATTENDANCE_REQUIRE_ENROLLMENT,
   requireIpAllowlist: false,
@@ -77,6 +138,21 @@ const DEFAULT_ATTENDANCE_POLICY = {
     lng: null,
     radiusMeters: 120,
   },
+  geofenceZones: [],
+  geofenceAccuracyToleranceMeters: DEFAULT_ACCURACY_TOLERANCE_METERS,
+  requireCheckOut: false,
+  minimumPresenceMinutes: 40,
+  lateGraceMinutes: 10,
+  enforceSchedule: false,
+  scheduleLeewayBeforeMinutes: 15,
+  scheduleLeewayAfterMinutes: 15,
+};
+const QR_SESSION_MODES = ["check_in", "check_out"];
+const UNREGISTERED_DEVICE_MESSAGES = {
+  missing: "This course only accepts registered devices. Register this device and try again.",
+  invalid: "This device's registration is not valid. Register it again and try again.",
+  pending: "This device is waiting for administrator approval.",
+  revoked: "This device's registration was revoked. Register it again or contact your administrator.",
 };
 
 const QR_CODE_DIR = path.join(__dirname, '../frontend/public/qrcodes');
@@ -242,10 +318,48 @@ function buildCourseScopedFilter(courseId, allowedCourseIds, institutionId) {
   return { institutionId, courseId: { $in: allowedCourseIds } };
 }
 
+// Attendance date filter (institution calendar dates) for a report period:
+// "current" (the last 4 months, the default), "last" (the 4 months before
+// that) or "year" (the last 12 months).
+function getAttendancePeriodFilter(period, timeZone) {
+    const dateRange = {
+        current: () => ({
+            start: new Date(new Date().setMonth(new Date().getMonth() - 4)),
+            end: new Date()
+        }),
+        last: () => ({
+            start: new Date(new Date().setMonth(new Date().getMonth() - 8)),
+            end: new Date(new Date().setMonth(new Date().getMonth() - 4))
+        }),
+        year: () => ({
+            start: new Date(new Date().setFullYear(new Date().getFullYear() - 1)),
+            end: new Date()
+        })
+    };
+
+    const { start, end } = dateRange[period] ? dateRange[period]() : dateRange.current();
+    return {
+        $gte: getLocalDate(start, timeZone),
+        $lte: getLocalDate(end, timeZone)
+    };
+}
+
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/student-auth", studentAuthRoutes);
+app.use("/api/student-devices", studentDeviceRoutes);
+app.use("/api/academic/programs", programRoutes);
+app.use("/api/academic/catalog-courses", catalogCourseRoutes);
 app.use("/api/academic", academicRoutes);
+app.use("/api/class-sessions", classSessionRoutes);
+app.use("/api/class-meetings", classMeetingRoutes);
+app.use("/api/excuse-requests", excuseRequestRoutes);
+app.use("/api/attendance-flags", attendanceFlagRoutes);
+app.use("/api/campus-locations", campusLocationRoutes);
+app.use("/api/audit-logs", auditLogRoutes);
+app.use("/api/academic-terms", academicTermRoutes);
+app.use("/api/schedule-exceptions", scheduleExceptionRoutes);
 app.use("/api/students", studentProfileRoutes);
 app.use("/api/attendance", attendanceRoutes);
 
@@ -293,19 +407,24 @@ app.get(
             });
         }
 
-        // Get all unique class dates (for calculating total possible classes)
-        const allDates = await Attendance.find({ institutionId }).distinct('date');
-        const totalClasses = allDates.length;
-        
-        if (totalClasses === 0) {
-            return res.json({ 
-                status: "success", 
-                data: [] 
-            });
-        }
+        // Classes held come from the term calendars of each student's enrolled
+        // courses; students without enrollments fall back to the number of
+        // distinct attendance dates. Both sides of the percentage cover the
+        // same period as the student attendance page (?period=current|last|year).
+        const timeZone = await getInstitutionTimeZone(institutionId);
+        const dateFilter = getAttendancePeriodFilter(req.query.period || 'current', timeZone);
+        const [allDates, classesHeldByEmail] = await Promise.all([
+            Attendance.find({ institutionId, date: dateFilter }).distinct('date'),
+            countClassesHeldByEmail(institutionObjectId, {
+                from: dateFilter.$gte,
+                to: dateFilter.$lte,
+                timeZone
+            })
+        ]);
+        const fallbackClasses = allDates.length;
 
-        // Aggregation to get students with attendance in range
-       const results = await StudentProfile.aggregate([
+        // Aggregation to get each student's attended and excused classes
+       const rows = await StudentProfile.aggregate([
     {
         $match: {
             institutionId: institutionObjectId
@@ -340,36 +459,36 @@ app.get(
                         $expr: { 
                             $and: [
                                 { $eq: ["$universityRollNo", "$$rollNo"] },
-                                { $eq: ["$status", "present"] },
-                                { $eq: ["$institutionId", institutionObjectId] }
+                                { $in: ["$status", [...ATTENDED_STATUSES, "excused"]] },
+                                { $eq: ["$institutionId", institutionObjectId] },
+                                { $gte: ["$date", dateFilter.$gte] },
+                                { $lte: ["$date", dateFilter.$lte] }
                             ]
                         }
                     }
                 },
-                { $count: "presentDays" }
+                {
+                    $group: {
+                        _id: null,
+                        studentEmail: { $first: "$studentEmail" },
+                        presentDays: { $sum: { $cond: [{ $in: ["$status", ATTENDED_STATUSES] }, 1, 0] } },
+                        excusedClasses: { $sum: { $cond: [{ $eq: ["$status", "excused"] }, 1, 0] } }
+                    }
+                }
             ],
             as: "attendance"
         }
     },
     {
+        // Excused meetings are left out of the student's denominator.
         $addFields: {
+            studentEmail: { $arrayElemAt: ["$attendance.studentEmail", 0] },
             presentDays: { $ifNull: [{ $arrayElemAt: ["$attendance.presentDays", 0] }, 0] },
-            totalClasses: totalClasses,
-            attendancePercentage: {
-                $round: [
-                    { 
-                        $multiply: [
-                            { 
-                                $divide: [
-                                    { $ifNull: [{ $arrayElemAt: ["$attendance.presentDays", 0] }, 0] },
-                                    totalClasses
-                                ] 
-                            },
-                            100
-                        ] 
-                    }
-                ]
-            },
+            excusedClasses: { $ifNull: [{ $arrayElemAt: ["$attendance.excusedClasses", 0] }, 0] }
+        }
+    },
+    {
+        $addFields: {
             // Handle both data structures
             name: {
                 $ifNull: [
@@ -387,27 +506,33 @@ app.get(
             }
         }
     },
-    {
-        $match: {
-            attendancePercentage: { $gte: minPercentage, $lte: maxPercentage }
-        }
-    },
-    {
-        $sort: { attendancePercentage: -1 }
-    },
     {
         $project: {
             universityRollNo: 1,
+            studentEmail: 1,
             name: 1,
             section: 1,
-            attendancePercentage: 1,
             presentDays: 1,
-            totalClasses: 1,
+            excusedClasses: 1,
             _id: 0
         }
     }
 ]);
 
+        const results = [];
+        rows.forEach((row) => {
+            const classesHeld = classesHeldByEmail.get(row.studentEmail) ?? fallbackClasses;
+            if (classesHeld === 0) return;
+            const { totalClasses, attendancePercentage } = getAttendancePercentage(
+                row.presentDays,
+                row.excusedClasses,
+                classesHeld
+            );
+            if (attendancePercentage >= minPercentage && attendancePercentage <= maxPercentage) {
+                results.push({ ...row, attendancePercentage, totalClasses });
+            }
+        });
+
         // --- MANUAL SORTING (Bubble Sort, descending by attendancePercentage) ---
         if (results && results.length > 1) {
             const n = results.length;
@@ -468,7 +593,14 @@ app.get(
     }
 
     const dates = await Attendance.find(filter).distinct('date');
-    res.json({ status: "success", data: dates });
+    const response = { status: "success", data: dates };
+    // Course-scoped requests also list the individual meetings, since a
+    // course can meet more than once on the same date.
+    if (filter.courseId) {
+      const meetings = await ClassMeeting.find(filter).sort({ date: -1, sequence: 1 }).lean();
+      response.meetings = meetings.map(mapClassMeeting);
+    }
+    res.json(response);
   } catch (error) {
     if (error.status) {
       return res.status(error.status).json({ status: "error", message: error.message });
@@ -484,10 +616,18 @@ app.get(
   async (req, res) => {
     try {
         const institutionId = resolveInstitutionIdForRequest(req);
-        const { date, courseId } = req.query;
-        if (!date) {
+        const { date, courseId, meetingId } = req.query;
+        // Defaults to rows that count as attended (present and late);
+        // `status=all` or a comma-separated list (e.g. "absent,excused")
+        // changes it.
+        const statusQuery = String(req.query.status || ATTENDED_STATUSES.join(",")).trim().toLowerCase();
+        const statuses = statusQuery.split(",").map((value) => value.trim()).filter(Boolean);
+        if (!date && !meetingId) {
             return res.status(400).json({ error: 'Date parameter is required' });
         }
+        if (meetingId && !mongoose.Types.ObjectId.isValid(String(meetingId))) {
+            return res.status(400).json({ status: "error", message: "Invalid meetingId" });
+        }
 
         let filter = { institutionId };
         if (req.authUser.role === "teacher") {
@@ -503,15 +643,34 @@ app.get(
             filter = buildCourseScopedFilter(courseId, null, institutionId);
         }
 
-        const attendance = await Attendance.find({ 
-            ...filter,
-            date: date,
-            status: 'present'
-        }).sort({ universityRollNo: 1 });
+        const occurrenceFilter = {};
+        if (date) occurrenceFilter.date = date;
+        if (meetingId) occurrenceFilter._id = meetingId;
+
+        const [attendance, meetings] = await Promise.all([
+            Attendance.find({
+                ...filter,
+                ...(date ? { date } : {}),
+                ...(meetingId ? { meetingId } : {}),
+                ...(statusQuery === "all" ? {} : { status: { $in: statuses } })
+            }).sort({ universityRollNo: 1 }),
+            ClassMeeting.find({ ...filter, ...occurrenceFilter }).sort({ courseCode: 1, sequence: 1 }).lean(),
+        ]);
+
+        const presentByMeeting = attendance.reduce((counts, record) => {
+            if (!ATTENDED_STATUSES.includes(record.status)) return counts;
+            const key = record.meetingId ? String(record.meetingId) : "";
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
 
         res.json({ 
             status: "success",
-            data: attendance 
+            data: attendance,
+            meetings: meetings.map((meeting) => ({
+                ...mapClassMeeting(meeting),
+                presentCount: presentByMeeting[String(meeting._id)] || 0
+            }))
         });
     } catch (error) {
         if (error.status) {
@@ -528,7 +687,9 @@ app.get(
 app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, async (req, res) => {
   try {
     const institutionId = resolveInstitutionIdForRequest(req);
-    const { courseId } = req.query;
+    const { courseId, durationMinutes, meetingId, meetingLabel } = req.query;
+    const startNewMeeting = normalizeBoolean(req.query.newMeeting, false);
+    const sessionMode = String(req.query.mode || "check_in").trim().toLowerCase();
     if (!courseId) {
       return res.status(400).json({
         status: "error",
@@ -536,7 +697,15 @@ app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, asy
       });
     }
 
-    const course = await Course.findOne({ _id: courseId, institutionId, isActive: true }).select("code name section");
+    if (!QR_SESSION_MODES.includes(sessionMode)) {
+      return res.status(400).json({
+        status: "error",
+        message: "mode must be check_in or check_out"
+      });
+    }
+
+    const course = await Course.findOne({ _id: courseId, institutionId, isActive: true })
+      .select("code name section scheduleBlocks daysOfWeek startTime endTime scheduleOverride scheduleExceptions deliveryMode attendancePolicy");
     if (!course) {
       return res.status(404).json({
         status: "error",
@@ -544,6 +713,23 @@ app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, asy
       });
     }
 
+    const coursePolicy = normalizeAttendancePolicy(course.attendancePolicy, normalizeDeliveryMode(course.deliveryMode));
+    if (sessionMode === "check_out" && !coursePolicy.requireCheckOut) {
+      return res.status(400).json({
+        status: "error",
+        message: "Check-out is not enabled for this course"
+      });
+    }
+
+    const timeZone = await getInstitutionTimeZone(institutionId);
+    const scheduleWindow = checkScheduleWindow(course, coursePolicy, new Date(), timeZone);
+    if (!scheduleWindow.allowed) {
+      return res.status(403).json({
+        status: "error",
+        message: `${scheduleWindow.message} Ask an administrator for a make-up class override.`
+      });
+    }
+
     if (req.authUser.role === "teacher") {
       const assignment = await TeacherCourseAssignment.findOne({
         institutionId,
@@ -560,9 +746,7 @@ app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, asy
       }
     }
 
-    console.log(`Generating QR code for IP: ${req.ip} course=${course.code}-${course.section}`);
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const qrData = await generateQRCode(req.ip, {
+    const sessionContext = {
       generatedBy: String(req.authUser._id),
       generatedByRole: req.authUser.role,
       generatedByName: req.authUser.name,
@@ -570,16 +754,71 @@ app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, asy
       courseId: String(course._id),
       courseCode: course.code,
       courseName: course.name,
-      section: course.section
-    }, baseUrl);
+      section: course.section,
+      durationMinutes,
+      mode: sessionMode
+    };
+
+    // Each QR session belongs to a class meeting: an explicit `meetingId`
+    // continues that meeting, `newMeeting=true` starts the next one, and
+    // otherwise the teacher's open session (and its meeting) is reused.
+    // Check-out never starts a meeting; it ends the one being run.
+    let meeting = null;
+    if (meetingId) {
+      meeting = await findClassMeeting(meetingId, { institutionId, courseId: course._id });
+      if (!meeting) {
+        return res.status(404).json({
+          status: "error",
+          message: "Class meeting not found for this course"
+        });
+      }
+    } else if (sessionMode === "check_out") {
+      const openSession = await findOpenSessionForContext(sessionContext)
+        || await findOpenSessionForContext({ ...sessionContext, mode: "check_in" });
+      meeting = openSession?.meetingId
+        ? await findClassMeeting(openSession.meetingId, { institutionId })
+        : await findLatestClassMeeting({ institutionId, courseId: course._id, timeZone });
+      if (!meeting) {
+        return res.status(400).json({
+          status: "error",
+          message: "Open a check-in QR for this meeting before starting check-out"
+        });
+      }
+    } else if (!startNewMeeting) {
+      const openSession = await findOpenSessionForContext(sessionContext);
+      if (openSession?.meetingId) {
+        meeting = await findClassMeeting(openSession.meetingId, { institutionId });
+      }
+    }
+    if (!meeting) {
+      meeting = await createClassMeeting({
+        institutionId,
+        course,
+        createdBy: req.authUser._id,
+        createdByName: req.authUser.name,
+        label: meetingLabel,
+        timeZone
+      });
+    }
+    if (meeting.status === "closed") {
+      meeting = await reopenClassMeeting(meeting._id) || meeting;
+    }
+    sessionContext.meetingId = String(meeting._id);
+
+    console.log(`Generating ${sessionMode} QR for IP: ${req.ip} course=${course.code}-${course.section} meeting=${meeting.date}#${meeting.sequence}`);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const qrData = await generateQRCode(req.ip, sessionContext, baseUrl);
     
-    console.log(` Generated QR code at: ${qrData.qrImage}`);
+    console.log(` Class session ${qrData.sessionId} rotates every ${qrData.rotation.rotationSeconds}s`);
     res.json({
       status: "success",
-      qrImage: qrData.qrImage,
       sessionId: qrData.sessionId,
+      sessionStatus: qrData.status,
+      sessionMode: qrData.sessionContext.mode,
       expiresIn: qrData.expiresIn,
-      sessionContext: qrData.sessionContext
+      rotation: qrData.rotation,
+      sessionContext: qrData.sessionContext,
+      meeting: mapClassMeeting(meeting)
     });
   } catch (error) {
     if (error.status) {
@@ -597,54 +836,38 @@ app.get("/api/generate-qr", requireAuth, requireRoles("teacher"), qrLimiter, asy
   }
 });
 
-// ... (rest of server.js) ...
-app.post('/api/consistent-hash', async (req, res) => {
-    try {
-        const { input } = req.body;
-        
-        if (typeof input !== 'string' || !input.trim()) {
-            return res.status(400).json({ error: 'Input must be a non-empty string' });
-        }
-
-        const escapedInput = input
-            .replace(/"/g, '\\"')
-            .replace(/\$/g, '\\$')
-            .replace(/`/g, '\\`');
-
-        const command = `java ConsistentHash "${escapedInput}"`;
-        
-        const result = execSync(command, { 
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'ignore'],
-            timeout: 5000
-        });
-
-        if (!/^[0-9a-f]{8}$/.test(result.trim())) {
-            throw new Error('Invalid hash format from Java');
-        }
-
-        res.json({ fingerprint: result.trim() });
-    } catch (error) {
-        console.error("Consistent hash error:", error);
-        const jsHash = consistentHashJS(req.body.input);
-        res.status(500).json({ 
-            error: 'Java hashing failed. Used JS fallback.',
-            fingerprint: jsHash 
-        });
-    }
+// Hashes the scan page's browser fingerprint in-process (see fingerprint.js).
+// Clients cache the result for the day, so the limit is low.
+const fingerprintLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.FINGERPRINT_RATE_LIMIT_PER_MINUTE || 30),
+  handler: (req, res) => {
+    res.status(429).json({
+      status: "error",
+      message: "Too many fingerprint requests. Please wait a minute.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
-function consistentHashJS(input) {
-    let hash = 0;
-    for (let i = 0; i < input.length; i++) {
-        hash = (hash * 31 + input.charCodeAt(i)) >>> 0;
-    }
-    return hash.toString(16).padStart(8, '0');
-}
+app.post("/api/consistent-hash", fingerprintLimiter, (req, res) => {
+  try {
+    const { fingerprint, version } = computeFingerprint(req.body?.input, {
+      version: req.body?.version ?? CURRENT_FINGERPRINT_VERSION,
+    });
+    return res.json({ fingerprint, version });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
 
 app.post("/api/validate-session", async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId, token } = req.body;
     if (!sessionId) {
       return res.status(400).json({
         valid: false,
@@ -652,8 +875,9 @@ app.post("/api/validate-session", async (req, res) => {
       });
     }
 
-    const sessionDetails = getSessionDetails(sessionId);
-    const isValid = Boolean(sessionDetails);
+    const sessionDetails = await getSessionDetails(sessionId);
+    const isValid = Boolean(sessionDetails && sessionDetails.acceptsAttendance);
+    const tokenValid = isValid ? verifyRotatingToken(sessionDetails, token) : false;
     let courseDeliveryMode = "in_person";
     let attendancePolicy = normalizeAttendancePolicy({}, courseDeliveryMode);
 
@@ -680,26 +904,41 @@ app.post("/api/validate-session", async (req, res) => {
           _id: courseId,
           institutionId,
           isActive: true,
-        }).select("deliveryMode attendancePolicy code name section");
+        }).select("deliveryMode attendancePolicy code name section scheduleBlocks daysOfWeek startTime endTime scheduleExceptions");
         if (course) {
-          courseDeliveryMode = normalizeDeliveryMode(course.deliveryMode);
-          attendancePolicy = normalizeAttendancePolicy(course.attendancePolicy, courseDeliveryMode);
+          const timeZone = await getInstitutionTimeZone(institutionId);
+          attendancePolicy = applyOccurrencePolicy(
+            course,
+            normalizeAttendancePolicy(course.attendancePolicy, normalizeDeliveryMode(course.deliveryMode)),
+            new Date(),
+            timeZone
+          );
+          courseDeliveryMode = attendancePolicy.deliveryMode;
         }
       }
     }
 
     res.json({
       valid: isValid,
-      message: isValid ? "Valid session" : "Invalid or expired session ID",
+      message: isValid
+        ? "Valid session"
+        : sessionDetails?.availabilityMessage || "Invalid or expired session ID",
+      sessionStatus: sessionDetails?.status || null,
+      sessionMode: sessionDetails?.mode || null,
       session: isValid
         ? {
             policy: {
               singleDevicePerDay: attendancePolicy.singleDevicePerDay,
+              requireRegisteredDevice: attendancePolicy.requireRegisteredDevice,
               requireSignature: attendancePolicy.requireSignature,
               requireEnrollment: attendancePolicy.requireEnrollment,
               requireIpAllowlist: attendancePolicy.requireIpAllowlist,
               requireGeofence: attendancePolicy.requireGeofence,
+              requireCheckOut: attendancePolicy.requireCheckOut,
+              minimumPresenceMinutes: attendancePolicy.minimumPresenceMinutes,
+              enforceSchedule: attendancePolicy.enforceSchedule,
             },
+            mode: sessionDetails.mode,
             institutionId: sessionDetails.institutionId || null,
             institutionBrand,
             courseId: sessionDetails.courseId,
@@ -707,8 +946,11 @@ app.post("/api/validate-session", async (req, res) => {
             courseName: sessionDetails.courseName,
             section: sessionDetails.section,
             courseDeliveryMode,
+            rotatingToken: Boolean(sessionDetails.rotationSeconds),
+            tokenValid,
             requiresLocation: attendancePolicy.requireGeofence === true,
             requiresSignature: attendancePolicy.requireSignature !== false,
+            requiresRegisteredDevice: attendancePolicy.requireRegisteredDevice === true,
           }
         : null
     });
@@ -720,7 +962,7 @@ app.post("/api/validate-session", async (req, res) => {
     });
   }
 });
-app.get('/verify-attendance', (req, res) => {
+app.get('/verify-attendance', async (req, res) => {
     try {
         console.log('Raw query data:', req.query.data);
         const dataStr = decodeURIComponent(req.query.data);
@@ -757,82 +999,32 @@ app.get('/verify-attendance', (req, res) => {
             return res.status(400).send('QR code expired');
         }
 
-        const sessionDetails = getSessionDetails(data.sessionId);
+        const sessionDetails = await getSessionDetails(data.sessionId);
+        if (sessionDetails && !sessionDetails.acceptsAttendance) {
+            return res.status(400).send(sessionDetails.availabilityMessage);
+        }
+        if (sessionDetails && !verifyRotatingToken(sessionDetails, data.token)) {
+            return res.status(400).send('QR code expired. Please scan the code currently on screen.');
+        }
         const institutionQuery = sessionDetails?.institutionId
           ? `&institutionId=${encodeURIComponent(String(sessionDetails.institutionId))}`
           : "";
-        res.redirect(`/index.html?sessionId=${data.sessionId}${institutionQuery}`);
+        const tokenQuery = data.token ? `&token=${encodeURIComponent(String(data.token))}` : "";
+        res.redirect(`/index.html?sessionId=${data.sessionId}${tokenQuery}${institutionQuery}`);
     }  catch (error) {
         console.error('QR validation error:', error);
         res.status(400).send('Invalid QR code data');
     }
 });
 
-function getDistanceFromLatLngInMeters(lat1, lng1, lat2, lng2) {
-    try {
-        const command = `java Haversine ${lat1} ${lng1} ${lat2} ${lng2}`;
-        const result = execSync(command, { 
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'ignore']
-        });
-        return parseFloat(result.trim());
-    } catch (error) {
-        console.error("Java Haversine Error:", error.message);
-        const toRad = angle => (angle * Math.PI) / 180;
-        const R = 6371000;
-        const dLat = toRad(lat2 - lat1);
-        const dLng = toRad(lng2 - lng1);
-        const a = Math.sin(dLat / 2) ** 2 +
-                  Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-                  Math.sin(dLng / 2) ** 2;
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-    }
-}
-
 function sha256(input) {
-    try {
-        const escapedInput = input.replace(/"/g, '\\"');
-        const command = `java SHA256 "${escapedInput}"`;
-        const result = execSync(command, { 
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'ignore']
-        });
-        return result.trim();
-    } catch (error) {
-        console.error("Java SHA-256 Error:", error.message);
-        // Fallback to crypto module if Java fails (more robust)
-        console.warn("Java SHA-256 failed. Using Node.js crypto fallback.");
-        return crypto.createHash('sha256').update(input).digest('hex');
-        // throw new Error("Failed to compute SHA-256 hash"); // Original behavior
-    }
+  return crypto.createHash("sha256").update(input).digest("hex");
 }
 
 function normalizeUpper(value) {
   return String(value || "").trim().toUpperCase();
 }
 
-function normalizeName(value) {
-  return String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
-}
-
-function namesMatch(left, right) {
-  if (!left || !right) return true;
-  return normalizeName(left) === normalizeName(right);
-}
-
-function normalizeEmail(value) {
-  return String(value || "").trim().toLowerCase();
-}
-
-function isValidEmail(value) {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
-}
-
-function escapeRegex(value) {
-  return String(value || "").replace(/[.*+?^$()|[\]\\]/g, "\\$&");
-}
-
 function normalizeBoolean(value, fallback = false) {
   if (value === undefined || value === null || value === "") return fallback;
   if (typeof value === "boolean") return value;
@@ -868,6 +1060,10 @@ function normalizeAttendancePolicy(rawPolicy, deliveryMode = "in_person") {
   return {
     deliveryMode,
     singleDevicePerDay: normalizeBoolean(source.singleDevicePerDay, DEFAULT_ATTENDANCE_POLICY.singleDevicePerDay),
+    requireRegisteredDevice: normalizeBoolean(
+      source.requireRegisteredDevice,
+      DEFAULT_ATTENDANCE_POLICY.requireRegisteredDevice
+    ),
     requireSignature: normalizeBoolean(source.requireSignature, DEFAULT_ATTENDANCE_POLICY.requireSignature),
     requireEnrollment: normalizeBoolean(source.requireEnrollment, DEFAULT_ATTENDANCE_POLICY.requireEnrollment),
     requireIpAllowlist: normalizeBoolean(source.requireIpAllowlist, DEFAULT_ATTENDANCE_POLICY.requireIpAllowlist),
@@ -881,9 +1077,51 @@ function normalizeAttendancePolicy(rawPolicy, deliveryMode = "in_person") {
         Math.min(100000, toNullableNumber(geofenceSource.radiusMeters) ?? DEFAULT_ATTENDANCE_POLICY.geofence.radiusMeters)
       ),
     },
+    geofenceZones: Array.isArray(source.geofenceZones) ? source.geofenceZones.map(String) : [],
+    geofenceAccuracyToleranceMeters: Math.max(
+      0,
+      Math.min(
+        MAX_ACCURACY_TOLERANCE_METERS,
+        toNullableNumber(source.geofenceAccuracyToleranceMeters) ??
+          DEFAULT_ATTENDANCE_POLICY.geofenceAccuracyToleranceMeters
+      )
+    ),
+    requireCheckOut: normalizeBoolean(source.requireCheckOut, DEFAULT_ATTENDANCE_POLICY.requireCheckOut),
+    minimumPresenceMinutes: Math.max(
+      1,
+      Math.min(720, toNullableNumber(source.minimumPresenceMinutes) ?? DEFAULT_ATTENDANCE_POLICY.minimumPresenceMinutes)
+    ),
+    lateGraceMinutes: Math.max(
+      0,
+      Math.min(240, toNullableNumber(source.lateGraceMinutes) ?? DEFAULT_ATTENDANCE_POLICY.lateGraceMinutes)
+    ),
+    enforceSchedule: normalizeBoolean(source.enforceSchedule, DEFAULT_ATTENDANCE_POLICY.enforceSchedule),
+    scheduleLeewayBeforeMinutes: Math.max(
+      0,
+      Math.min(240, toNullableNumber(source.scheduleLeewayBeforeMinutes) ?? DEFAULT_ATTENDANCE_POLICY.scheduleLeewayBeforeMinutes)
+    ),
+    scheduleLeewayAfterMinutes: Math.max(
+      0,
+      Math.min(240, toNullableNumber(source.scheduleLeewayAfterMinutes) ?? DEFAULT_ATTENDANCE_POLICY.scheduleLeewayAfterMinutes)
+    ),
   };
 }
 
+// The class a scan belongs to (the one in progress, else the next or last
+// one today) can differ from the course: an online block needs no geofence,
+// and a block or moved class with a room is checked against that room only.
+function applyOccurrencePolicy(course, attendancePolicy, now = new Date(), timeZone) {
+  const { occurrence } = evaluateCourseSchedule(course, now, timeZone);
+  const deliveryMode = normalizeDeliveryMode(occurrence?.deliveryMode || attendancePolicy.deliveryMode);
+  if (deliveryMode === "online") {
+    return { ...attendancePolicy, deliveryMode, requireGeofence: false };
+  }
+  if (occurrence?.locationId) {
+    return { ...attendancePolicy, deliveryMode, geofenceZones: [occurrence.locationId] };
+  }
+  return { ...attendancePolicy, deliveryMode };
+}
+
 function normalizeClientIp(value) {
   const first = String(value || "").split(",")[0].trim().toLowerCase();
   if (!first) return "";
@@ -981,7 +1219,7 @@ app.get("/health", (req, res) => {
 });
 
 function validateAttendance(req, res, next) {
-  const required = ['name', 'email', 'deviceFingerprint'];
+  const required = ['deviceFingerprint'];
   const missing = required.filter((field) => !req.body[field]);
 
   if (missing.length) {
@@ -994,18 +1232,23 @@ function validateAttendance(req, res, next) {
   next();
 }
 
-app.post('/mark-attendance', validateAttendance, async (req, res) => {
+// The student is whoever holds the student token; name and email fields in
+// the body are ignored.
+app.post('/mark-attendance', requireStudentAuth, validateAttendance, async (req, res) => {
   try {
-    const { deviceFingerprint, sessionId } = req.body;
+    const { sessionId, token } = req.body;
     const normalizedSignatureDataUrl = normalizeSignatureDataUrl(req.body.signatureDataUrl);
-    const submittedEmail = normalizeEmail(req.body.email);
-    const submittedName = String(req.body.name || '').trim();
+    const student = req.studentAuth;
     const parsedLocation = req.body.location && typeof req.body.location === "object"
       ? {
           lat: Number(req.body.location.lat),
           lng: Number(req.body.location.lng),
         }
       : null;
+    // Radius in meters of the browser's 95% confidence circle, if reported.
+    const locationAccuracy = req.body.location && typeof req.body.location === "object"
+      ? toNullableNumber(req.body.location.accuracy)
+      : null;
     const hasValidLocation = Boolean(
       parsedLocation &&
       Number.isFinite(parsedLocation.lat) &&
@@ -1019,25 +1262,26 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       });
     }
 
-    if (!submittedName) {
+    const sessionDetails = await getSessionDetails(sessionId);
+    if (!sessionDetails) {
       return res.status(400).json({
         status: 'error',
-        message: 'Full name is required',
+        message: 'Invalid or expired session. Please scan a fresh QR.',
       });
     }
 
-    if (!isValidEmail(submittedEmail)) {
+    if (!sessionDetails.acceptsAttendance) {
       return res.status(400).json({
         status: 'error',
-        message: 'Valid email is required',
+        sessionStatus: sessionDetails.status,
+        message: sessionDetails.availabilityMessage,
       });
     }
 
-    const sessionDetails = getSessionDetails(sessionId);
-    if (!sessionDetails) {
+    if (!verifyRotatingToken(sessionDetails, token)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid or expired session. Please scan a fresh QR.',
+        message: 'This QR code has rotated. Please scan the code currently on screen.',
       });
     }
 
@@ -1056,7 +1300,14 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
     }
 
     const institutionId = String(sessionDetails.institutionId);
-    const today = new Date().toISOString().split('T')[0];
+    if (!student.institutionIds.includes(institutionId)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not enrolled at this institution',
+      });
+    }
+    const timeZone = await getInstitutionTimeZone(institutionId);
+    const today = getMeetingDate(new Date(), timeZone);
     const clientIp = getClientIpFromRequest(req);
     const userAgent = String(req.headers["user-agent"] || "");
 
@@ -1064,15 +1315,53 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       _id: sessionDetails.courseId,
       institutionId,
       isActive: true,
-    }).select("code name section deliveryMode attendancePolicy");
+    }).select("code name section scheduleBlocks daysOfWeek startTime endTime scheduleOverride scheduleExceptions deliveryMode attendancePolicy");
     if (!course) {
       return res.status(404).json({
         status: "error",
         message: "Course not found or inactive",
       });
     }
-    const deliveryMode = normalizeDeliveryMode(course.deliveryMode);
-    const attendancePolicy = normalizeAttendancePolicy(course.attendancePolicy, deliveryMode);
+    const attendancePolicy = applyOccurrencePolicy(
+      course,
+      normalizeAttendancePolicy(course.attendancePolicy, normalizeDeliveryMode(course.deliveryMode)),
+      new Date(),
+      timeZone
+    );
+    const deliveryMode = attendancePolicy.deliveryMode;
+
+    const scheduleWindow = checkScheduleWindow(course, attendancePolicy, new Date(), timeZone);
+    if (!scheduleWindow.allowed) {
+      return res.status(403).json({
+        status: "error",
+        message: scheduleWindow.message,
+      });
+    }
+
+    // A registered device is identified by its server-signed credential,
+    // which the client cannot forge; the browser fingerprint is the fallback.
+    const deviceCheck = await resolveDeviceCredential(req.body.deviceCredential, {
+      email: student.email,
+      institutionId,
+    });
+    if (!deviceCheck.device && attendancePolicy.requireRegisteredDevice) {
+      return res.status(403).json({
+        status: "error",
+        deviceStatus: deviceCheck.reason,
+        message: UNREGISTERED_DEVICE_MESSAGES[deviceCheck.reason],
+      });
+    }
+    const studentDevice = deviceCheck.device;
+    const deviceFingerprint = studentDevice ? `device:${studentDevice._id}` : String(req.body.deviceFingerprint);
+
+    // Duplicate and device checks are per class meeting. Sessions opened
+    // before meetings existed fall back to the old one-per-day rule.
+    const meeting = sessionDetails.meetingId
+      ? await findClassMeeting(sessionDetails.meetingId, { institutionId, courseId: sessionDetails.courseId })
+      : null;
+    const attendanceDate = meeting?.date || today;
+    const occurrenceFilter = meeting ? { meetingId: meeting._id } : { date: today };
+    const occurrenceLabel = meeting ? "this class meeting" : "this course today";
 
     if (attendancePolicy.requireIpAllowlist) {
       if (!attendancePolicy.ipAllowlist.length) {
@@ -1097,20 +1386,25 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
           message: "This course requires geolocation. Enable location and try again.",
         });
       }
-      const geofenceLat = attendancePolicy.geofence?.lat;
-      const geofenceLng = attendancePolicy.geofence?.lng;
-      const geofenceRadius = attendancePolicy.geofence?.radiusMeters || 120;
-      if (!Number.isFinite(geofenceLat) || !Number.isFinite(geofenceLng)) {
+      const zones = await loadGeofenceZones(institutionId, attendancePolicy);
+      if (!zones.length) {
         return res.status(400).json({
           status: "error",
           message: "Course geofence is not configured. Contact your administrator.",
         });
       }
-      distance = getDistanceFromLatLngInMeters(parsedLocation.lat, parsedLocation.lng, geofenceLat, geofenceLng);
-      if (distance > geofenceRadius) {
+      const geofenceResult = evaluateGeofence(parsedLocation, zones, {
+        accuracyMeters: locationAccuracy,
+        toleranceMeters: attendancePolicy.geofenceAccuracyToleranceMeters,
+      });
+      distance = geofenceResult.distanceMeters;
+      if (!geofenceResult.inside) {
+        const zoneNames = zones.map((zone) => zone.name).join(", ");
         return res.status(400).json({
           status: "error",
-          message: `You must be within ${geofenceRadius} meters of the class location. Current distance: ${distance.toFixed(0)}m`,
+          message: zones.length === 1 && !zones[0].boundary.length
+            ? `You must be within ${zones[0].radiusMeters} meters of the ${zones[0].name}. Current distance: ${distance.toFixed(0)}m`
+            : `You must be inside one of: ${zoneNames}. You are ${geofenceResult.outsideMeters.toFixed(0)}m outside ${geofenceResult.zone.name}`,
         });
       }
     }
@@ -1137,16 +1431,13 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       ? crypto.createHash('sha256').update(normalizedSignatureDataUrl.split(',')[1]).digest('hex')
       : null;
 
-    const normalizedSubmittedEmail = submittedEmail.trim().toLowerCase();
-    const nameRegex = new RegExp(`^${escapeRegex(submittedName)}$`, 'i');
     const enrollment = await CourseEnrollment.findOne({
       institutionId,
       courseId: sessionDetails.courseId,
       isActive: true,
       $or: [
-        { email: normalizedSubmittedEmail },
-        { universityRollNo: submittedEmail.toUpperCase() },
-        { fullName: nameRegex },
+        { email: student.email },
+        { universityRollNo: { $in: student.universityRollNos } },
       ],
     });
 
@@ -1157,41 +1448,114 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       });
     }
 
-    if (enrollment && !namesMatch(enrollment.fullName, submittedName)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Student name does not match course enrollment record',
-      });
-    }
-
-    const canonicalStudentId = normalizedSubmittedEmail;
-    const canonicalName = enrollment?.fullName || submittedName;
+    const canonicalStudentId = student.email;
+    const canonicalName = enrollment?.fullName || student.name;
     const canonicalSection = enrollment?.section || normalizeUpper(course.section || sessionDetails.section || '') || 'N/A';
     const canonicalClassRollNo = enrollment?.classRollNo || 'N/A';
 
+    if (sessionDetails.mode === 'check_out') {
+      if (!meeting) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This check-out QR is not linked to a class meeting',
+        });
+      }
+
+      const checkIn = await Attendance.findOne({
+        institutionId,
+        meetingId: meeting._id,
+        courseId: sessionDetails.courseId,
+        $or: [{ studentEmail: canonicalStudentId }, { universityRollNo: canonicalStudentId }],
+      });
+      if (!checkIn || checkIn.source === 'system') {
+        return res.status(400).json({
+          status: 'error',
+          message: "You haven't checked in for this class meeting",
+        });
+      }
+      if (checkIn.manualOverride) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Your attendance for this class meeting was set by your teacher',
+        });
+      }
+      if (checkIn.checkOutAt) {
+        return res.status(400).json({
+          status: 'error',
+          message: "You've already checked out of this class meeting",
+        });
+      }
+      if (attendancePolicy.singleDevicePerDay && checkIn.deviceFingerprint !== deviceFingerprint) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please check out from the device you checked in with',
+        });
+      }
+
+      const checkOutAt = new Date();
+      const checkInAt = checkIn.checkInAt || checkIn.createdAt;
+      const presenceMinutes = Math.max(0, Math.floor((checkOutAt - checkInAt) / 60000));
+      const checkOutStatus = presenceMinutes >= attendancePolicy.minimumPresenceMinutes
+        ? resolveArrivalStatus(checkIn.lateMinutes, attendancePolicy.lateGraceMinutes)
+        : 'partial';
+
+      // Conditional on checkOutAt so two concurrent check-outs record once.
+      const checkedOut = await Attendance.findOneAndUpdate(
+        { _id: checkIn._id, checkOutAt: null },
+        {
+          $set: {
+            checkOutAt,
+            checkOutSessionId: sessionId,
+            presenceMinutes,
+            status: checkOutStatus,
+          },
+        },
+        { new: true }
+      );
+      if (!checkedOut) {
+        return res.status(400).json({
+          status: 'error',
+          message: "You've already checked out of this class meeting",
+        });
+      }
+
+      return res.json({
+        status: 'success',
+        message: checkOutStatus !== 'partial'
+          ? `Checked out after ${presenceMinutes} minutes. Attendance marked ${checkOutStatus}.`
+          : `Checked out after ${presenceMinutes} minutes, below the ${attendancePolicy.minimumPresenceMinutes}-minute minimum. Attendance marked partial.`,
+        data: checkedOut,
+      });
+    }
+
     const [existing, existingDevice] = await Promise.all([
       Attendance.findOne({
         institutionId,
-        date: today,
+        ...occurrenceFilter,
         courseId: sessionDetails.courseId,
         $or: [{ studentEmail: canonicalStudentId }, { universityRollNo: canonicalStudentId }],
       }),
       attendancePolicy.singleDevicePerDay
-        ? Attendance.findOne({ institutionId, deviceFingerprint, date: today, courseId: sessionDetails.courseId })
+        ? Attendance.findOne({ institutionId, deviceFingerprint, ...occurrenceFilter, courseId: sessionDetails.courseId })
         : Promise.resolve(null),
     ]);
 
-    if (existing) {
+    // An absent row generated when the meeting closed is replaced by a scan
+    // made after the teacher reopened it, unless a teacher has since set it by hand.
+    const absencePlaceholder = existing && existing.source === 'system' && existing.status === 'absent' && !existing.manualOverride
+      ? existing
+      : null;
+    if (existing && !absencePlaceholder) {
       return res.status(400).json({
         status: 'error',
-        message: "You've already marked attendance for this course today",
+        message: `You've already marked attendance for ${occurrenceLabel}`,
       });
     }
 
     if (attendancePolicy.singleDevicePerDay && existingDevice) {
       return res.status(400).json({
         status: 'error',
-        message: 'This device has already been used for this course today',
+        message: `This device has already been used for ${occurrenceLabel}`,
       });
     }
 
@@ -1199,7 +1563,7 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       institutionId,
       $or: [{ universityRollNo: canonicalStudentId }, { email: canonicalStudentId }],
     };
-    const student = await User.findOneAndUpdate(
+    const studentUser = await User.findOneAndUpdate(
       studentMatch,
       {
         $set: {
@@ -1215,37 +1579,76 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
       { new: true, upsert: true }
     );
 
-    const attendance = await Attendance.create({
+    const scannedAt = new Date();
+    const lateMinutes = getLateMinutes(course, meeting, scannedAt, timeZone);
+    const arrivalStatus = resolveArrivalStatus(lateMinutes, attendancePolicy.lateGraceMinutes);
+    const attendanceFields = {
       institutionId,
       name: canonicalName,
       studentEmail: canonicalStudentId,
       universityRollNo: canonicalStudentId,
       section: canonicalSection,
       classRollNo: canonicalClassRollNo,
-      date: today,
-      time: new Date().toLocaleTimeString('en-IN', { hour12: false }),
+      date: attendanceDate,
+      time: getZonedParts(scannedAt, timeZone).time,
       sessionId,
+      meetingId: meeting ? meeting._id : undefined,
+      checkInAt: scannedAt,
+      lateMinutes: lateMinutes === null ? undefined : lateMinutes,
       courseId: sessionDetails.courseId,
       courseCode: course.code || sessionDetails.courseCode,
       courseName: course.name || sessionDetails.courseName,
       generatedBy: sessionDetails.generatedBy,
       generatedByRole: sessionDetails.generatedByRole,
-      status: 'present',
-      studentId: student._id,
+      status: attendancePolicy.requireCheckOut && meeting ? 'checked_in' : arrivalStatus,
+      source: 'scan',
+      studentId: studentUser._id,
       distanceFromClass: distance,
       location: hasValidLocation ? parsedLocation : undefined,
       deviceFingerprint,
+      studentDeviceId: studentDevice ? studentDevice._id : undefined,
       signatureDataUrl: normalizedSignatureDataUrl || undefined,
       signatureHash: signatureHash || undefined,
       ipAddress: clientIp || null,
       userAgent,
       courseDeliveryMode: deliveryMode,
       attendancePolicySnapshot: attendancePolicy,
+    };
+    const attendance = absencePlaceholder
+      ? await Attendance.findOneAndUpdate(
+          { _id: absencePlaceholder._id, source: 'system', manualOverride: { $ne: true } },
+          { $set: attendanceFields },
+          { new: true, runValidators: true }
+        )
+      : await Attendance.create(attendanceFields);
+    if (!attendance) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You've already marked attendance for ${occurrenceLabel}`,
+      });
+    }
+
+    if (studentDevice) {
+      touchStudentDevice(studentDevice, req).catch((error) => {
+        console.error('Device last-used update error:', error);
+      });
+    }
+
+    // Anomaly rules run after responding; they only raise flags for review.
+    detectAttendanceAnomalies(attendance._id).catch((error) => {
+      console.error('Fraud detection error:', error);
     });
 
+    let successMessage = 'Attendance marked successfully';
+    if (attendance.status === 'checked_in') {
+      successMessage = 'Checked in. Scan the check-out QR at the end of class to complete your attendance.';
+    } else if (attendance.status === 'late') {
+      successMessage = `Attendance marked late (${lateMinutes} minutes after the start of class)`;
+    }
+
     res.json({
       status: 'success',
-      message: 'Attendance marked successfully',
+      message: successMessage,
       data: attendance,
     });
   } catch (error) {
@@ -1253,28 +1656,8 @@ app.post('/mark-attendance', validateAttendance, async (req, res) => {
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
-app.get('/api/students/profile', async (req, res) => {
-    try {
-        const { rollNo } = req.query;
-        const institutionId = String(req.query.institutionId || "").trim();
-        console.log(`[PROFILE] Attempting to find profile for rollNo: ${rollNo}`); // ADD THIS
-        const filter = { universityRollNo: rollNo };
-        if (institutionId) filter.institutionId = institutionId;
-        const student = await StudentProfile.findOne(filter);
-        
-        if (!student) {
-            console.log(`[PROFILE] Student not found: ${rollNo}`); // ADD THIS
-            return res.status(404).json({ error: 'Student not found' });
-        }
-        console.log(`[PROFILE] Student found:`, student); // ADD THIS
-        res.json({ data: student });
-    } catch (error) {
-        console.error(`[PROFILE] Error fetching profile for ${rollNo}:`, error); // ADD THIS
-        res.status(500).json({ error: error.message });
-    }
-});
-app.get('/api/students/notifications', async (req, res) => {
-  const { rollNo } = req.query;
+app.get('/api/students/notifications', requireStudentAuth, async (req, res) => {
+  const rollNo = req.studentAuth.email;
   // TODO: Replace with real data lookup
   const dummyNotifications = [
     { text: "Assignment deadline extended!", timestamp: new Date(), read: false },
@@ -1283,70 +1666,61 @@ app.get('/api/students/notifications', async (req, res) => {
   res.json({ data: dummyNotifications });
 });
 
-app.post('/api/students/notifications/read', (req, res) => {
-  const { rollNo } = req.body;
+app.post('/api/students/notifications/read', requireStudentAuth, (req, res) => {
+  const rollNo = req.studentAuth.email;
   // TODO: Implement actual DB update here
   console.log(`Marking all notifications as read for rollNo: ${rollNo}`);
   res.json({ status: 'success' });
 });
 
-app.get("/api/students/:rollNo/attendance", async (req, res) => {
+app.get("/api/students/:rollNo/attendance", requireStudentAuth, requireOwnStudentParam("rollNo"), async (req, res) => {
     try {
         const { rollNo } = req.params;
         const period = req.query.period || 'current';
         const institutionId = String(req.query.institutionId || "").trim();
+        const institutionFilter = resolveStudentInstitutionFilter(req.studentAuth, institutionId);
         
-        const studentFilter = { universityRollNo: rollNo };
-        if (institutionId) studentFilter.institutionId = institutionId;
+        const studentFilter = { universityRollNo: rollNo, institutionId: institutionFilter };
         const student = await StudentProfile.findOne(studentFilter);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
-        const dateRange = {
-            current: () => ({ 
-                start: new Date(new Date().setMonth(new Date().getMonth() - 4)), 
-                end: new Date() 
-            }),
-            last: () => ({ 
-                start: new Date(new Date().setMonth(new Date().getMonth() - 8)), 
-                end: new Date(new Date().setMonth(new Date().getMonth() - 4)) 
-            }),
-            year: () => ({ 
-                start: new Date(new Date().setFullYear(new Date().getFullYear() - 1)), 
-                end: new Date() 
-            })
-        };
+        // Attendance dates are the institution's calendar dates.
+        const timeZone = await getInstitutionTimeZone(institutionId || student.institutionId);
+        const dateFilter = getAttendancePeriodFilter(period, timeZone);
 
-        const { start, end } = dateRange[period] ? dateRange[period]() : dateRange.current();
+        const attendanceFilterBase = { institutionId: institutionFilter };
 
-        const attendanceFilterBase = {};
-        if (institutionId) attendanceFilterBase.institutionId = institutionId;
-
-        const allAttendance = await Attendance.find({
-            ...attendanceFilterBase,
-            date: {
-                $gte: new Date(start).toISOString().split('T')[0],
-                $lte: new Date(end).toISOString().split('T')[0]
-            }
-        }).distinct('date');
-
-        const totalClasses = allAttendance.length;
+        // Scheduled classes of the student's courses, or the institution's
+        // distinct attendance dates when they are not enrolled anywhere.
+        const studentEmail = req.studentAuth.email;
+        const classesHeldByEmail = await countClassesHeldByEmail(student.institutionId, {
+            emails: [studentEmail],
+            from: dateFilter.$gte,
+            to: dateFilter.$lte,
+            timeZone
+        });
+        const totalClasses = classesHeldByEmail.has(studentEmail)
+            ? classesHeldByEmail.get(studentEmail)
+            : (await Attendance.find({ ...attendanceFilterBase, date: dateFilter }).distinct('date')).length;
 
         const attendance = await Attendance.find({
             ...attendanceFilterBase,
             universityRollNo: rollNo,
-            date: {
-                $gte: new Date(start).toISOString().split('T')[0],
-                $lte: new Date(end).toISOString().split('T')[0]
-            }
+            date: dateFilter
         }).sort({ date: 1 });
 
-        const presentDays = attendance.filter(a => a.status === 'present').length;
-        const percentage = totalClasses > 0 ? Math.round((presentDays / totalClasses) * 100) : 0;
+        const presentDays = attendance.filter(a => ATTENDED_STATUSES.includes(a.status)).length;
+        // Excused meetings do not count against the student.
+        const excusedClasses = attendance.filter(a => a.status === 'excused').length;
+        const countedClasses = Math.max(0, totalClasses - excusedClasses);
+        const percentage = countedClasses > 0
+            ? Math.round((presentDays / countedClasses) * 100)
+            : (totalClasses > 0 ? 100 : 0);
 
         const monthlyData = attendance.reduce((acc, record) => {
-            const monthYear = new Date(record.date).toLocaleString('default', { month: 'short', year: 'numeric' });
+            const monthYear = new Date(record.date).toLocaleString('default', { month: 'short', year: 'numeric', timeZone: 'UTC' });
             if (!acc[monthYear]) acc[monthYear] = { present: 0, total: 0 };
             // This total might be per student, not overall if a class was held but student was absent.
             // For overall total, we'd need all class dates.
@@ -1356,8 +1730,9 @@ app.get("/api/students/:rollNo/attendance", async (req, res) => {
             // Count total based on all class dates in that month
             // This part is tricky, depends on how `allAttendance` (all unique class dates) is used here.
             // For simplicity, current approach is okay.
+            if (record.status === 'excused') return acc;
             acc[monthYear].total++; // This counts student's records
-            if (record.status === 'present') acc[monthYear].present++;
+            if (ATTENDED_STATUSES.includes(record.status)) acc[monthYear].present++;
             return acc;
         }, {});
 
@@ -1371,7 +1746,8 @@ app.get("/api/students/:rollNo/attendance", async (req, res) => {
             data: {
                 attendanceRecords: attendance,
                 attendancePercentage: percentage,
-                totalClasses: totalClasses,
+                totalClasses: countedClasses,
+                excusedClasses: excusedClasses,
                 presentDays: presentDays,
                 chartData: {
                     labels,
@@ -1383,10 +1759,10 @@ app.get("/api/students/:rollNo/attendance", async (req, res) => {
 
     } catch (error) {
         console.error("Error fetching attendance:", error);
-        res.status(500).json({ status: "error", message: error.message });
+        res.status(error.status || 500).json({ status: "error", message: error.message });
     }
 });
-app.get('/api/students/:rollNo/documents', async (req, res) => {
+app.get('/api/students/:rollNo/documents', requireStudentAuth, requireOwnStudentParam("rollNo"), async (req, res) => {
   const { rollNo } = req.params;
   // Dummy data, replace with DB lookup
   res.json({
@@ -1449,7 +1825,7 @@ app.get('/api/navigation/shortest-path', async (req, res) => {
 });
 
 // Knapsack/DP: Optimize profile recommendations
-app.get('/api/students/:rollNo/recommendations', async (req, res) => {
+app.get('/api/students/:rollNo/recommendations', requireStudentAuth, requireOwnStudentParam("rollNo"), async (req, res) => {
     const { rollNo } = req.params;
     const { type } = req.query; // e.g., "course", "job", "skill"
     const institutionId = String(req.query.institutionId || "").trim();
@@ -1459,8 +1835,10 @@ app.get('/api/students/:rollNo/recommendations', async (req, res) => {
     }
 
     try {
-        const profileFilter = { universityRollNo: rollNo };
-        if (institutionId) profileFilter.institutionId = institutionId;
+        const profileFilter = {
+            universityRollNo: rollNo,
+            institutionId: resolveStudentInstitutionFilter(req.studentAuth, institutionId),
+        };
         const studentProfile = await StudentProfile.findOne(profileFilter);
         if (!studentProfile) {
             return res.status(404).json({ status: "error", message: "Student profile not found." });
@@ -1495,12 +1873,12 @@ app.get('/api/students/:rollNo/recommendations', async (req, res) => {
          if (error.message.includes("module not loaded")) {
              return res.status(501).json({ status: "error", message: "Recommendation module is not available." });
         }
-        res.status(500).json({ status: "error", message: error.message });
+        res.status(error.status || 500).json({ status: "error", message: error.message });
     }
 });
 
 // DFS/BFS: Community network or graph-based friend explorer
-app.get('/api/students/:rollNo/community', async (req, res) => {
+app.get('/api/students/:rollNo/community', requireStudentAuth, requireOwnStudentParam("rollNo"), async (req, res) => {
     const { rollNo } = req.params;
     const depth = parseInt(req.query.depth) || 2; // Default depth
     const algorithm = req.query.algorithm || 'bfs'; // 'bfs' or 'dfs'
@@ -1514,8 +1892,8 @@ app.get('/api/students/:rollNo/community', async (req, res) => {
     }
 
     try {
-        const studentFilter = { universityRollNo: rollNo };
-        if (institutionId) studentFilter.institutionId = institutionId;
+        const institutionFilter = resolveStudentInstitutionFilter(req.studentAuth, institutionId);
+        const studentFilter = { universityRollNo: rollNo, institutionId: institutionFilter };
         const studentExists = await StudentProfile.findOne(studentFilter).select('_id');
         if (!studentExists) {
             return res.status(404).json({ status: "error", message: "Starting student profile not found." });
@@ -1525,7 +1903,7 @@ app.get('/api/students/:rollNo/community', async (req, res) => {
         // This would typically be constructed by querying relationships from the database.
         // For example, find all students in the same section, or explicit friend connections.
         // Let's mock a simple graph structure for now.
-        const allStudents = await StudentProfile.find(institutionId ? { institutionId } : {})
+        const allStudents = await StudentProfile.find({ institutionId: institutionFilter })
           .select('universityRollNo name section')
           .lean();
         const mockConnections = [ // Simulate some connections
@@ -1548,7 +1926,7 @@ app.get('/api/students/:rollNo/community', async (req, res) => {
         if (error.message.includes("module not loaded")) {
              return res.status(501).json({ status: "error", message: "Graph traversal module is not available." });
         }
-        res.status(500).json({ status: "error", message: error.message });
+        res.status(error.status || 500).json({ status: "error", message: error.message });
     }
 });
 
@@ -1634,6 +2012,7 @@ async function ensureDefaultInstitutionAndBackfill() {
 
 async function ensureIndexes() {
   await dropIndexIfExists(Course, "course_code_section_idx");
+  await dropIndexIfExists(Course, "institution_course_code_section_idx");
   await dropIndexIfExists(TeacherCourseAssignment, "teacher_course_unique_idx");
   await dropIndexIfExists(CourseEnrollment, "course_enrollment_unique_idx");
   await dropIndexIfExists(CourseEnrollment, "course_section_classroll_idx");
@@ -1646,6 +2025,8 @@ async function ensureIndexes() {
   await dropIndexIfExists(Attendance, "student_course_date_attendance_idx");
   await dropIndexIfExists(Attendance, "device_course_date_attendance_idx");
   await dropIndexIfExists(Attendance, "course_date_attendance_idx");
+  await dropIndexIfExists(QRLog, "qrlog_expires_ttl_idx");
+  await dropIndexIfExists(CampusLocation, "name_1");
 
   await Institution.createIndexes([
     { key: { code: 1 }, name: "institution_code_unique_idx", unique: true },
@@ -1656,6 +2037,63 @@ async function ensureIndexes() {
     { key: { institutionId: 1, universityRollNo: 1, courseId: 1, date: 1 }, name: "institution_student_course_date_attendance_idx" },
     { key: { institutionId: 1, deviceFingerprint: 1, courseId: 1, date: 1 }, name: "institution_device_course_date_attendance_idx" },
     { key: { institutionId: 1, courseId: 1, date: 1 }, name: "institution_course_date_attendance_idx" },
+    { key: { institutionId: 1, meetingId: 1, studentEmail: 1 }, name: "institution_meeting_student_attendance_idx" },
+    { key: { institutionId: 1, meetingId: 1, deviceFingerprint: 1 }, name: "institution_meeting_device_attendance_idx" },
+    { key: { institutionId: 1, signatureHash: 1 }, name: "institution_signature_attendance_idx", sparse: true },
+  ]);
+  await AttendanceFlag.createIndexes([
+    { key: { institutionId: 1, rule: 1, key: 1 }, name: "institution_rule_key_flag_unique_idx", unique: true },
+  ]);
+  await CampusLocation.createIndexes([
+    { key: { institutionId: 1, name: 1 }, name: "institution_campus_location_name_unique_idx", unique: true },
+  ]);
+  await LoginThrottle.createIndexes([
+    { key: { ipAddress: 1 }, name: "login_throttle_ip_unique_idx", unique: true },
+    { key: { expiresAt: 1 }, name: "login_throttle_expires_ttl_idx", expireAfterSeconds: 0 },
+  ]);
+  await AdminSession.createIndexes([
+    { key: { userId: 1, revokedAt: 1, expiresAt: 1 }, name: "admin_session_user_active_idx" },
+    { key: { expiresAt: 1 }, name: "admin_session_expires_ttl_idx", expireAfterSeconds: 0 },
+  ]);
+  await StudentDevice.createIndexes([
+    { key: { institutionId: 1, email: 1, status: 1 }, name: "institution_student_device_status_idx" },
+    { key: { institutionId: 1, status: 1, updatedAt: -1 }, name: "institution_device_status_updated_idx" },
+  ]);
+  await AuditLog.createIndexes([
+    { key: { institutionId: 1, createdAt: -1 }, name: "institution_audit_created_idx" },
+    { key: { institutionId: 1, entityType: 1, entityId: 1, createdAt: -1 }, name: "institution_audit_entity_idx" },
+  ]);
+  await AcademicTerm.createIndexes([
+    { key: { institutionId: 1, name: 1 }, name: "institution_term_name_unique_idx", unique: true },
+    { key: { institutionId: 1, startDate: -1 }, name: "institution_term_start_idx" },
+  ]);
+  await Program.createIndexes([
+    { key: { institutionId: 1, code: 1 }, name: "institution_program_code_unique_idx", unique: true },
+  ]);
+  await ProgramVersion.createIndexes([
+    {
+      key: { institutionId: 1, programId: 1, code: 1 },
+      name: "institution_program_version_code_unique_idx",
+      unique: true,
+    },
+  ]);
+  await CatalogCourse.createIndexes([
+    { key: { institutionId: 1, code: 1 }, name: "institution_catalog_course_code_unique_idx", unique: true },
+    { key: { institutionId: 1, programVersionId: 1 }, name: "institution_catalog_course_program_version_idx" },
+  ]);
+  await StudentLoginCode.createIndexes([
+    { key: { email: 1, createdAt: -1 }, name: "student_login_code_email_created_idx" },
+    { key: { expiresAt: 1 }, name: "student_login_code_expires_ttl_idx", expireAfterSeconds: 0 },
+  ]);
+  await QRLog.createIndexes([
+    { key: { purgeAt: 1 }, name: "qrlog_purge_ttl_idx", expireAfterSeconds: 0 },
+  ]);
+  await ClassMeeting.createIndexes([
+    {
+      key: { institutionId: 1, courseId: 1, date: 1, sequence: 1 },
+      name: "institution_course_date_sequence_meeting_idx",
+      unique: true,
+    },
   ]);
   await StudentProfile.createIndexes([
     { key: { institutionId: 1, universityRollNo: 1 }, name: "institution_student_rollno_profile_idx", unique: true },
@@ -1668,7 +2106,14 @@ async function ensureIndexes() {
     { key: { institutionId: 1, role: 1, isActive: 1, name: 1 }, name: "authuser_institution_role_active_name_idx" },
   ]);
   await Course.createIndexes([
-    { key: { institutionId: 1, code: 1, section: 1 }, name: "institution_course_code_section_idx", unique: true },
+    {
+      key: { institutionId: 1, code: 1, academicYear: 1, termId: 1, section: 1 },
+      name: "institution_course_code_year_term_section_idx",
+      unique: true,
+    },
+    { key: { institutionId: 1, catalogCourseId: 1 }, name: "institution_course_catalog_idx" },
+    { key: { institutionId: 1, termId: 1 }, name: "institution_course_term_idx" },
+    { key: { institutionId: 1, programVersionId: 1 }, name: "institution_course_program_version_idx" },
   ]);
   await TeacherCourseAssignment.createIndexes([
     { key: { institutionId: 1, teacherId: 1, courseId: 1 }, name: "institution_teacher_course_unique_idx", unique: true },
@@ -1698,8 +2143,13 @@ mongoose.connect(process.env.MONGO_URI)
     try {
       const defaultInstitution = await ensureDefaultInstitutionAndBackfill();
       await ensureIndexes();
+      console.log("Class meeting backfill:", await backfillAttendanceMeetings());
+      console.log("Course catalog backfill:", await backfillCourseCatalog());
+      setInterval(() => {
+        closeIdleClassMeetings().catch((error) => console.error("Class meeting sweep error:", error));
+      }, 5 * 60 * 1000);
       console.log(
-        "Indexes ensured/created with institution scope for Attendance, StudentProfile, User, AuthUser, Course, TeacherCourseAssignment and CourseEnrollment.",
+        "Indexes ensured/created with institution scope for Attendance, QRLog, ClassMeeting, StudentProfile, User, AuthUser, Course, TeacherCourseAssignment and CourseEnrollment.",
       );
       console.log(`Active default institution: ${defaultInstitution.name} (${defaultInstitution.code})`);
     } catch (err) {
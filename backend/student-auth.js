@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const CourseEnrollment = require("./models/CourseEnrollment");
+const StudentLoginCode = require("./models/StudentLoginCode");
+const { createScopedToken, verifyAuthToken } = require("./middleware/auth");
+const { getClientIp } = require("./login-security");
+const { buildAppUrl, sendMail } = require("./mailer");
+
+// Student tokens carry this scope, so the staff requireAuth never accepts
+// them and requireStudentAuth accepts nothing else.
+const STUDENT_SCOPE = "student";
+const STUDENT_TOKEN_TTL_HOURS = Number(process.env.STUDENT_TOKEN_TTL_HOURS || 12);
+const STUDENT_LOGIN_CODE_TTL_MINUTES = Number(process.env.STUDENT_LOGIN_CODE_TTL_MINUTES || 10);
+const STUDENT_LOGIN_CODE_MAX_ATTEMPTS = 5;
+// A new code is not sent while the previous one is younger than this.
+const STUDENT_LOGIN_RESEND_SECONDS = 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createStudentAuthError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function hashLoginSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function safeEqual(left, right) {
+  const leftBuffer = Buffer.from(String(left || ""));
+  const rightBuffer = Buffer.from(String(right || ""));
+  return leftBuffer.length === rightBuffer.length && crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+// A student is whoever holds an email with at least one active course
+// enrollment. Returns null when there is none.
+async function loadStudentIdentity(email) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalizedEmail)) return null;
+
+  const enrollments = await CourseEnrollment.find({ email: normalizedEmail, isActive: true })
+    .select("institutionId universityRollNo fullName")
+    .sort({ updatedAt: -1 })
+    .lean();
+  if (!enrollments.length) return null;
+
+  return {
+    email: normalizedEmail,
+    name: enrollments[0].fullName,
+    institutionIds: [...new Set(enrollments.map((enrollment) => String(enrollment.institutionId)))],
+    universityRollNos: [...new Set(enrollments.map((enrollment) => enrollment.universityRollNo).filter(Boolean))],
+  };
+}
+
+// Roll-number style identifiers in student URLs must be the student's own
+// email or one of their enrolled university roll numbers.
+function isOwnStudentIdentifier(student, identifier) {
+  const value = String(identifier || "").trim();
+  if (!value) return false;
+  return value.toLowerCase() === student.email || student.universityRollNos.includes(value.toUpperCase());
+}
+
+// Institution filter for a student's queries: the requested institution when
+// the student is enrolled there, otherwise all of theirs.
+function resolveStudentInstitutionFilter(student, requestedInstitutionId) {
+  const requested = String(requestedInstitutionId || "").trim();
+  if (!requested) {
+    return { $in: student.institutionIds.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+  if (!student.institutionIds.includes(requested)) {
+    throw createStudentAuthError("You are not enrolled at this institution", 403);
+  }
+  return requested;
+}
+
+function issueStudentToken(student) {
+  return {
+    token: createScopedToken(STUDENT_SCOPE, { sub: student.email }, STUDENT_TOKEN_TTL_HOURS * 60 * 60),
+    expiresInSeconds: STUDENT_TOKEN_TTL_HOURS * 60 * 60,
+    student: { email: student.email, name: student.name },
+  };
+}
+
+// Resolves a student bearer token to the current identity; enrollment is
+// re-checked so dropping a student from every roster ends their access.
+async function authenticateStudentToken(token) {
+  let payload;
+  try {
+    payload = verifyAuthToken(String(token || ""));
+  } catch (error) {
+    throw createStudentAuthError(error.message || "Unauthorized", 401);
+  }
+  if (payload.scope !== STUDENT_SCOPE) {
+    throw createStudentAuthError("Student sign-in required", 401);
+  }
+
+  const student = await loadStudentIdentity(payload.sub);
+  if (!student) {
+    throw createStudentAuthError("No active course enrollment for this account", 401);
+  }
+  return student;
+}
+
+// Emails a sign-in code and magic link when the address belongs to an
+// enrolled student. Unknown addresses get no mail and no error, so the
+// endpoint cannot be used to probe rosters.
+async function requestLoginCode(email, req) {
+  const student = await loadStudentIdentity(email);
+  if (!student) return;
+
+  const recent = await StudentLoginCode.findOne({
+    email: student.email,
+    consumedAt: null,
+    createdAt: { $gt: new Date(Date.now() - STUDENT_LOGIN_RESEND_SECONDS * 1000) },
+  }).lean();
+  if (recent) return;
+
+  // Only the newest code works.
+  await StudentLoginCode.updateMany(
+    { email: student.email, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const linkSecret = crypto.randomBytes(32).toString("base64url");
+  const loginCode = await StudentLoginCode.create({
+    email: student.email,
+    codeHash: hashLoginSecret(`${student.email}:${code}`),
+    linkSecretHash: hashLoginSecret(linkSecret),
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + STUDENT_LOGIN_CODE_TTL_MINUTES * 60 * 1000),
+  });
+
+  const linkToken = `${loginCode._id}.${linkSecret}`;
+  await sendMail({
+    to: student.email,
+    subject: `Your QR Attendance sign-in code: ${code}`,
+    paragraphs: [
+      `Hello ${student.name},`,
+      `Your sign-in code is ${code}. It expires in ${STUDENT_LOGIN_CODE_TTL_MINUTES} minutes.`,
+      "You can also sign in on this device with the link below.",
+      "If you did not ask to sign in, ignore this email.",
+    ],
+    action: { label: "Sign in", url: buildAppUrl(`dashboard.html?login=${encodeURIComponent(linkToken)}`) },
+  });
+}
+
+async function consumeLoginCode(loginCodeId) {
+  const consumed = await StudentLoginCode.findOneAndUpdate(
+    { _id: loginCodeId, consumedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  ).lean();
+  return Boolean(consumed);
+}
+
+async function signInWithLoginCode(email, code) {
+  const normalizedEmail = normalizeEmail(email);
+  const normalizedCode = String(code || "").replace(/\s+/g, "");
+  const invalidCodeError = createStudentAuthError("Invalid or expired code. Request a new one.", 401);
+  if (!normalizedEmail || !/^\d{6}$/.test(normalizedCode)) {
+    throw invalidCodeError;
+  }
+
+  const loginCode = await StudentLoginCode.findOne({
+    email: normalizedEmail,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ createdAt: -1 })
+    .select("+codeHash")
+    .lean();
+  if (!loginCode || loginCode.attempts >= STUDENT_LOGIN_CODE_MAX_ATTEMPTS) {
+    throw invalidCodeError;
+  }
+
+  if (!safeEqual(loginCode.codeHash, hashLoginSecret(`${normalizedEmail}:${normalizedCode}`))) {
+    const update = { $inc: { attempts: 1 } };
+    if (loginCode.attempts + 1 >= STUDENT_LOGIN_CODE_MAX_ATTEMPTS) {
+      update.$set = { consumedAt: new Date() };
+    }
+    await StudentLoginCode.updateOne({ _id: loginCode._id }, update);
+    throw invalidCodeError;
+  }
+
+  if (!(await consumeLoginCode(loginCode._id))) {
+    throw invalidCodeError;
+  }
+  return finishSignIn(normalizedEmail);
+}
+
+async function signInWithLoginLink(linkToken) {
+  const invalidLinkError = createStudentAuthError("This sign-in link is invalid or has expired. Request a new one.", 401);
+  const [loginCodeId, secret, extra] = String(linkToken || "").trim().split(".");
+  if (extra !== undefined || !secret || !mongoose.Types.ObjectId.isValid(loginCodeId)) {
+    throw invalidLinkError;
+  }
+
+  const loginCode = await StudentLoginCode.findById(loginCodeId).select("+linkSecretHash").lean();
+  if (!loginCode || !safeEqual(loginCode.linkSecretHash, hashLoginSecret(secret))) {
+    throw invalidLinkError;
+  }
+  if (!(await consumeLoginCode(loginCode._id))) {
+    throw invalidLinkError;
+  }
+  return finishSignIn(loginCode.email);
+}
+
+async function finishSignIn(email) {
+  const student = await loadStudentIdentity(email);
+  if (!student) {
+    throw createStudentAuthError("No active course enrollment for this account", 403);
+  }
+  return issueStudentToken(student);
+}
+
+module.exports = {
+  STUDENT_SCOPE,
+  loadStudentIdentity,
+  isOwnStudentIdentifier,
+  resolveStudentInstitutionFilter,
+  authenticateStudentToken,
+  requestLoginCode,
+  signInWithLoginCode,
+  signInWithLoginLink,
+};
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const StudentDevice = require("./models/StudentDevice");
+const { createScopedToken, verifyAuthToken } = require("./middleware/auth");
+const { getClientIp } = require("./login-security");
+
+const STUDENT_DEVICE_SCOPE = "student_device";
+// Devices a student can bind without an admin; further ones wait as pending.
+const STUDENT_MAX_DEVICES = Math.max(1, Number(process.env.STUDENT_MAX_DEVICES || 2));
+const STUDENT_MAX_PENDING_DEVICES = 3;
+const DEVICE_CREDENTIAL_TTL_DAYS = Number(process.env.STUDENT_DEVICE_CREDENTIAL_TTL_DAYS || 365);
+// lastUsedAt is written at most this often per device.
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function createDeviceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function mapStudentDevice(device) {
+  return {
+    id: String(device._id),
+    institutionId: String(device.institutionId),
+    email: device.email,
+    label: device.label || "",
+    userAgent: device.userAgent || "",
+    status: device.status,
+    registeredIp: device.registeredIp || "",
+    lastUsedAt: device.lastUsedAt || null,
+    lastUsedIp: device.lastUsedIp || "",
+    approvedByName: device.approvedByName || null,
+    approvedAt: device.approvedAt || null,
+    revokedByName: device.revokedByName || null,
+    revokedAt: device.revokedAt || null,
+    revokedReason: device.revokedReason || null,
+    createdAt: device.createdAt || null,
+  };
+}
+
+// The credential names the device and the student it was bound to; the
+// signature means a client cannot make one up.
+function issueDeviceCredential(device) {
+  return createScopedToken(
+    STUDENT_DEVICE_SCOPE,
+    { sub: String(device._id), email: device.email, ins: String(device.institutionId) },
+    DEVICE_CREDENTIAL_TTL_DAYS * 24 * 60 * 60
+  );
+}
+
+// Binds the calling browser to the signed-in student at `institutionId`.
+async function registerStudentDevice(student, institutionId, req, { label = "" } = {}) {
+  const normalizedInstitutionId = String(institutionId || "").trim();
+  if (!student.institutionIds.includes(normalizedInstitutionId)) {
+    throw createDeviceError("You are not enrolled at this institution", 403);
+  }
+
+  const owner = { institutionId: normalizedInstitutionId, email: student.email };
+  const [activeCount, pendingCount] = await Promise.all([
+    StudentDevice.countDocuments({ ...owner, status: "active" }),
+    StudentDevice.countDocuments({ ...owner, status: "pending" }),
+  ]);
+  const status = activeCount < STUDENT_MAX_DEVICES ? "active" : "pending";
+  if (status === "pending" && pendingCount >= STUDENT_MAX_PENDING_DEVICES) {
+    throw createDeviceError("Too many devices are waiting for approval. Ask your administrator.", 409);
+  }
+
+  const ipAddress = getClientIp(req);
+  const device = await StudentDevice.create({
+    ...owner,
+    label: String(label || "").trim().slice(0, 100),
+    userAgent: String(req.get("user-agent") || "").slice(0, 400),
+    status,
+    registeredIp: ipAddress,
+    lastUsedIp: ipAddress,
+  });
+  return { device, credential: issueDeviceCredential(device) };
+}
+
+// Checks a credential presented with a scan. Returns { device } for an active
+// device of this student at this institution, otherwise { device: null,
+// reason } with reason missing, invalid, pending or revoked.
+async function resolveDeviceCredential(credential, { email, institutionId }) {
+  const token = String(credential || "").trim();
+  if (!token) return { device: null, reason: "missing" };
+
+  let payload;
+  try {
+    payload = verifyAuthToken(token);
+  } catch (error) {
+    return { device: null, reason: "invalid" };
+  }
+  if (
+    payload.scope !== STUDENT_DEVICE_SCOPE ||
+    payload.email !== email ||
+    payload.ins !== String(institutionId) ||
+    !mongoose.Types.ObjectId.isValid(String(payload.sub || ""))
+  ) {
+    return { device: null, reason: "invalid" };
+  }
+
+  const device = await StudentDevice.findOne({ _id: payload.sub, institutionId, email }).lean();
+  if (!device) return { device: null, reason: "invalid" };
+  if (device.status !== "active") return { device: null, reason: device.status };
+  return { device };
+}
+
+async function touchStudentDevice(device, req) {
+  const now = new Date();
+  if (device.lastUsedAt && now - new Date(device.lastUsedAt) < LAST_USED_INTERVAL_MS) return;
+  await StudentDevice.updateOne(
+    { _id: device._id },
+    { $set: { lastUsedAt: now, lastUsedIp: getClientIp(req) } }
+  );
+}
+
+async function approveStudentDevice(deviceId, institutionId, actor) {
+  const approved = await StudentDevice.findOneAndUpdate(
+    { _id: deviceId, institutionId, status: { $ne: "active" } },
+    {
+      $set: {
+        status: "active",
+        approvedBy: actor.userId,
+        approvedByName: actor.name || null,
+        approvedAt: new Date(),
+        revokedBy: null,
+        revokedByName: null,
+        revokedAt: null,
+        revokedReason: null,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!approved) {
+    throw createDeviceError("Device not found or already active", 404);
+  }
+  return approved;
+}
+
+function buildRevocation(actor, reason) {
+  return {
+    status: "revoked",
+    revokedBy: actor.userId,
+    revokedByName: actor.name || null,
+    revokedAt: new Date(),
+    revokedReason: reason || null,
+  };
+}
+
+async function revokeStudentDevice(deviceId, institutionId, actor, reason) {
+  const revoked = await StudentDevice.findOneAndUpdate(
+    { _id: deviceId, institutionId, status: { $ne: "revoked" } },
+    { $set: buildRevocation(actor, reason) },
+    { new: true }
+  ).lean();
+  if (!revoked) {
+    throw createDeviceError("Device not found or already revoked", 404);
+  }
+  return revoked;
+}
+
+// Revokes every device of a student so their next device binds afresh
+// (e.g. after a lost phone).
+async function resetStudentDevices(email, institutionId, actor, reason) {
+  const result = await StudentDevice.updateMany(
+    { institutionId, email, status: { $ne: "revoked" } },
+    { $set: buildRevocation(actor, reason || "reset") }
+  );
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  STUDENT_MAX_DEVICES,
+  mapStudentDevice,
+  registerStudentDevice,
+  resolveDeviceCredential,
+  touchStudentDevice,
+  approveStudentDevice,
+  revokeStudentDevice,
+  resetStudentDevices,
+};
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const AuthUser = require("./models/AuthUser");
+
+// RFC 6238 TOTP as used by authenticator apps: SHA-1, 6 digits, 30 seconds.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps accepted on either side of the current one, for clock drift.
+const TOTP_DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "QR Attendance";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+// Secrets are stored encrypted; the key defaults to one derived from the
+// auth secret.
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.AUTH_SECRET || process.env.QR_SECRET_KEY || "change-me-auth-secret"))
+  .digest();
+
+function createTwoFactorError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored || "").split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Returns the matching time step, or null.
+function findTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const expected = generateTotp(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// Plain codes are shown once; only their hashes are kept.
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Starts enrollment: stores a pending secret and returns what the
+// authenticator app needs. The secret becomes active in confirmEnrollment.
+async function beginEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  await AuthUser.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+  return {
+    secret,
+    otpauthUrl,
+    qrDataUrl: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 }),
+  };
+}
+
+async function confirmEnrollment(userId, code) {
+  const user = await AuthUser.findById(userId).select("+twoFactorPendingSecret");
+  if (!user?.twoFactorPendingSecret) {
+    throw createTwoFactorError("Start two-factor setup first", 400);
+  }
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = findTotpStep(secret, code);
+  if (step === null) {
+    throw createTwoFactorError("Invalid verification code", 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await AuthUser.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes,
+      },
+    }
+  );
+  return codes;
+}
+
+// Checks a TOTP code (each time step is accepted once) or consumes a
+// recovery code. `user` needs +twoFactorSecret.
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await AuthUser.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1 ? { method: "recovery_code" } : null;
+  }
+
+  if (!user.twoFactorSecret) return null;
+  const step = findTotpStep(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return null;
+  const result = await AuthUser.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount === 1 ? { method: "totp" } : null;
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await AuthUser.updateOne({ _id: userId }, { $set: { twoFactorRecoveryCodes: hashes } });
+  return codes;
+}
+
+async function disableTwoFactor(userId) {
+  await AuthUser.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: [],
+      },
+    }
+  );
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -7,17 +7,19 @@ function getSessionId() {
     return urlParams.get('sessionId');
 }
 
-const sessionId = getSessionId();
-const pageQueryParams = new URLSearchParams(window.location.search);
-let activeInstitutionId = pageQueryParams.get('institutionId') || '';
+function getSessionToken() {
+    const hashParams = new URLSearchParams(window.location.hash.substring(1));
+    const hashToken = hashParams.get('token');
+    if (hashToken) return hashToken;
 
-function normalizeEmail(value) {
-    return String(value || '').trim().toLowerCase();
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get('token') || '';
 }
 
-function isValidEmail(value) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
-}
+const sessionId = getSessionId();
+const sessionToken = getSessionToken();
+const pageQueryParams = new URLSearchParams(window.location.search);
+let activeInstitutionId = pageQueryParams.get('institutionId') || '';
 
 function resolveAssetUrl(rawUrl) {
     const value = String(rawUrl || '').trim();
@@ -100,11 +102,49 @@ document.addEventListener('DOMContentLoaded', () => {
     const submitButton = form.querySelector("button[type='submit']");
     const API_ENDPOINT = '/mark-attendance';
     let isSubmitting = false;
+    let submitLabel = 'Submit Attendance';
 
     function restoreSubmitState() {
         isSubmitting = false;
         submitButton.disabled = false;
-        submitButton.innerHTML = 'Submit Attendance';
+        submitButton.innerHTML = submitLabel;
+    }
+
+    const signInContainer = document.getElementById('studentSignIn');
+    const signedInPanel = document.getElementById('studentSignedIn');
+
+    // The form submits as the signed-in student; without a student token only
+    // the sign-in step is usable.
+    function renderStudentIdentity() {
+        const student = window.studentAuth.getStudent();
+        if (!student) {
+            signedInPanel.classList.add('hidden');
+            signInContainer.classList.remove('hidden');
+            window.studentAuth.renderSignInForm(signInContainer, { onSignedIn: renderStudentIdentity });
+            return;
+        }
+        document.getElementById('signedInName').textContent = student.name || '';
+        document.getElementById('signedInEmail').textContent = student.email || '';
+        signInContainer.classList.add('hidden');
+        signInContainer.innerHTML = '';
+        signedInPanel.classList.remove('hidden');
+    }
+
+    document.getElementById('studentSignOut').addEventListener('click', () => {
+        window.studentAuth.signOut();
+        renderStudentIdentity();
+    });
+    // Signing in through the emailed link in another tab applies here too.
+    window.addEventListener('storage', (event) => {
+        if (event.key === 'studentToken') renderStudentIdentity();
+    });
+    renderStudentIdentity();
+
+    function openDashboard() {
+        const institutionQuery = activeInstitutionId
+            ? `?institutionId=${encodeURIComponent(activeInstitutionId)}`
+            : '';
+        window.location.href = `/dashboard.html${institutionQuery}`;
     }
 
     const institutionLogo = document.getElementById('institutionLogo');
@@ -140,6 +180,10 @@ document.addEventListener('DOMContentLoaded', () => {
             activeInstitutionId = String(validationData.session.institutionId);
         }
         setInstitutionBrand(validationData.session.institutionBrand || {});
+        if (validationData.session.mode === 'check_out') {
+            submitLabel = 'Check Out';
+            if (!isSubmitting) submitButton.innerHTML = submitLabel;
+        }
     }
 
     async function validateSessionContext() {
@@ -148,7 +192,7 @@ document.addEventListener('DOMContentLoaded', () => {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ sessionId }),
+            body: JSON.stringify({ sessionId, token: sessionToken }),
         });
 
         const validationData = await validationResponse.json();
@@ -345,26 +389,24 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
-            submitButton.disabled = true;
-            submitButton.innerHTML = 'Processing...';
-
-            const name = String(document.getElementById('name').value || '').trim();
-            const email = normalizeEmail(document.getElementById('email').value);
-
-            if (!name || !email) {
-                statusElement.innerText = 'Please fill Full Name and Email';
+            if (validationData.session && validationData.session.tokenValid === false) {
+                statusElement.innerText = 'This QR code has rotated. Please scan the code currently on screen.';
                 statusElement.className = 'text-center mt-4 text-sm text-red-600';
                 restoreSubmitState();
                 return;
             }
 
-            if (!isValidEmail(email)) {
-                statusElement.innerText = 'Please enter a valid email';
+            if (!window.studentAuth.getToken()) {
+                statusElement.innerText = 'Please sign in with your enrolled email first';
                 statusElement.className = 'text-center mt-4 text-sm text-red-600';
+                renderStudentIdentity();
                 restoreSubmitState();
                 return;
             }
 
+            submitButton.disabled = true;
+            submitButton.innerHTML = 'Processing...';
+
             const requiresSignature = validationData?.session?.requiresSignature !== false;
             if (requiresSignature && (!signatureCanvas || !signatureCtx || !signatureDirty)) {
                 statusElement.innerText = 'Please add your signature';
@@ -394,6 +436,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             (position) => resolve({
                                 lat: position.coords.latitude,
                                 lng: position.coords.longitude,
+                                accuracy: position.coords.accuracy,
                             }),
                             (error) => reject(error),
                             { timeout: 10000, enableHighAccuracy: true }
@@ -412,6 +455,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             (position) => resolve({
                                 lat: position.coords.latitude,
                                 lng: position.coords.longitude,
+                                accuracy: position.coords.accuracy,
                             }),
                             () => resolve(null),
                             { timeout: 5000, enableHighAccuracy: true }
@@ -422,19 +466,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
 
+            // First scan at an institution binds this browser to the student.
+            let deviceCredential = activeInstitutionId
+                ? window.studentAuth.getDeviceCredential(activeInstitutionId)
+                : null;
+            if (!deviceCredential && activeInstitutionId) {
+                try {
+                    await window.studentAuth.registerDevice(activeInstitutionId);
+                    deviceCredential = window.studentAuth.getDeviceCredential(activeInstitutionId);
+                } catch (error) {
+                    if (validationData?.session?.requiresRegisteredDevice) {
+                        statusElement.innerText = error.message;
+                        statusElement.className = 'text-center mt-4 text-sm text-red-600';
+                        restoreSubmitState();
+                        return;
+                    }
+                }
+            }
+
             const payload = {
-                name,
-                email,
                 deviceFingerprint: fingerprint,
+                deviceCredential: deviceCredential || undefined,
                 signatureDataUrl,
                 sessionId,
+                token: sessionToken,
             };
             if (location && Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
                 payload.location = location;
             }
 
             try {
-                const response = await fetch(API_ENDPOINT, {
+                const response = await window.studentAuth.fetch(API_ENDPOINT, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -451,24 +513,27 @@ document.addEventListener('DOMContentLoaded', () => {
                 ) {
                     statusElement.innerText = data.message;
                     statusElement.className = 'text-center mt-4 text-sm text-yellow-600';
-                    const institutionQuery = activeInstitutionId
-                        ? `&institutionId=${encodeURIComponent(activeInstitutionId)}`
-                        : '';
-                    window.location.href = `/dashboard.html?rollNo=${encodeURIComponent(email)}${institutionQuery}`;
+                    openDashboard();
                     return;
                 }
 
+                if (response.status === 401) {
+                    renderStudentIdentity();
+                }
+
+                // A broken or revoked credential is dropped so the next
+                // attempt registers this device again.
+                if (data.deviceStatus === 'invalid' || data.deviceStatus === 'revoked') {
+                    window.studentAuth.clearDeviceCredential(activeInstitutionId);
+                }
+
                 if (!response.ok) {
                     throw new Error(data.message || 'Failed to mark attendance');
                 }
 
                 statusElement.innerText = data.message;
                 statusElement.className = 'text-center mt-4 text-sm text-green-600';
-
-                const institutionQuery = activeInstitutionId
-                    ? `&institutionId=${encodeURIComponent(activeInstitutionId)}`
-                    : '';
-                window.location.href = `/dashboard.html?rollNo=${encodeURIComponent(email)}${institutionQuery}`;
+                openDashboard();
             } catch (error) {
                 console.error('API error:', error);
                 statusElement.innerText = error.message;
@@ -0,0 +1,88 @@
+// Loaded by the staff pages right after axios. Access tokens are short-lived:
+// when a request comes back 401 the stored refresh token is traded for a new
+// access token and the request is retried once. If that fails the page's own
+// 401 handling signs the user out.
+(function () {
+  const API_BASE =
+    (window.location.origin && window.location.origin !== "null")
+      ? window.location.origin
+      : "http://127.0.0.1:5001";
+
+  // Requests whose 401 means a wrong code or credentials, not an expired token.
+  const NO_RETRY_PATHS = ["/api/auth/refresh", "/api/auth/login", "/api/auth/2fa/"];
+
+  let refreshPromise = null;
+
+  async function requestNewAccessToken() {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) {
+      throw new Error("No refresh token");
+    }
+    const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      localStorage.removeItem("refreshToken");
+      throw new Error(data.message || "Session has ended");
+    }
+    localStorage.setItem("authToken", data.token);
+    if (data.refreshToken) {
+      localStorage.setItem("refreshToken", data.refreshToken);
+    }
+    return data.token;
+  }
+
+  // Concurrent 401s share one refresh.
+  function refreshAccessToken() {
+    if (!refreshPromise) {
+      refreshPromise = requestNewAccessToken().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  }
+
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error?.config;
+      const url = String(config?.url || "");
+      if (
+        error?.response?.status !== 401 ||
+        !config ||
+        config.staffAuthRetried ||
+        NO_RETRY_PATHS.some((path) => url.includes(path))
+      ) {
+        return Promise.reject(error);
+      }
+
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch (refreshError) {
+        return Promise.reject(error);
+      }
+      axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+      config.staffAuthRetried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return axios(config);
+    }
+  );
+
+  // Ends this device's session on the server; the caller clears the rest of
+  // localStorage and redirects.
+  window.signOutStaffSession = function () {
+    const refreshToken = localStorage.getItem("refreshToken");
+    localStorage.removeItem("refreshToken");
+    if (!refreshToken) return;
+    fetch(`${API_BASE}/api/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+      keepalive: true,
+    }).catch(() => {});
+  };
+})();
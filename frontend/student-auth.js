@@ -0,0 +1,224 @@
+// Passwordless student sign-in shared by the scan page and the student
+// dashboard. A student asks for a code by email, then either types the code or
+// opens the emailed link (dashboard.html?login=...). The student token is kept
+// apart from the staff authToken.
+(function () {
+  const API_BASE =
+    (window.location.origin && window.location.origin !== "null")
+      ? window.location.origin
+      : "http://127.0.0.1:5001";
+  const TOKEN_KEY = "studentToken";
+  const STUDENT_KEY = "studentUser";
+  // Device credentials by "<email>|<institutionId>"; they outlive sign-outs.
+  const DEVICE_CREDENTIALS_KEY = "studentDeviceCredentials";
+
+  function readTokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+      return Number(payload.exp || 0) * 1000;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  function getToken() {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (!token) return null;
+    if (readTokenExpiry(token) <= Date.now()) {
+      signOut();
+      return null;
+    }
+    return token;
+  }
+
+  function getStudent() {
+    if (!getToken()) return null;
+    try {
+      return JSON.parse(localStorage.getItem(STUDENT_KEY) || "null");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function signOut() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(STUDENT_KEY);
+  }
+
+  async function postJson(path, body) {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || "Request failed");
+    }
+    return data;
+  }
+
+  function storeSignIn(data) {
+    localStorage.setItem(TOKEN_KEY, data.token);
+    localStorage.setItem(STUDENT_KEY, JSON.stringify(data.student || {}));
+    return data.student;
+  }
+
+  async function requestCode(email) {
+    return postJson("/api/student-auth/request-code", { email });
+  }
+
+  async function verifyCode(email, code) {
+    return storeSignIn(await postJson("/api/student-auth/verify-code", { email, code }));
+  }
+
+  async function verifyLink(token) {
+    return storeSignIn(await postJson("/api/student-auth/verify-link", { token }));
+  }
+
+  function readDeviceCredentials() {
+    try {
+      return JSON.parse(localStorage.getItem(DEVICE_CREDENTIALS_KEY) || "{}") || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function deviceCredentialKey(institutionId) {
+    const student = getStudent();
+    return student ? `${student.email}|${institutionId}` : null;
+  }
+
+  function getDeviceCredential(institutionId) {
+    const key = deviceCredentialKey(institutionId);
+    return key ? readDeviceCredentials()[key] || null : null;
+  }
+
+  function clearDeviceCredential(institutionId) {
+    const key = deviceCredentialKey(institutionId);
+    if (!key) return;
+    const credentials = readDeviceCredentials();
+    delete credentials[key];
+    localStorage.setItem(DEVICE_CREDENTIALS_KEY, JSON.stringify(credentials));
+  }
+
+  // Binds this browser to the signed-in student at the institution. Returns
+  // the server's response; the credential is stored even while the device
+  // waits for approval.
+  async function registerDevice(institutionId) {
+    const key = deviceCredentialKey(institutionId);
+    if (!key) throw new Error("Please sign in first");
+    const response = await studentFetch(`${API_BASE}/api/student-devices/register`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ institutionId, label: navigator.platform || "" }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || "Could not register this device");
+    }
+    const credentials = readDeviceCredentials();
+    credentials[key] = data.credential;
+    localStorage.setItem(DEVICE_CREDENTIALS_KEY, JSON.stringify(credentials));
+    return data;
+  }
+
+  // fetch() with the student token. A 401 means the token expired or the
+  // student lost their enrollment, so the stored sign-in is dropped.
+  async function studentFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = getToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+      signOut();
+    }
+    return response;
+  }
+
+  // Builds the email + code form inside `container`; `onSignedIn(student)` runs
+  // once a code is accepted.
+  function renderSignInForm(container, { onSignedIn, prefillEmail = "" } = {}) {
+    container.innerHTML = `
+      <div class="space-y-3">
+        <div>
+          <label for="studentLoginEmail" class="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input type="email" id="studentLoginEmail" autocomplete="email" placeholder="Enter your enrolled email"
+            class="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">
+        </div>
+        <button type="button" id="studentSendCode"
+          class="w-full bg-blue-600 text-white p-3 rounded-lg hover:bg-blue-700 font-medium">Email me a sign-in code</button>
+        <div id="studentCodeStep" class="hidden space-y-3">
+          <div>
+            <label for="studentLoginCode" class="block text-sm font-medium text-gray-700 mb-1">Sign-in code</label>
+            <input type="text" id="studentLoginCode" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="6-digit code"
+              class="w-full p-3 border border-gray-300 rounded-lg tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500">
+          </div>
+          <button type="button" id="studentVerifyCode"
+            class="w-full bg-green-600 text-white p-3 rounded-lg hover:bg-green-700 font-medium">Sign in</button>
+        </div>
+        <p id="studentSignInStatus" class="text-sm text-gray-600"></p>
+      </div>
+    `;
+
+    const emailInput = container.querySelector("#studentLoginEmail");
+    const codeInput = container.querySelector("#studentLoginCode");
+    const sendButton = container.querySelector("#studentSendCode");
+    const verifyButton = container.querySelector("#studentVerifyCode");
+    const codeStep = container.querySelector("#studentCodeStep");
+    const status = container.querySelector("#studentSignInStatus");
+    emailInput.value = prefillEmail;
+
+    function setStatus(message, isError = false) {
+      status.textContent = message;
+      status.className = `text-sm ${isError ? "text-red-600" : "text-gray-600"}`;
+    }
+
+    sendButton.addEventListener("click", async () => {
+      const email = emailInput.value.trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        setStatus("Please enter a valid email", true);
+        return;
+      }
+      sendButton.disabled = true;
+      try {
+        const result = await requestCode(email);
+        codeStep.classList.remove("hidden");
+        sendButton.textContent = "Send a new code";
+        setStatus(`${result.message} You can also open the link in the email.`);
+        codeInput.focus();
+      } catch (error) {
+        setStatus(error.message, true);
+      } finally {
+        sendButton.disabled = false;
+      }
+    });
+
+    verifyButton.addEventListener("click", async () => {
+      verifyButton.disabled = true;
+      try {
+        const student = await verifyCode(emailInput.value.trim().toLowerCase(), codeInput.value.trim());
+        setStatus("");
+        if (onSignedIn) onSignedIn(student);
+      } catch (error) {
+        setStatus(error.message, true);
+      } finally {
+        verifyButton.disabled = false;
+      }
+    });
+  }
+
+  window.studentAuth = {
+    getToken,
+    getStudent,
+    signOut,
+    requestCode,
+    verifyCode,
+    verifyLink,
+    fetch: studentFetch,
+    getDeviceCredential,
+    clearDeviceCredential,
+    registerDevice,
+    renderSignInForm,
+  };
+})();